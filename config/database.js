@@ -1,86 +1,68 @@
-const mongoose = require('mongoose');
+const { sequelize } = require('../src/models');
 
 /**
- * Connect to MongoDB database
+ * Connect to PostgreSQL database
  * @returns {Promise<void>}
  */
 const connectDB = async () => {
   try {
-    const conn = await mongoose.connect(process.env.MONGO_URI, {
-      // Mongoose 6+ no longer needs these options as they're defaults
-      // useNewUrlParser: true,
-      // useUnifiedTopology: true,
-    });
-
-    console.log(`🌱 MongoDB Connected: ${conn.connection.host}`);
-    console.log(`💾 Database: ${conn.connection.name}`);
+    await sequelize.authenticate();
 
-    // Handle connection events
-    mongoose.connection.on('error', (err) => {
-      console.error('🔥 MongoDB connection error:', err);
-    });
-
-    mongoose.connection.on('disconnected', () => {
-      console.log('🔌 MongoDB disconnected');
-    });
+    const { host, port, database } = sequelize.config;
+    console.log(`🌱 PostgreSQL Connected: ${host}:${port}`);
+    console.log(`💾 Database: ${database}`);
 
     // Handle application termination
     process.on('SIGINT', async () => {
-      await mongoose.connection.close();
-      console.log('💾 MongoDB connection closed through app termination');
+      await sequelize.close();
+      console.log('💾 PostgreSQL connection closed through app termination');
       process.exit(0);
     });
 
   } catch (error) {
-    console.error('🔥 Error connecting to MongoDB:', error.message);
+    console.error('🔥 Error connecting to PostgreSQL:', error.message);
     process.exit(1);
   }
 };
 
 /**
- * Disconnect from MongoDB database
+ * Disconnect from PostgreSQL database
  * @returns {Promise<void>}
  */
 const disconnectDB = async () => {
   try {
-    await mongoose.connection.close();
-    console.log('💾 MongoDB connection closed');
+    await sequelize.close();
+    console.log('💾 PostgreSQL connection closed');
   } catch (error) {
-    console.error('🔥 Error disconnecting from MongoDB:', error.message);
+    console.error('🔥 Error disconnecting from PostgreSQL:', error.message);
   }
 };
 
 /**
  * Get database connection status
- * @returns {string} Connection status
+ * @returns {Promise<string>} Connection status
  */
-const getConnectionStatus = () => {
-  const states = {
-    0: 'disconnected',
-    1: 'connected',
-    2: 'connecting',
-    3: 'disconnecting'
-  };
-  
-  return states[mongoose.connection.readyState] || 'unknown';
+const getConnectionStatus = async () => {
+  try {
+    await sequelize.authenticate();
+    return 'connected';
+  } catch (error) {
+    return 'disconnected';
+  }
 };
 
 /**
- * Clear all collections in the database (useful for testing)
+ * Clear all tables in the database (useful for testing)
  * @returns {Promise<void>}
  */
 const clearDatabase = async () => {
   if (process.env.NODE_ENV !== 'test') {
     throw new Error('clearDatabase can only be used in test environment');
   }
-  
+
   try {
-    const collections = await mongoose.connection.db.collections();
-    
-    for (let collection of collections) {
-      await collection.deleteMany({});
-    }
-    
+    await sequelize.truncate({ cascade: true, restartIdentity: true });
+
     console.log('🧹 Database cleared successfully');
   } catch (error) {
     console.error('🔥 Error clearing database:', error.message);
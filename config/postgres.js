@@ -0,0 +1,12 @@
+/**
+ * PostgreSQL connection settings, read from the environment.
+ * Consumed by src/models/index.js when creating the Sequelize instance.
+ */
+module.exports = {
+  database: process.env.PG_DATABASE || 'store_rating',
+  username: process.env.PG_USER || 'postgres',
+  password: process.env.PG_PASSWORD || '',
+  host: process.env.PG_HOST || 'localhost',
+  port: parseInt(process.env.PG_PORT, 10) || 5432,
+  logging: process.env.PG_LOGGING === 'true' ? console.log : false
+};
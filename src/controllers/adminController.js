@@ -0,0 +1,326 @@
+const { Op } = require('sequelize');
+const { Rating, Report, AuditLog, User, Store, VerificationRequest, sequelize } = require('../models');
+const asyncHandler = require('express-async-handler');
+const { NotFoundError } = require('../utils/errors');
+const { resolveReview } = require('../services/moderationService');
+const { decideVerification, revokeVerification } = require('../services/verificationService');
+const statsService = require('../services/statsService');
+const { parseRange } = require('../utils/dateRange');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Expose each review's number of pending reports as `pending_reports`
+ * @param {Array<Object>} reviews - Rating instances
+ * @returns {Promise<Array<Object>>} The same reviews
+ */
+const attachPendingReportCounts = async (reviews) => {
+  if (reviews.length === 0) {
+    return reviews;
+  }
+
+  const counts = await Report.findAll({
+    where: { rating_id: reviews.map((review) => review.id), status: 'pending' },
+    attributes: ['rating_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['rating_id'],
+    raw: true
+  });
+  const byReview = new Map(counts.map((row) => [row.rating_id, parseInt(row.count, 10)]));
+
+  reviews.forEach((review) => {
+    review.setDataValue('pending_reports', byReview.get(review.id) || 0);
+  });
+  return reviews;
+};
+
+/**
+ * Shared handler body for the moderation queues
+ * @param {string} queue - 'flagged' or 'pending', see Rating.queueQuery
+ */
+const listQueue = (queue) => asyncHandler(async (req, res) => {
+  const { rows: reviews, pagination } = await paginate(Rating, Rating.queueQuery(queue), req);
+  await attachPendingReportCounts(reviews);
+
+  res.json({
+    success: true,
+    data: reviews,
+    pagination
+  });
+});
+
+// @desc    Flagged reviews awaiting a decision
+// @route   GET /api/admin/reviews/flagged
+// @access  Private (Admin)
+const getFlaggedReviews = listQueue('flagged');
+
+// @desc    Unapproved reviews awaiting a decision
+// @route   GET /api/admin/reviews/pending
+// @access  Private (Admin)
+const getPendingReviews = listQueue('pending');
+
+/**
+ * Build the approve/reject handlers
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} message - Success message
+ */
+const decideReview = (decision, message) => asyncHandler(async (req, res) => {
+  const review = await Rating.findByPk(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  const { review: resolved, reportsResolved } = await resolveReview(review, decision, req.user.id, req.body.notes);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      review: resolved,
+      reportsResolved
+    }
+  });
+});
+
+// @desc    Approve a review (unflags it and dismisses its reports)
+// @route   POST /api/admin/reviews/:id/approve
+// @access  Private (Admin)
+const approveReview = decideReview('approve', 'Review approved');
+
+// @desc    Reject a review (hides it and upholds its reports)
+// @route   POST /api/admin/reviews/:id/reject
+// @access  Private (Admin)
+const rejectReview = decideReview('reject', 'Review rejected');
+
+// @desc    List review reports
+// @route   GET /api/admin/reports
+// @access  Private (Admin)
+const getReports = asyncHandler(async (req, res) => {
+  const where = { status: req.query.status || 'pending' };
+  if (req.query.reviewId) {
+    where.rating_id = req.query.reviewId;
+  }
+
+  const { rows: reports, pagination } = await paginate(Report, {
+    where,
+    include: [
+      { model: User, as: 'reporter', attributes: ['id', 'name', 'email'] },
+      { model: User, as: 'resolver', attributes: ['id', 'name'] },
+      { model: Rating, as: 'review', attributes: ['id', 'store_id', 'user_id', 'rating', 'title', 'comment', 'is_flagged', 'is_approved'] }
+    ],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  }, req);
+
+  res.json({
+    success: true,
+    data: reports,
+    pagination
+  });
+});
+
+// @desc    List store verification requests (oldest first)
+// @route   GET /api/admin/verifications
+// @access  Private (Admin)
+const getVerificationRequests = asyncHandler(async (req, res) => {
+  const where = { status: req.query.status || 'pending' };
+  if (req.query.storeId) {
+    where.store_id = req.query.storeId;
+  }
+
+  const { rows: requests, pagination } = await paginate(VerificationRequest, {
+    where,
+    include: [
+      { model: Store, as: 'store', attributes: ['id', 'name', 'category', 'address', 'phone', 'email', 'website', 'is_verified'] },
+      { model: User, as: 'submitter', attributes: ['id', 'name', 'email'] },
+      { model: User, as: 'reviewer', attributes: ['id', 'name'] }
+    ],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  }, req);
+
+  res.json({
+    success: true,
+    data: requests,
+    pagination
+  });
+});
+
+/**
+ * Build the approve/reject handlers for verification requests
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} message - Success message
+ */
+const decideVerificationRequest = (decision, message) => asyncHandler(async (req, res) => {
+  const request = await VerificationRequest.findByPk(req.params.id);
+
+  if (!request) {
+    throw new NotFoundError('Verification request not found');
+  }
+
+  const { store } = await decideVerification(request, decision, req.user.id, req.body.reason);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      request,
+      store
+    }
+  });
+});
+
+// @desc    Approve a verification request (the store gets the verified badge)
+// @route   POST /api/admin/verifications/:id/approve
+// @access  Private (Admin)
+const approveVerification = decideVerificationRequest('approve', 'Store verified');
+
+// @desc    Reject a verification request with a reason
+// @route   POST /api/admin/verifications/:id/reject
+// @access  Private (Admin)
+const rejectVerification = decideVerificationRequest('reject', 'Verification request rejected');
+
+// @desc    Remove a store's verified badge
+// @route   POST /api/admin/stores/:id/unverify
+// @access  Private (Admin)
+const unverifyStore = asyncHandler(async (req, res) => {
+  const store = await Store.findByPk(req.params.id);
+
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
+
+  await revokeVerification(store, req.user.id, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Store verification revoked',
+    data: store
+  });
+});
+
+const getStoreRankingOptions = (query) => ({
+  minReviews: parseInt(query.minReviews, 10) || 5,
+  limit: parseInt(query.limit, 10) || 5
+});
+
+// @desc    Dashboard overview: users, stores, ratings and moderation queues
+// @route   GET /api/admin/stats
+// @access  Private (Admin)
+const getStats = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+
+  const [users, stores, ratings, moderation] = await Promise.all([
+    statsService.getUserStats(range),
+    statsService.getStoreStats(range, getStoreRankingOptions(req.query)),
+    statsService.getRatingStats(range, req.query.interval),
+    statsService.getModerationStats()
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      range,
+      users,
+      stores,
+      ratings,
+      moderation
+    }
+  });
+});
+
+// @desc    Users by role and active state
+// @route   GET /api/admin/stats/users
+// @access  Private (Admin)
+const getUserStats = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+
+  res.json({
+    success: true,
+    data: {
+      range,
+      ...await statsService.getUserStats(range)
+    }
+  });
+});
+
+// @desc    Stores per category, average-rating distribution, top and bottom rated
+// @route   GET /api/admin/stats/stores
+// @access  Private (Admin)
+const getStoreStats = asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+
+  res.json({
+    success: true,
+    data: {
+      range,
+      ...await statsService.getStoreStats(range, getStoreRankingOptions(req.query))
+    }
+  });
+});
+
+// @desc    Reviews per day, week or month, with the star distribution
+// @route   GET /api/admin/stats/ratings
+// @access  Private (Admin)
+const getRatingStats = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await statsService.getRatingStats(parseRange(req.query), req.query.interval)
+  });
+});
+
+// @desc    Moderation queue sizes
+// @route   GET /api/admin/stats/moderation
+// @access  Private (Admin)
+const getModerationStats = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await statsService.getModerationStats()
+  });
+});
+
+// @desc    Audit trail of administrative decisions
+// @route   GET /api/admin/audit-logs
+// @access  Private (Admin)
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const where = {};
+  if (req.query.entityType) {
+    where.entity_type = req.query.entityType;
+  }
+  if (req.query.entityId) {
+    where.entity_id = req.query.entityId;
+  }
+  if (req.query.actorId) {
+    where.actor_id = req.query.actorId;
+  }
+  if (req.query.action) {
+    where.action = { [Op.startsWith]: req.query.action };
+  }
+
+  const { rows: logs, pagination } = await paginate(AuditLog, {
+    where,
+    include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'email'] }],
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  }, req);
+
+  res.json({
+    success: true,
+    data: logs,
+    pagination
+  });
+});
+
+module.exports = {
+  getFlaggedReviews,
+  getPendingReviews,
+  approveReview,
+  rejectReview,
+  getReports,
+  getVerificationRequests,
+  approveVerification,
+  rejectVerification,
+  unverifyStore,
+  getStats,
+  getUserStats,
+  getStoreStats,
+  getRatingStats,
+  getModerationStats,
+  getAuditLogs
+};
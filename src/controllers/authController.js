@@ -1,179 +1,346 @@
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
-  });
+const asyncHandler = require('express-async-handler');
+const { User } = require('../models');
+const {
+  REFRESH_COOKIE_NAME,
+  generateAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../services/tokenService');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError
+} = require('../utils/errors');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emailService');
+
+// Minimum gap between verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN = (parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60) * 1000;
+
+/**
+ * Issue a fresh verification token and email it. Delivery failures are
+ * logged rather than thrown so they never block the calling flow.
+ * @param {Object} user - User instance
+ * @returns {Promise<boolean>} Whether the email was handed to the transport
+ */
+const dispatchVerificationEmail = async (user) => {
+  const token = user.generateVerificationToken();
+  await user.save();
+
+  try {
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Start a new session: short-lived access token in the body, rotating
+ * refresh token in an httpOnly cookie.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<string>} Access token
+ */
+const startSession = async (req, res, user) => {
+  const { token: refreshToken } = await issueRefreshToken(user.id, req);
+  setRefreshCookie(res, refreshToken);
+  return generateAccessToken(user.id);
 };
 
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
-const registerUser = async (req, res) => {
-  try {
-    const { name, email, password, role } = req.body;
-
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide name, email and password'
-      });
-    }
+const registerUser = asyncHandler(async (req, res) => {
+  const { name, email, password, role } = req.body;
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'User already exists with this email'
-      });
-    }
-
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password: hashedPassword,
-      role: role || 'customer'
-    });
-
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          isEmailVerified: user.isEmailVerified
-        },
-        token
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration'
-    });
+  // Check if user exists
+  const existingUser = await User.findByEmail(email);
+  if (existingUser) {
+    throw new ConflictError('User already exists with this email');
   }
-};
+
+  // Create user (password is hashed by the model's beforeCreate hook)
+  const user = await User.create({
+    name,
+    email,
+    password,
+    role: role || 'customer'
+  });
+
+  await dispatchVerificationEmail(user);
+
+  // Generate tokens
+  const token = await startSession(req, res, user);
+
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully. Please check your email to verify your account.',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.is_email_verified
+      },
+      token
+    }
+  });
+});
 
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
+const loginUser = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
 
-    // Check for user
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+  // Check for user
+  const user = await User.findByEmail(email);
+  if (!user) {
+    throw new UnauthorizedError('Invalid credentials');
+  }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+  // Check password
+  const isMatch = await user.comparePassword(password);
+  if (!isMatch) {
+    throw new UnauthorizedError('Invalid credentials');
+  }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          isEmailVerified: user.isEmailVerified
-        },
-        token
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during login'
-    });
+  if (!user.is_active) {
+    throw new ForbiddenError('Account has been deactivated');
   }
-};
+
+  user.last_login = new Date();
+  await user.save();
+
+  // Generate tokens
+  const token = await startSession(req, res, user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.is_email_verified
+      },
+      token
+    }
+  });
+});
 
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
-const getMe = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-    
-    res.status(200).json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          isEmailVerified: user.isEmailVerified,
-          avatar: user.avatar,
-          createdAt: user.createdAt
-        }
+const getMe = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.is_email_verified,
+        avatar: user.avatar,
+        createdAt: user.created_at
       }
-    });
-  } catch (error) {
-    console.error('Get me error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+    }
+  });
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findByVerificationToken(req.params.token);
+
+  if (!user) {
+    throw new BadRequestError('Verification link is invalid or has expired');
   }
-};
 
-// @desc    Logout user
-// @route   POST /api/auth/logout
+  user.is_email_verified = true;
+  user.email_verification_token = null;
+  user.email_verification_expires = null;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {}
+  });
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
 // @access  Private
-const logoutUser = (req, res) => {
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findByPk(req.user.id);
+
+  if (user.is_email_verified) {
+    throw new BadRequestError('Email is already verified');
+  }
+
+  // The last token was issued TTL before its expiry
+  if (user.email_verification_expires) {
+    const issuedAt = user.email_verification_expires.getTime() - User.VERIFICATION_TOKEN_TTL;
+    const retryAfter = Math.ceil((issuedAt + VERIFICATION_RESEND_COOLDOWN - Date.now()) / 1000);
+    if (retryAfter > 0) {
+      throw new TooManyRequestsError(
+        `Please wait ${retryAfter} seconds before requesting another verification email`,
+        retryAfter
+      );
+    }
+  }
+
+  const sent = await dispatchVerificationEmail(user);
+  if (!sent) {
+    throw new ServiceUnavailableError('Could not send verification email, please try again later');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent',
+    data: {}
+  });
+});
+
+// @desc    Send password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const user = await User.findByEmail(req.body.email);
+
+  // Same response whether or not the account exists, so the endpoint
+  // cannot be used to discover registered emails
+  if (user && user.is_active) {
+    const token = user.generatePasswordResetToken();
+    await user.save();
+
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (error) {
+      console.error('Password reset email error:', error.message);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent',
+    data: {}
+  });
+});
+
+// @desc    Reset password with token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  const user = await User.findByPasswordResetToken(token);
+
+  if (!user) {
+    throw new BadRequestError('Reset link is invalid or has expired');
+  }
+
+  // Hashed and stamped with password_changed_at by the beforeUpdate hook
+  user.password = password;
+  user.password_reset_token = null;
+  user.password_reset_expires = null;
+  await user.save();
+
+  // Sign out every existing session
+  await revokeAllRefreshTokens(user.id);
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password',
+    data: {}
+  });
+});
+
+// @desc    Exchange refresh token cookie for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token cookie)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const presented = req.cookies[REFRESH_COOKIE_NAME];
+  if (!presented) {
+    throw new UnauthorizedError('No refresh token provided');
+  }
+
+  const session = await rotateRefreshToken(presented, req);
+  if (!session) {
+    clearRefreshCookie(res);
+    throw new UnauthorizedError('Refresh token is invalid or expired');
+  }
+
+  setRefreshCookie(res, session.refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed',
+    data: {
+      token: session.accessToken
+    }
+  });
+});
+
+// @desc    Logout user (revoke the current session)
+// @route   POST /api/auth/logout
+// @access  Public (requires refresh token cookie)
+const logoutUser = asyncHandler(async (req, res) => {
+  const presented = req.cookies[REFRESH_COOKIE_NAME];
+  if (presented) {
+    await revokeRefreshToken(presented);
+  }
+  clearRefreshCookie(res);
+
   res.status(200).json({
     success: true,
     message: 'Logout successful',
     data: {}
   });
-};
+});
+
+// @desc    Logout user from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllDevices = asyncHandler(async (req, res) => {
+  const revoked = await revokeAllRefreshTokens(req.user.id);
+  clearRefreshCookie(res);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all devices',
+    data: {
+      sessionsRevoked: revoked
+    }
+  });
+});
 
 module.exports = {
   registerUser,
   loginUser,
   getMe,
-  logoutUser
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices
 };
@@ -1,412 +1,498 @@
-const Review = require('../models/Review');
-const Store = require('../models/Store');
+const { Op } = require('sequelize');
+const { Rating, Report, ReviewReply, Store, User, Photo } = require('../models');
+const { fileReport } = require('../services/moderationService');
+const { addPhotos, removePhoto, removePhotoFiles } = require('../services/imageService');
+const { MAX_REVIEW_IMAGES } = require('../middleware/validation');
+const { sendReplyNotificationEmail } = require('../services/emailService');
 const asyncHandler = require('express-async-handler');
-const { validationResult } = require('express-validator');
+const { paginate } = require('../utils/pagination');
+const { parseListQuery, selectAttributes } = require('../utils/queryParser');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Store rating statistics are recalculated by the Rating model hooks
+// (afterCreate/afterUpdate/afterDestroy), so the handlers below only
+// need to persist the review itself.
+
+// Reply threads are loaded in their own query, oldest first
+const repliesInclude = () => ({
+  model: ReviewReply,
+  as: 'replies',
+  separate: true,
+  order: [['created_at', 'ASC']],
+  include: [{ model: User, as: 'author', attributes: ['id', 'name', 'avatar'] }]
+});
 
 // @desc    Get reviews for a store
 // @route   GET /api/stores/:storeId/reviews
 // @access  Public
 const getStoreReviews = asyncHandler(async (req, res) => {
-  try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Check if store exists
-    const store = await Store.findById(req.params.storeId);
-    if (!store) {
-      return res.status(404).json({
-        success: false,
-        message: 'Store not found'
-      });
-    }
-
-    const reviews = await Review.find({ store: req.params.storeId })
-      .populate('user', 'name avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip);
-
-    const total = await Review.countDocuments({ store: req.params.storeId });
-
-    res.json({
-      success: true,
-      data: reviews,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  // Check if store exists
+  const store = await Store.findByPk(req.params.storeId);
+  if (!store) {
+    throw new NotFoundError('Store not found');
   }
+
+  // stars/withPhotos/verifiedPurchase/hasReply are converted by validateReviewListQuery
+  const listQuery = parseListQuery(req.query, Rating);
+  const order = listQuery.order || Rating.sortOrder(req.query.sort);
+
+  const [{ rows: reviews, pagination }, distribution] = await Promise.all([
+    paginate(Rating, {
+      where: {
+        store_id: store.id,
+        is_approved: true,
+        [Op.and]: [listQuery.where, ...Rating.listFilters(req.query)]
+      },
+      attributes: selectAttributes(listQuery.attributes, order),
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'name', 'avatar'] },
+        repliesInclude()
+      ],
+      order
+    }, req),
+    // Histogram of every approved review, whatever the filters
+    Rating.getRatingDistribution(store.id)
+  ]);
+
+  await Rating.attachUserVotes(reviews, req.user && req.user.id);
+
+  res.json({
+    success: true,
+    data: reviews,
+    distribution,
+    pagination
+  });
 });
 
 // @desc    Add review to store
 // @route   POST /api/stores/:storeId/reviews
 // @access  Private
 const addReview = asyncHandler(async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation errors',
-        errors: errors.array()
-      });
-    }
-
-    // Check if store exists
-    const store = await Store.findById(req.params.storeId);
-    if (!store) {
-      return res.status(404).json({
-        success: false,
-        message: 'Store not found'
-      });
-    }
-
-    // Check if user already reviewed this store
-    const existingReview = await Review.findOne({
-      user: req.user._id,
-      store: req.params.storeId
-    });
+  // Check if store exists
+  const store = await Store.findByPk(req.params.storeId);
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
 
-    if (existingReview) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already reviewed this store'
-      });
+  // Check if user already reviewed this store
+  const existingReview = await Rating.findOne({
+    where: {
+      user_id: req.user.id,
+      store_id: req.params.storeId
     }
+  });
 
-    const { rating, title, comment, images } = req.body;
-
-    const review = await Review.create({
-      user: req.user._id,
-      store: req.params.storeId,
-      rating,
-      title,
-      comment,
-      images
-    });
-
-    // Update store's average rating and total reviews
-    await updateStoreRating(req.params.storeId);
-
-    const populatedReview = await Review.findById(review._id)
-      .populate('user', 'name avatar');
-
-    res.status(201).json({
-      success: true,
-      message: 'Review added successfully',
-      data: populatedReview
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  if (existingReview) {
+    throw new ConflictError('You have already reviewed this store');
   }
+
+  const { rating, title, comment, images } = req.body;
+
+  const review = await Rating.create({
+    user_id: req.user.id,
+    store_id: req.params.storeId,
+    rating,
+    title,
+    comment,
+    images
+  });
+
+  const populatedReview = await Rating.findByPk(review.id, {
+    include: [{ model: User, as: 'user', attributes: ['id', 'name', 'avatar'] }]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Review added successfully',
+    data: populatedReview
+  });
 });
 
 // @desc    Get single review
 // @route   GET /api/reviews/:id
 // @access  Public
 const getReview = asyncHandler(async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id)
-      .populate('user', 'name avatar')
-      .populate('store', 'name category');
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: review
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const review = await Rating.findByPk(req.params.id, {
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'name', 'avatar'] },
+      { model: Store, as: 'store', attributes: ['id', 'name', 'category'] },
+      { model: Photo, as: 'photos', separate: true, order: [['created_at', 'ASC']] },
+      repliesInclude()
+    ]
+  });
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
   }
+
+  await Rating.attachUserVotes([review], req.user && req.user.id);
+
+  res.json({
+    success: true,
+    data: review
+  });
 });
 
 // @desc    Update review
 // @route   PUT /api/reviews/:id
 // @access  Private (Review owner only)
 const updateReview = asyncHandler(async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
+  const review = await Rating.findByPk(req.params.id);
 
-    // Check if user is the review owner
-    if (review.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only update your own reviews.'
-      });
-    }
-
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation errors',
-        errors: errors.array()
-      });
-    }
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
 
-    const { rating, title, comment, images } = req.body;
+  // Check if user is the review owner
+  if (review.user_id !== req.user.id) {
+    throw new ForbiddenError('Access denied. You can only update your own reviews.');
+  }
 
-    // Update fields
-    review.rating = rating || review.rating;
-    review.title = title || review.title;
-    review.comment = comment || review.comment;
-    review.images = images || review.images;
+  const { rating, title, comment, images } = req.body;
 
-    const updatedReview = await review.save();
+  // Update fields
+  review.rating = rating || review.rating;
+  review.title = title || review.title;
+  review.comment = comment || review.comment;
+  review.images = images || review.images;
 
-    // Update store's average rating if rating changed
-    await updateStoreRating(review.store);
+  const updatedReview = await review.save();
 
-    const populatedReview = await Review.findById(updatedReview._id)
-      .populate('user', 'name avatar')
-      .populate('store', 'name category');
+  const populatedReview = await Rating.findByPk(updatedReview.id, {
+    include: [
+      { model: User, as: 'user', attributes: ['id', 'name', 'avatar'] },
+      { model: Store, as: 'store', attributes: ['id', 'name', 'category'] }
+    ]
+  });
 
-    res.json({
-      success: true,
-      message: 'Review updated successfully',
-      data: populatedReview
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  res.json({
+    success: true,
+    message: 'Review updated successfully',
+    data: populatedReview
+  });
 });
 
 // @desc    Delete review
 // @route   DELETE /api/reviews/:id
 // @access  Private (Review owner or admin)
 const deleteReview = asyncHandler(async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
+  const review = await Rating.findByPk(req.params.id);
 
-    // Check if user is the review owner or admin
-    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only delete your own reviews.'
-      });
-    }
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  // Check if user is the review owner or admin
+  if (review.user_id !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Access denied. You can only delete your own reviews.');
+  }
 
-    const storeId = review.store;
-    await review.deleteOne();
+  const photos = await Photo.findAll({ where: { rating_id: review.id } });
 
-    // Update store's average rating after deletion
-    await updateStoreRating(storeId);
+  await review.destroy();
+  await Promise.all(photos.map(removePhotoFiles));
 
-    res.json({
-      success: true,
-      message: 'Review deleted successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  res.json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+/**
+ * Load a review with what the reply handlers need: its store's owner and
+ * the reviewer's contact details
+ * @param {string} id - Review id
+ * @returns {Promise<Object>} Rating instance
+ */
+const findReviewForThread = async (id) => {
+  const review = await Rating.findByPk(id, {
+    include: [
+      { model: Store, as: 'store', attributes: ['id', 'name', 'owner_id'] },
+      { model: User, as: 'user', attributes: ['id', 'name', 'email'] }
+    ]
+  });
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
   }
+
+  return review;
+};
+
+/**
+ * Which side of a review's thread a user may write on
+ * @param {Object} review - Rating with its store loaded
+ * @param {Object} user - Current user
+ * @returns {string|null} 'owner', 'reviewer' or null
+ */
+const getThreadRole = (review, user) => {
+  if (review.store.owner_id === user.id || user.role === 'admin') {
+    return 'owner';
+  }
+  if (review.user_id === user.id) {
+    return 'reviewer';
+  }
+  return null;
+};
+
+/**
+ * Load a reply that belongs to the review in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} ReviewReply instance
+ */
+const findReply = async (req) => {
+  const reply = await ReviewReply.findOne({
+    where: { id: req.params.replyId, rating_id: req.params.id }
+  });
+
+  if (!reply) {
+    throw new NotFoundError('Reply not found');
+  }
+
+  return reply;
+};
+
+// @desc    Get the reply thread of a review
+// @route   GET /api/reviews/:id/replies
+// @access  Public
+const getReplies = asyncHandler(async (req, res) => {
+  const review = await Rating.findByPk(req.params.id, { attributes: ['id'] });
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  const replies = await ReviewReply.findThread(review.id);
+
+  res.json({
+    success: true,
+    data: replies
+  });
 });
 
-// @desc    Add store owner reply to review
-// @route   POST /api/reviews/:id/reply
-// @access  Private (Store owner or admin)
+// @desc    Reply to a review (store owner), or respond to the owner (reviewer)
+// @route   POST /api/reviews/:id/replies
+// @access  Private (Store owner, admin or the reviewer)
 const addReply = asyncHandler(async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id).populate('store');
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
+  const review = await findReviewForThread(req.params.id);
+  const role = getThreadRole(review, req.user);
 
-    // Check if user is the store owner or admin
-    if (review.store.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Only store owners can reply to reviews.'
-      });
-    }
+  if (!role) {
+    throw new ForbiddenError('Access denied. Only the store owner and the reviewer can reply to this review.');
+  }
+
+  const thread = await ReviewReply.findAll({
+    where: { rating_id: review.id },
+    attributes: ['id', 'author_role']
+  });
+
+  if (thread.length >= ReviewReply.MAX_THREAD_LENGTH) {
+    throw new BadRequestError(`This conversation has reached its limit of ${ReviewReply.MAX_THREAD_LENGTH} replies`);
+  }
+
+  if (role === 'reviewer' && !thread.some((reply) => reply.author_role === 'owner')) {
+    throw new ForbiddenError('You can respond once the store owner has replied');
+  }
+
+  const reply = await ReviewReply.create({
+    rating_id: review.id,
+    author_id: req.user.id,
+    author_role: role,
+    text: req.body.text
+  });
+
+  // A failed notification shouldn't lose the reply
+  if (role === 'owner' && review.user_id !== req.user.id) {
+    sendReplyNotificationEmail(review.user, review.store, reply).catch((error) => {
+      console.error('Reply notification email error:', error.message);
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Reply added successfully',
+    data: reply
+  });
+});
+
+// @desc    Edit a reply (the previous text is kept in its history)
+// @route   PUT /api/reviews/:id/replies/:replyId
+// @access  Private (Reply author only)
+const updateReply = asyncHandler(async (req, res) => {
+  const reply = await findReply(req);
 
-    const { text } = req.body;
+  if (reply.author_id !== req.user.id) {
+    throw new ForbiddenError('Access denied. You can only edit your own replies.');
+  }
+
+  await reply.edit(req.body.text);
+
+  res.json({
+    success: true,
+    message: 'Reply updated successfully',
+    data: reply
+  });
+});
 
-    if (!text) {
-      return res.status(400).json({
-        success: false,
-        message: 'Reply text is required'
-      });
+// @desc    Delete a reply
+// @route   DELETE /api/reviews/:id/replies/:replyId
+// @access  Private (Reply author or admin)
+const deleteReply = asyncHandler(async (req, res) => {
+  const reply = await findReply(req);
+
+  if (reply.author_id !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Access denied. You can only delete your own replies.');
+  }
+
+  await reply.destroy();
+
+  res.json({
+    success: true,
+    message: 'Reply deleted successfully'
+  });
+});
+
+// @desc    Get the edit history of a reply
+// @route   GET /api/reviews/:id/replies/:replyId/history
+// @access  Public
+const getReplyHistory = asyncHandler(async (req, res) => {
+  const reply = await findReply(req);
+
+  res.json({
+    success: true,
+    data: {
+      current: { text: reply.text, edited_at: reply.edited_at },
+      history: reply.edit_history
     }
+  });
+});
 
-    review.reply = {
-      text,
-      date: new Date()
-    };
+// @desc    Upload review images (multipart field "images")
+// @route   POST /api/reviews/:id/images
+// @access  Private (Review owner only)
+const uploadReviewImages = asyncHandler(async (req, res) => {
+  const { review } = req;
+
+  const photos = await addPhotos(review, req.files, {
+    parentKey: 'rating_id',
+    folder: `reviews/${review.id}`,
+    max: MAX_REVIEW_IMAGES,
+    uploadedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Images uploaded successfully',
+    data: {
+      images: review.images,
+      photos
+    }
+  });
+});
 
-    const updatedReview = await review.save();
-    const populatedReview = await Review.findById(updatedReview._id)
-      .populate('user', 'name avatar')
-      .populate('store', 'name category');
+// @desc    Delete an uploaded review image
+// @route   DELETE /api/reviews/:id/images/:photoId
+// @access  Private (Review owner or admin)
+const deleteReviewImage = asyncHandler(async (req, res) => {
+  const { review } = req;
 
-    res.json({
-      success: true,
-      message: 'Reply added successfully',
-      data: populatedReview
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const photo = await Photo.findOne({
+    where: { id: req.params.photoId, rating_id: review.id }
+  });
+
+  if (!photo) {
+    throw new NotFoundError('Image not found');
   }
+
+  await removePhoto(review, photo);
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully',
+    data: {
+      images: review.images
+    }
+  });
 });
 
-// @desc    Vote review as helpful
+// @desc    Vote a review helpful or unhelpful (voting again changes the vote)
 // @route   POST /api/reviews/:id/vote
 // @access  Private
 const voteReview = asyncHandler(async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
+  const review = await Rating.findByPk(req.params.id);
 
-    // Users can't vote on their own reviews
-    if (review.user.toString() === req.user._id.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: 'You cannot vote on your own review'
-      });
-    }
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
 
-    // Simple implementation - increment helpful votes
-    // In a real app, you'd track who voted to prevent multiple votes
-    review.helpfulVotes += 1;
-    await review.save();
+  // Users can't vote on their own reviews
+  if (review.user_id === req.user.id) {
+    throw new BadRequestError('You cannot vote on your own review');
+  }
 
-    res.json({
-      success: true,
-      message: 'Vote recorded successfully',
-      helpfulVotes: review.helpfulVotes
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const votes = await review.castVote(req.user.id, req.body.vote || 'helpful');
+
+  res.json({
+    success: true,
+    message: 'Vote recorded successfully',
+    data: votes
+  });
+});
+
+// @desc    Retract the caller's vote on a review
+// @route   DELETE /api/reviews/:id/vote
+// @access  Private
+const retractVote = asyncHandler(async (req, res) => {
+  const review = await Rating.findByPk(req.params.id);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
   }
+
+  const votes = await review.retractVote(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Vote removed successfully',
+    data: votes
+  });
 });
 
 // @desc    Report review
 // @route   POST /api/reviews/:id/report
 // @access  Private
 const reportReview = asyncHandler(async (req, res) => {
-  try {
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
-
-    const { reason } = req.body;
-
-    if (!reason) {
-      return res.status(400).json({
-        success: false,
-        message: 'Report reason is required'
-      });
-    }
+  const review = await Rating.findByPk(req.params.id);
 
-    // In a real implementation, you'd create a separate Report model
-    // For now, we'll just log the report
-    console.log(`Review ${req.params.id} reported by user ${req.user._id} for: ${reason}`);
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
 
-    res.json({
-      success: true,
-      message: 'Review reported successfully. We will review it shortly.'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  if (review.user_id === req.user.id) {
+    throw new BadRequestError('You cannot report your own review');
   }
-});
 
-// Helper function to update store rating
-const updateStoreRating = async (storeId) => {
-  try {
-    const reviews = await Review.find({ store: storeId });
-    
-    if (reviews.length === 0) {
-      await Store.findByIdAndUpdate(storeId, {
-        averageRating: 0,
-        totalReviews: 0
-      });
-      return;
-    }
+  const existingReport = await Report.findOne({
+    where: { rating_id: review.id, reporter_id: req.user.id }
+  });
+  if (existingReport) {
+    throw new ConflictError('You have already reported this review');
+  }
 
-    const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
-    const averageRating = totalRating / reviews.length;
+  const { reason, notes } = req.body;
+  const { report } = await fileReport(review, req.user.id, { reason, notes });
 
-    await Store.findByIdAndUpdate(storeId, {
-      averageRating: parseFloat(averageRating.toFixed(1)),
-      totalReviews: reviews.length
-    });
-  } catch (error) {
-    console.error('Error updating store rating:', error);
-  }
-};
+  res.status(201).json({
+    success: true,
+    message: 'Review reported successfully. We will review it shortly.',
+    data: report
+  });
+});
 
 module.exports = {
   getStoreReviews,
@@ -414,7 +500,14 @@ module.exports = {
   getReview,
   updateReview,
   deleteReview,
+  getReplies,
   addReply,
+  updateReply,
+  deleteReply,
+  getReplyHistory,
+  uploadReviewImages,
+  deleteReviewImage,
   voteReview,
+  retractVote,
   reportReview
 };
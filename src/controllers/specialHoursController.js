@@ -0,0 +1,168 @@
+const { Op } = require('sequelize');
+const { Store, StoreSpecialHours, sequelize } = require('../models');
+const asyncHandler = require('express-async-handler');
+const { NotFoundError, ConflictError, RequestValidationError } = require('../utils/errors');
+const { validateSpecialHoursRange } = require('../utils/storeHours');
+
+// Every handler runs behind requireStoreOwner('storeId'), which loads the
+// store onto req.store.
+
+/**
+ * Reject a date range that overlaps another override of the same store.
+ * Call inside a transaction that holds lockStore, or two requests can both
+ * pass the check and insert overlapping rows.
+ * @param {string} storeId - Store id
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {string} [excludeId] - Override being updated
+ * @param {Object} [options] - { transaction }
+ */
+const assertNoOverlap = async (storeId, startDate, endDate, excludeId = null, options = {}) => {
+  const overlapping = await StoreSpecialHours.findOverlapping(storeId, startDate, endDate, excludeId, options);
+  if (overlapping) {
+    throw new ConflictError(
+      `Special hours already exist for ${overlapping.start_date} to ${overlapping.end_date}`
+    );
+  }
+};
+
+/**
+ * Serialise changes to a store's overrides by locking its row
+ * @param {string} storeId - Store id
+ * @param {Object} transaction
+ */
+const lockStore = async (storeId, transaction) => {
+  await Store.findByPk(storeId, { transaction, lock: transaction.LOCK.UPDATE });
+};
+
+/**
+ * Load an override that belongs to the store in the URL
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} StoreSpecialHours instance
+ */
+const findStoreSpecialHours = async (req) => {
+  const specialHours = await StoreSpecialHours.findOne({
+    where: { id: req.params.id, store_id: req.store.id }
+  });
+
+  if (!specialHours) {
+    throw new NotFoundError('Special hours not found');
+  }
+
+  return specialHours;
+};
+
+// @desc    Get special hours for a store
+// @route   GET /api/stores/:storeId/special-hours
+// @access  Private (Store owner or admin)
+const getSpecialHours = asyncHandler(async (req, res) => {
+  const where = { store_id: req.store.id };
+
+  // Past overrides are hidden unless asked for
+  if (req.query.includePast !== 'true') {
+    where.end_date = { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10) };
+  }
+
+  const specialHours = await StoreSpecialHours.findAll({
+    where,
+    order: [['start_date', 'ASC']]
+  });
+
+  res.json({
+    success: true,
+    data: specialHours
+  });
+});
+
+// @desc    Add special hours to a store
+// @route   POST /api/stores/:storeId/special-hours
+// @access  Private (Store owner or admin)
+const createSpecialHours = asyncHandler(async (req, res) => {
+  const { startDate, closed = false, intervals, reason } = req.body;
+  const endDate = req.body.endDate || startDate;
+
+  const specialHours = await sequelize.transaction(async (transaction) => {
+    await lockStore(req.store.id, transaction);
+    await assertNoOverlap(req.store.id, startDate, endDate, null, { transaction });
+
+    return await StoreSpecialHours.create({
+      store_id: req.store.id,
+      start_date: startDate,
+      end_date: endDate,
+      closed,
+      intervals: closed ? [] : intervals,
+      reason
+    }, { transaction });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Special hours added successfully',
+    data: specialHours
+  });
+});
+
+// @desc    Update special hours
+// @route   PUT /api/stores/:storeId/special-hours/:id
+// @access  Private (Store owner or admin)
+const updateSpecialHours = asyncHandler(async (req, res) => {
+  const specialHours = await findStoreSpecialHours(req);
+  const { startDate, endDate, closed, intervals, reason } = req.body;
+
+  const nextStart = startDate || specialHours.start_date;
+  const nextEnd = endDate || specialHours.end_date;
+  try {
+    validateSpecialHoursRange(nextStart, nextEnd);
+  } catch (error) {
+    throw new RequestValidationError([{ field: endDate ? 'endDate' : 'startDate', message: error.message }]);
+  }
+
+  specialHours.start_date = nextStart;
+  specialHours.end_date = nextEnd;
+  if (closed !== undefined) {
+    specialHours.closed = closed;
+  }
+  if (intervals !== undefined) {
+    specialHours.intervals = intervals;
+  }
+  if (specialHours.closed) {
+    specialHours.intervals = [];
+  }
+  if (reason !== undefined) {
+    specialHours.reason = reason;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    if (specialHours.changed('start_date') || specialHours.changed('end_date')) {
+      await lockStore(req.store.id, transaction);
+      await assertNoOverlap(req.store.id, nextStart, nextEnd, specialHours.id, { transaction });
+    }
+    await specialHours.save({ transaction });
+  });
+
+  res.json({
+    success: true,
+    message: 'Special hours updated successfully',
+    data: specialHours
+  });
+});
+
+// @desc    Delete special hours
+// @route   DELETE /api/stores/:storeId/special-hours/:id
+// @access  Private (Store owner or admin)
+const deleteSpecialHours = asyncHandler(async (req, res) => {
+  const specialHours = await findStoreSpecialHours(req);
+  await specialHours.destroy();
+
+  res.json({
+    success: true,
+    message: 'Special hours deleted successfully'
+  });
+});
+
+module.exports = {
+  getSpecialHours,
+  createSpecialHours,
+  updateSpecialHours,
+  deleteSpecialHours
+};
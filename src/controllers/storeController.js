@@ -1,406 +1,474 @@
-const Store = require('../models/Store');
+const { Op } = require('sequelize');
+const { Store, User, Rating, Photo, sequelize } = require('../models');
 const asyncHandler = require('express-async-handler');
-const { validationResult } = require('express-validator');
+const { addPhotos, removePhoto, removePhotoFiles } = require('../services/imageService');
+const { getStoreAnalytics: buildStoreAnalytics } = require('../services/analyticsService');
+const { storeSearchScope, searchStores: runStoreSearch, suggest } = require('../services/searchService');
+const { parseRange } = require('../utils/dateRange');
+const { paginate, parsePagination, offsetPagination } = require('../utils/pagination');
+const { parseListQuery, selectAttributes } = require('../utils/queryParser');
+const { MAX_STORE_IMAGES } = require('../middleware/validation');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Where-clause for the `verified` listing filter (`isVerified` is the
+ * older spelling and still accepted)
+ * @param {Object} query - req.query
+ * @returns {Object} { is_verified } or an empty object
+ */
+const verifiedFilter = (query) => {
+  const value = query.verified !== undefined ? query.verified : query.isVerified;
+  return value === undefined ? {} : { is_verified: String(value) === 'true' };
+};
 
 // @desc    Get all stores
 // @route   GET /api/stores
 // @access  Public
 const getAllStores = asyncHandler(async (req, res) => {
-  try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Build filter object
-    const filter = {};
-    if (req.query.category) {
-      filter.category = { $regex: req.query.category, $options: 'i' };
-    }
-    if (req.query.search) {
-      filter.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } }
-      ];
-    }
-    if (req.query.isVerified !== undefined) {
-      filter.isVerified = req.query.isVerified === 'true';
+  // filter[...], field sorts and fields=; the named sorts are handled below
+  const listQuery = parseListQuery(req.query, Store);
+
+  // Build filter object
+  const where = { [Op.and]: [listQuery.where] };
+  // category is validated and lowercased by validateStoreListQuery
+  if (req.query.category) {
+    where.category = req.query.category;
+  }
+  // Full-text search; most relevant first unless another sort is asked for
+  let order = listQuery.order || Store.sortOrder(req.query.sort, req.query);
+  if (req.query.search) {
+    const scope = storeSearchScope(req.query.search);
+    where[Op.and].push(scope.where);
+    if (!req.query.sort) {
+      order = [[scope.relevance, 'DESC'], ...order];
     }
+  }
+  Object.assign(where, verifiedFilter(req.query));
+
+  // openAt/openNow are validated by validateStoreListQuery
+  let openAt = null;
+  if (req.query.openAt) {
+    openAt = new Date(req.query.openAt);
+  } else if (req.query.openNow === 'true') {
+    openAt = new Date();
+  }
+
+  // SQL narrows the candidates to stores with hours on the right local days;
+  // the times themselves are checked in memory, a batch at a time
+  if (openAt) {
+    where[Op.and].push(Store.mayBeOpenCondition(openAt));
+  }
+  const { rows: stores, pagination } = await paginate(Store, {
+    where,
+    attributes: selectAttributes(listQuery.attributes, order, openAt ? ['hours', 'timezone'] : []),
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email'] },
+      Store.specialHoursInclude(openAt || new Date())
+    ],
+    order
+  }, req, openAt ? { filter: (store) => store.isOpen(openAt) } : {});
+
+  res.json({
+    success: true,
+    // isOpen/closesAt/nextOpensAt as of the instant filtered on
+    data: openAt ? stores.map((store) => store.reportOpenStatusAt(openAt)) : stores,
+    pagination
+  });
+});
+
+// @desc    Get stores near a point
+// @route   GET /api/stores/nearby?lat=&lng=&radius=
+// @access  Public
+const getNearbyStores = asyncHandler(async (req, res) => {
+  // lat/lng/radius/minRating are validated and converted by validateNearbyQuery
+  const { lat, lng } = req.query;
+  const radius = req.query.radius || 10;
 
-    const stores = await Store.find(filter)
-      .populate('owner', 'name email')
-      .sort({ averageRating: -1, createdAt: -1 })
-      .limit(limit)
-      .skip(skip);
-
-    const total = await Store.countDocuments(filter);
-
-    res.json({
-      success: true,
-      data: stores,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const listQuery = parseListQuery(req.query, Store);
+  const order = listQuery.order || Store.sortOrder(req.query.sort || 'nearest', { lat, lng });
+
+  const where = { [Op.and]: [listQuery.where] };
+  if (req.query.category) {
+    where.category = req.query.category;
+  }
+  if (req.query.minRating !== undefined) {
+    where.average_rating = { [Op.gte]: req.query.minRating };
   }
+  Object.assign(where, verifiedFilter(req.query));
+
+  // Distance sorts page by offset, field sorts by cursor
+  const { rows: stores, pagination } = await paginate(Store, {
+    distinct: true,
+    where: Store.nearbyWhere(lat, lng, radius, where),
+    attributes: selectAttributes(listQuery.attributes, order, ['location']),
+    order,
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email'] },
+      Store.specialHoursInclude()
+    ]
+  }, req);
+
+  res.json({
+    success: true,
+    data: stores.map((store) => ({
+      ...store.toJSON(),
+      distance_km: store.getDistanceFrom(lat, lng)
+    })),
+    pagination
+  });
+});
+
+// @desc    Full-text search over stores and their reviews
+// @route   GET /api/stores/search?q=
+// @access  Public
+const searchStores = asyncHandler(async (req, res) => {
+  // q and the filters are validated and converted by validateSearchQuery.
+  // Relevance can't key a cursor, so results page by offset.
+  const { limit } = parsePagination(req.query);
+  const page = parseInt(req.query.page, 10) || 1;
+  const offset = (page - 1) * limit;
+
+  const filters = {
+    category: req.query.category,
+    minRating: req.query.minRating,
+    lat: req.query.lat,
+    lng: req.query.lng,
+    radius: req.query.radius,
+    ...(req.query.verified !== undefined && { verified: req.query.verified === 'true' })
+  };
+
+  const { rows, count: total } = await runStoreSearch(req.query.q, filters, { limit, offset });
+
+  res.json({
+    success: true,
+    data: rows.map(({ store, relevance, distance_km, highlights }) => ({
+      ...store.toJSON(),
+      ...(distance_km !== undefined && { distance_km }),
+      search: { relevance, highlights }
+    })),
+    pagination: offsetPagination(req, page, limit, total)
+  });
+});
+
+// @desc    Type-ahead suggestions: store names, categories and cities
+// @route   GET /api/stores/suggest?q=
+// @access  Public
+const suggestStores = asyncHandler(async (req, res) => {
+  // q and limit are validated by validateSuggestQuery
+  const suggestions = await suggest(req.query.q, { limit: req.query.limit || 8 });
+
+  // Identical keystrokes from many users can be answered by caches
+  res.set('Cache-Control', 'public, max-age=60');
+  res.json({
+    success: true,
+    data: suggestions
+  });
 });
 
 // @desc    Get single store
 // @route   GET /api/stores/:id
 // @access  Public
 const getStore = asyncHandler(async (req, res) => {
-  try {
-    const store = await Store.findById(req.params.id)
-      .populate('owner', 'name email avatar');
-
-    if (!store) {
-      return res.status(404).json({
-        success: false,
-        message: 'Store not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: store
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const store = await Store.findByPk(req.params.id, {
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email', 'avatar'] },
+      { model: Photo, as: 'photos', separate: true, order: [['created_at', 'ASC']] },
+      Store.specialHoursInclude()
+    ]
+  });
+
+  if (!store) {
+    throw new NotFoundError('Store not found');
   }
+
+  res.json({
+    success: true,
+    data: store
+  });
 });
 
 // @desc    Create new store
 // @route   POST /api/stores
 // @access  Private (Store owners and admins)
 const createStore = asyncHandler(async (req, res) => {
-  try {
-    // Check if user is store_owner or admin
-    if (req.user.role !== 'store_owner' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Store owner or admin role required.'
-      });
-    }
-
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation errors',
-        errors: errors.array()
-      });
+  const {
+    name,
+    description,
+    category,
+    address,
+    location,
+    phone,
+    email,
+    website,
+    hours,
+    timezone,
+    images
+  } = req.body;
+
+  // Check if store with same name already exists for this owner
+  const existingStore = await Store.findOne({
+    where: {
+      owner_id: req.user.id,
+      [Op.and]: [
+        sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.toLowerCase())
+      ]
     }
+  });
 
-    const {
-      name,
-      description,
-      category,
-      address,
-      location,
-      phone,
-      email,
-      website,
-      hours,
-      images
-    } = req.body;
-
-    // Check if store with same name already exists for this owner
-    const existingStore = await Store.findOne({
-      name: { $regex: new RegExp('^' + name + '$', 'i') },
-      owner: req.user._id
-    });
-
-    if (existingStore) {
-      return res.status(400).json({
-        success: false,
-        message: 'You already have a store with this name'
-      });
-    }
-
-    const store = await Store.create({
-      name,
-      description,
-      category,
-      address,
-      location,
-      phone,
-      email,
-      website,
-      hours,
-      images,
-      owner: req.user._id
-    });
-
-    const populatedStore = await Store.findById(store._id)
-      .populate('owner', 'name email');
-
-    res.status(201).json({
-      success: true,
-      message: 'Store created successfully',
-      data: populatedStore
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  if (existingStore) {
+    throw new ConflictError('You already have a store with this name');
   }
+
+  const store = await Store.create({
+    name,
+    description,
+    category,
+    address,
+    location,
+    phone,
+    email,
+    website,
+    hours,
+    timezone,
+    images,
+    owner_id: req.user.id
+  });
+
+  const populatedStore = await Store.findByPk(store.id, {
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email'] },
+      Store.specialHoursInclude()
+    ]
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Store created successfully',
+    data: populatedStore
+  });
 });
 
 // @desc    Update store
 // @route   PUT /api/stores/:id
 // @access  Private (Store owner or admin)
 const updateStore = asyncHandler(async (req, res) => {
-  try {
-    const store = await Store.findById(req.params.id);
-
-    if (!store) {
-      return res.status(404).json({
-        success: false,
-        message: 'Store not found'
-      });
-    }
-
-    // Check if user is the store owner or admin
-    if (store.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only update your own stores.'
-      });
-    }
-
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation errors',
-        errors: errors.array()
-      });
-    }
-
-    const {
-      name,
-      description,
-      category,
-      address,
-      location,
-      phone,
-      email,
-      website,
-      hours,
-      images,
-      isVerified
-    } = req.body;
-
-    // Update fields
-    store.name = name || store.name;
-    store.description = description || store.description;
-    store.category = category || store.category;
-    store.address = address || store.address;
-    store.location = location || store.location;
-    store.phone = phone || store.phone;
-    store.email = email || store.email;
-    store.website = website || store.website;
-    store.hours = hours || store.hours;
-    store.images = images || store.images;
-    
-    // Only admins can update verification status
-    if (req.user.role === 'admin' && isVerified !== undefined) {
-      store.isVerified = isVerified;
-    }
-
-    const updatedStore = await store.save();
-    const populatedStore = await Store.findById(updatedStore._id)
-      .populate('owner', 'name email');
-
-    res.json({
-      success: true,
-      message: 'Store updated successfully',
-      data: populatedStore
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  // Loaded and ownership-checked by requireStoreOwner
+  const { store } = req;
+
+  const {
+    name,
+    description,
+    category,
+    address,
+    location,
+    phone,
+    email,
+    website,
+    hours,
+    timezone,
+    images
+  } = req.body;
+
+  // Update fields
+  store.name = name || store.name;
+  store.description = description || store.description;
+  store.category = category || store.category;
+  store.address = address || store.address;
+  store.location = location || store.location;
+  store.phone = phone || store.phone;
+  store.email = email || store.email;
+  store.website = website || store.website;
+  store.hours = hours || store.hours;
+  store.timezone = timezone || store.timezone;
+  store.images = images || store.images;
+
+  const updatedStore = await store.save();
+  const populatedStore = await Store.findByPk(updatedStore.id, {
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email'] },
+      Store.specialHoursInclude()
+    ]
+  });
+
+  res.json({
+    success: true,
+    message: 'Store updated successfully',
+    data: populatedStore
+  });
 });
 
 // @desc    Delete store
 // @route   DELETE /api/stores/:id
 // @access  Private (Store owner or admin)
 const deleteStore = asyncHandler(async (req, res) => {
-  try {
-    const store = await Store.findById(req.params.id);
-
-    if (!store) {
-      return res.status(404).json({
-        success: false,
-        message: 'Store not found'
-      });
-    }
+  // Loaded and ownership-checked by requireStoreOwner
+  const { store } = req;
+
+  // Photo rows cascade with the store and its reviews, their files do not
+  const photos = await Photo.findAll({
+    where: {
+      [Op.or]: [{ store_id: store.id }, { '$review.store_id$': store.id }]
+    },
+    include: [{ model: Rating, as: 'review', attributes: [] }]
+  });
+
+  await store.destroy();
+  await Promise.all(photos.map(removePhotoFiles));
+
+  res.json({
+    success: true,
+    message: 'Store deleted successfully'
+  });
+});
 
-    // Check if user is the store owner or admin
-    if (store.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only delete your own stores.'
-      });
+// @desc    Upload store gallery images (multipart field "images")
+// @route   POST /api/stores/:storeId/images
+// @access  Private (Store owner or admin)
+const uploadStoreImages = asyncHandler(async (req, res) => {
+  // Loaded and ownership-checked by requireStoreOwner
+  const { store } = req;
+
+  const photos = await addPhotos(store, req.files, {
+    parentKey: 'store_id',
+    folder: `stores/${store.id}`,
+    max: MAX_STORE_IMAGES,
+    uploadedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Images uploaded successfully',
+    data: {
+      images: store.images,
+      photos
     }
+  });
+});
 
-    await store.deleteOne();
-
-    res.json({
-      success: true,
-      message: 'Store deleted successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+// @desc    Delete an uploaded store image
+// @route   DELETE /api/stores/:storeId/images/:photoId
+// @access  Private (Store owner or admin)
+const deleteStoreImage = asyncHandler(async (req, res) => {
+  const { store } = req;
+
+  const photo = await Photo.findOne({
+    where: { id: req.params.photoId, store_id: store.id }
+  });
+
+  if (!photo) {
+    throw new NotFoundError('Image not found');
   }
+
+  await removePhoto(store, photo);
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully',
+    data: {
+      images: store.images
+    }
+  });
+});
+
+// @desc    Rating trends and review insights for a store
+// @route   GET /api/stores/:storeId/analytics
+// @access  Private (Store owner or admin)
+const getStoreAnalytics = asyncHandler(async (req, res) => {
+  // Loaded and ownership-checked by requireStoreOwner
+  const analytics = await buildStoreAnalytics(req.store, parseRange(req.query), req.query.interval);
+
+  res.json({
+    success: true,
+    data: analytics
+  });
 });
 
 // @desc    Get stores by owner
 // @route   GET /api/stores/owner/:ownerId
 // @access  Public
 const getStoresByOwner = asyncHandler(async (req, res) => {
-  try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-
-    const stores = await Store.find({ owner: req.params.ownerId })
-      .populate('owner', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip);
-
-    const total = await Store.countDocuments({ owner: req.params.ownerId });
-
-    res.json({
-      success: true,
-      data: stores,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const listQuery = parseListQuery(req.query, Store);
+  const order = listQuery.order || Store.sortOrder(req.query.sort || 'newest', req.query);
+
+  const { rows: stores, pagination } = await paginate(Store, {
+    where: { owner_id: req.params.ownerId, [Op.and]: [listQuery.where] },
+    attributes: selectAttributes(listQuery.attributes, order),
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email'] },
+      Store.specialHoursInclude()
+    ],
+    order
+  }, req);
+
+  res.json({
+    success: true,
+    data: stores,
+    pagination
+  });
 });
 
 // @desc    Get my stores
 // @route   GET /api/stores/my-stores
 // @access  Private (Store owner)
 const getMyStores = asyncHandler(async (req, res) => {
-  try {
-    if (req.user.role !== 'store_owner' && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Store owner role required.'
-      });
-    }
-
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-
-    const stores = await Store.find({ owner: req.user._id })
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip);
-
-    const total = await Store.countDocuments({ owner: req.user._id });
-
-    res.json({
-      success: true,
-      data: stores,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const listQuery = parseListQuery(req.query, Store);
+  const order = listQuery.order || Store.sortOrder(req.query.sort || 'newest', req.query);
+
+  const { rows: stores, pagination } = await paginate(Store, {
+    where: { owner_id: req.user.id, [Op.and]: [listQuery.where] },
+    attributes: selectAttributes(listQuery.attributes, order),
+    include: [Store.specialHoursInclude()],
+    order
+  }, req);
+
+  res.json({
+    success: true,
+    data: stores,
+    pagination
+  });
 });
 
 // @desc    Get stores by category
 // @route   GET /api/stores/category/:category
 // @access  Public
 const getStoresByCategory = asyncHandler(async (req, res) => {
-  try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-
-    const stores = await Store.find({
-      category: { $regex: req.params.category, $options: 'i' }
-    })
-      .populate('owner', 'name email')
-      .sort({ averageRating: -1, createdAt: -1 })
-      .limit(limit)
-      .skip(skip);
-
-    const total = await Store.countDocuments({
-      category: { $regex: req.params.category, $options: 'i' }
-    });
-
-    res.json({
-      success: true,
-      data: stores,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const listQuery = parseListQuery(req.query, Store);
+  const order = listQuery.order || Store.sortOrder(req.query.sort, req.query);
+
+  const { rows: stores, pagination } = await paginate(Store, {
+    where: {
+      category: req.params.category,
+      is_active: true,
+      ...verifiedFilter(req.query),
+      [Op.and]: [listQuery.where]
+    },
+    attributes: selectAttributes(listQuery.attributes, order),
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email'] },
+      Store.specialHoursInclude()
+    ],
+    order
+  }, req);
+
+  res.json({
+    success: true,
+    data: stores,
+    pagination
+  });
 });
 
 module.exports = {
   getAllStores,
+  getNearbyStores,
+  searchStores,
+  suggestStores,
   getStore,
   createStore,
   updateStore,
   deleteStore,
+  uploadStoreImages,
+  deleteStoreImage,
+  getStoreAnalytics,
   getStoresByOwner,
   getMyStores,
   getStoresByCategory
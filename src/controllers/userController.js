@@ -1,290 +1,169 @@
-const User = require('../models/User');
+const { Op } = require('sequelize');
+const { User, Rating, Store } = require('../models');
 const asyncHandler = require('express-async-handler');
-const { validationResult } = require('express-validator');
+const { NotFoundError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
+const { parseListQuery, selectAttributes } = require('../utils/queryParser');
 
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
 const getUserProfile = asyncHandler(async (req, res) => {
-  try {
-    const user = await User.findById(req.user._id).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const user = await User.findByPk(req.user.id, {
+    attributes: { exclude: ['password'] }
+  });
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+
+  res.json({
+    success: true,
+    data: user
+  });
 });
 
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
 const updateUserProfile = asyncHandler(async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation errors',
-        errors: errors.array()
-      });
-    }
+  const { name, email, avatar } = req.body;
+  const user = await User.findByPk(req.user.id);
 
-    const { name, email, avatar } = req.body;
-    const user = await User.findById(req.user._id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+  // Update fields
+  user.name = name || user.name;
+  user.email = email || user.email;
+  user.avatar = avatar || user.avatar;
+
+  const updatedUser = await user.save();
+
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: {
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      role: updatedUser.role,
+      avatar: updatedUser.avatar,
+      isEmailVerified: updatedUser.is_email_verified,
+      createdAt: updatedUser.created_at
     }
-
-    // Update fields
-    user.name = name || user.name;
-    user.email = email || user.email;
-    user.avatar = avatar || user.avatar;
-
-    const updatedUser = await user.save();
-
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      data: {
-        _id: updatedUser._id,
-        name: updatedUser.name,
-        email: updatedUser.email,
-        role: updatedUser.role,
-        avatar: updatedUser.avatar,
-        isEmailVerified: updatedUser.isEmailVerified,
-        createdAt: updatedUser.createdAt
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  });
 });
 
 // @desc    Get user's reviews
 // @route   GET /api/users/reviews
 // @access  Private
 const getUserReviews = asyncHandler(async (req, res) => {
-  try {
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-
-    const Review = require('../models/Review');
-    const reviews = await Review.find({ user: req.user._id })
-      .populate('store', 'name category address')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip);
-
-    const total = await Review.countDocuments({ user: req.user._id });
-
-    res.json({
-      success: true,
-      data: reviews,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const listQuery = parseListQuery(req.query, Rating);
+  const order = listQuery.order || [['created_at', 'DESC'], ['id', 'ASC']];
+
+  const { rows: reviews, pagination } = await paginate(Rating, {
+    where: { user_id: req.user.id, [Op.and]: [listQuery.where] },
+    attributes: selectAttributes(listQuery.attributes, order),
+    include: [{ model: Store, as: 'store', attributes: ['id', 'name', 'category', 'address'] }],
+    order
+  }, req);
+
+  res.json({
+    success: true,
+    data: reviews,
+    pagination
+  });
 });
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
 // @access  Private/Admin
 const getAllUsers = asyncHandler(async (req, res) => {
-  try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const skip = (page - 1) * limit;
-
-    const users = await User.find()
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip);
-
-    const total = await User.countDocuments();
-
-    res.json({
-      success: true,
-      data: users,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  const listQuery = parseListQuery(req.query, User);
+  const order = listQuery.order || [['created_at', 'DESC'], ['id', 'ASC']];
+
+  const { rows: users, pagination } = await paginate(User, {
+    where: listQuery.where,
+    attributes: selectAttributes(listQuery.attributes, order) || { exclude: ['password'] },
+    order
+  }, req);
+
+  res.json({
+    success: true,
+    data: users,
+    pagination
+  });
 });
 
 // @desc    Get user by ID (Admin only)
 // @route   GET /api/users/:id
 // @access  Private/Admin
 const getUserById = asyncHandler(async (req, res) => {
-  try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
-
-    const user = await User.findById(req.params.id).select('-password');
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    res.json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+  const user = await User.findByPk(req.params.id, {
+    attributes: { exclude: ['password'] }
+  });
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
+
+  res.json({
+    success: true,
+    data: user
+  });
 });
 
 // @desc    Update user (Admin only)
 // @route   PUT /api/users/:id
 // @access  Private/Admin
 const updateUser = asyncHandler(async (req, res) => {
-  try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
+  const { name, email, role, isEmailVerified } = req.body;
+  const user = await User.findByPk(req.params.id);
 
-    const { name, email, role, isEmailVerified } = req.body;
-    const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+  // Update fields
+  user.name = name || user.name;
+  user.email = email || user.email;
+  user.role = role || user.role;
+  user.is_email_verified = isEmailVerified !== undefined ? isEmailVerified : user.is_email_verified;
+
+  const updatedUser = await user.save();
+
+  res.json({
+    success: true,
+    message: 'User updated successfully',
+    data: {
+      id: updatedUser.id,
+      name: updatedUser.name,
+      email: updatedUser.email,
+      role: updatedUser.role,
+      isEmailVerified: updatedUser.is_email_verified,
+      createdAt: updatedUser.created_at
     }
-
-    // Update fields
-    user.name = name || user.name;
-    user.email = email || user.email;
-    user.role = role || user.role;
-    user.isEmailVerified = isEmailVerified !== undefined ? isEmailVerified : user.isEmailVerified;
-
-    const updatedUser = await user.save();
-
-    res.json({
-      success: true,
-      message: 'User updated successfully',
-      data: {
-        _id: updatedUser._id,
-        name: updatedUser.name,
-        email: updatedUser.email,
-        role: updatedUser.role,
-        isEmailVerified: updatedUser.isEmailVerified,
-        createdAt: updatedUser.createdAt
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  });
 });
 
 // @desc    Delete user (Admin only)
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 const deleteUser = asyncHandler(async (req, res) => {
-  try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin role required.'
-      });
-    }
+  const user = await User.findByPk(req.params.id);
 
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
 
-    await user.deleteOne();
+  await user.destroy();
 
-    res.json({
-      success: true,
-      message: 'User deleted successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
-  }
+  res.json({
+    success: true,
+    message: 'User deleted successfully'
+  });
 });
 
 module.exports = {
@@ -0,0 +1,48 @@
+const { VerificationRequest, User } = require('../models');
+const asyncHandler = require('express-async-handler');
+const { submitVerification } = require('../services/verificationService');
+
+// Every handler runs behind requireStoreOwner('storeId'), which loads the
+// store onto req.store. Admin decisions live in adminController.
+
+// @desc    Get a store's verification status and request history
+// @route   GET /api/stores/:storeId/verification
+// @access  Private (Store owner or admin)
+const getVerification = asyncHandler(async (req, res) => {
+  const { store } = req;
+
+  const requests = await VerificationRequest.findAll({
+    where: { store_id: store.id },
+    include: [{ model: User, as: 'reviewer', attributes: ['id', 'name'] }],
+    order: [['created_at', 'DESC']]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      is_verified: store.is_verified,
+      verified_at: store.verified_at,
+      requests
+    }
+  });
+});
+
+// @desc    Submit documents to have a store verified
+// @route   POST /api/stores/:storeId/verification
+// @access  Private (Store owner or admin)
+const requestVerification = asyncHandler(async (req, res) => {
+  const { documents, notes } = req.body;
+
+  const request = await submitVerification(req.store, req.user.id, { documents, notes });
+
+  res.status(201).json({
+    success: true,
+    message: 'Verification request submitted. An admin will review it shortly.',
+    data: request
+  });
+});
+
+module.exports = {
+  getVerification,
+  requestVerification
+};
@@ -0,0 +1,102 @@
+/**
+ * Shared fixtures for the demo seeders. Everything is derived from a
+ * fixed-seed PRNG so that `npm run db:seed` builds the same dataset on
+ * every machine.
+ */
+
+// Every seeded account uses this domain, which is how the seeders find
+// (and remove) their own rows again.
+const DEMO_EMAIL_DOMAIN = 'demo.store-rating.test';
+const DEMO_PASSWORD = 'password123';
+
+const CATEGORIES = [
+  'restaurant',
+  'retail',
+  'grocery',
+  'electronics',
+  'clothing',
+  'health',
+  'beauty',
+  'automotive',
+  'home_garden',
+  'sports',
+  'entertainment',
+  'services',
+  'other'
+];
+
+const CITIES = [
+  { city: 'New York', state: 'NY', country: 'USA', zip: '10001', lat: 40.7128, lng: -74.0060, timezone: 'America/New_York' },
+  { city: 'San Francisco', state: 'CA', country: 'USA', zip: '94103', lat: 37.7749, lng: -122.4194, timezone: 'America/Los_Angeles' },
+  { city: 'Chicago', state: 'IL', country: 'USA', zip: '60601', lat: 41.8781, lng: -87.6298, timezone: 'America/Chicago' },
+  { city: 'Austin', state: 'TX', country: 'USA', zip: '73301', lat: 30.2672, lng: -97.7431, timezone: 'America/Chicago' },
+  { city: 'Seattle', state: 'WA', country: 'USA', zip: '98101', lat: 47.6062, lng: -122.3321, timezone: 'America/Los_Angeles' },
+  { city: 'Hyderabad', state: 'TG', country: 'India', zip: '500001', lat: 17.3850, lng: 78.4867, timezone: 'Asia/Kolkata' },
+  { city: 'London', state: '', country: 'UK', zip: 'EC1A 1BB', lat: 51.5074, lng: -0.1278, timezone: 'Europe/London' }
+];
+
+const STREETS = ['Main St', 'Market St', 'Oak Ave', 'Park Rd', 'High St', 'Elm St', 'Broadway', 'Lake View Dr'];
+
+const STORE_NAMES = {
+  restaurant: ['Golden Spoon Bistro', 'Spice Route Kitchen'],
+  retail: ['Corner Goods Co.', 'The Everyday Store'],
+  grocery: ['Fresh Basket Market', 'Green Valley Grocers'],
+  electronics: ['Circuit City Hub', 'Pixel & Plug'],
+  clothing: ['Threadline Apparel', 'Urban Weave'],
+  health: ['Wellspring Pharmacy', 'Vital Health Clinic'],
+  beauty: ['Glow Studio', 'Velvet Beauty Bar'],
+  automotive: ['Precision Auto Care', 'Torque Tire & Service'],
+  home_garden: ['Rooted Home & Garden', 'Nest Interiors'],
+  sports: ['Peak Performance Sports', 'Goal Line Outfitters'],
+  entertainment: ['Starlight Cinema', 'Arcade Alley'],
+  services: ['QuickFix Repairs', 'Sparkle Dry Cleaners'],
+  other: ['Curiosity Corner', 'The Odd Shop']
+};
+
+const FIRST_NAMES = ['Aarav', 'Maya', 'Liam', 'Sofia', 'Noah', 'Priya', 'Ethan', 'Chloe', 'Arjun', 'Emma', 'Lucas', 'Zara', 'Mateo', 'Ananya', 'Oliver'];
+const LAST_NAMES = ['Sharma', 'Johnson', 'Garcia', 'Reddy', 'Smith', 'Chen', 'Patel', 'Brown', 'Kim', 'Nguyen'];
+
+const REVIEW_TEMPLATES = {
+  5: [['Absolutely fantastic', 'Best experience I have had in a long time. Staff were friendly and knowledgeable.'], ['Highly recommend', 'Great selection and fair prices. Will definitely be back.']],
+  4: [['Very good', 'Really enjoyed it, just a bit crowded on the weekend.'], ['Solid choice', 'Good quality overall with a few minor hiccups.']],
+  3: [['Decent', 'Nothing special but it gets the job done.'], ['Average visit', 'Some things were great, others could use work.']],
+  2: [['Disappointing', 'Service was slow and the place felt understaffed.'], ['Not great', 'Expected more given the reviews.']],
+  1: [['Would not return', 'Poor service and nobody seemed to care.'], ['Terrible', 'Order was wrong and the staff were rude about it.']]
+};
+
+/**
+ * Mulberry32 PRNG
+ * @param {number} seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const slugify = (value) => value
+  .toLowerCase()
+  .replace(/[^a-z0-9 -]/g, '')
+  .replace(/\s+/g, '-')
+  .replace(/-+/g, '-')
+  .trim();
+
+module.exports = {
+  DEMO_EMAIL_DOMAIN,
+  DEMO_PASSWORD,
+  CATEGORIES,
+  CITIES,
+  STREETS,
+  STORE_NAMES,
+  FIRST_NAMES,
+  LAST_NAMES,
+  REVIEW_TEMPLATES,
+  createRandom,
+  slugify
+};
@@ -0,0 +1,14 @@
+require('dotenv').config();
+const { migrator } = require('./migrator');
+const { sequelize } = require('../models');
+
+// Usage: node src/database/migrate.js <up|down|pending|executed|create> [options]
+migrator.runAsCLI()
+  .then(async () => {
+    await sequelize.close();
+  })
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await sequelize.close();
+    process.exit(1);
+  });
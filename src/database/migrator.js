@@ -0,0 +1,34 @@
+const path = require('path');
+const { Umzug, SequelizeStorage } = require('umzug');
+const { sequelize } = require('../models');
+
+/**
+ * Schema migrations (src/migrations), applied in filename order.
+ * Executed migrations are tracked in the `SequelizeMeta` table.
+ */
+const migrator = new Umzug({
+  migrations: {
+    glob: ['migrations/*.js', { cwd: path.join(__dirname, '..') }]
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize, modelName: 'SequelizeMeta' }),
+  logger: console
+});
+
+/**
+ * Demo data seeders (src/seeders), tracked separately in `SequelizeData`
+ * so they can be reverted without touching the schema.
+ */
+const seeder = new Umzug({
+  migrations: {
+    glob: ['seeders/*.js', { cwd: path.join(__dirname, '..') }]
+  },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize, modelName: 'SequelizeData' }),
+  logger: console
+});
+
+module.exports = {
+  migrator,
+  seeder
+};
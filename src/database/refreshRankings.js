@@ -0,0 +1,16 @@
+require('dotenv').config();
+const { Store, sequelize } = require('../models');
+
+// Usage: node src/database/refreshRankings.js
+// Run on a schedule (e.g. daily) when RANKING_HALF_LIFE_DAYS is set, and
+// after changing any RANKING_* setting.
+Store.refreshRankingScores()
+  .then(async () => {
+    console.log('✅ Store ranking scores refreshed');
+    await sequelize.close();
+  })
+  .catch(async (error) => {
+    console.error('❌ Ranking refresh failed:', error.message);
+    await sequelize.close();
+    process.exit(1);
+  });
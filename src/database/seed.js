@@ -0,0 +1,14 @@
+require('dotenv').config();
+const { seeder } = require('./migrator');
+const { sequelize } = require('../models');
+
+// Usage: node src/database/seed.js <up|down|pending|executed> [options]
+seeder.runAsCLI()
+  .then(async () => {
+    await sequelize.close();
+  })
+  .catch(async (error) => {
+    console.error('❌ Seeding failed:', error.message);
+    await sequelize.close();
+    process.exit(1);
+  });
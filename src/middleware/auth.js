@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const asyncHandler = require('express-async-handler');
+const { User } = require('../models');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const ROLES = User.rawAttributes.role.values;
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw JWT
+ */
+const getTokenFromRequest = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+/**
+ * Require a valid access token (as issued by tokenService.generateAccessToken)
+ * and load the matching active user onto `req.user`.
+ */
+const protect = asyncHandler(async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+
+  if (!token) {
+    throw new UnauthorizedError('Not authorized, no token provided');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError(error.name === 'TokenExpiredError'
+      ? 'Not authorized, token expired'
+      : 'Not authorized, token invalid');
+  }
+
+  const user = await User.findByPk(decoded.id, {
+    attributes: { exclude: ['password'] }
+  });
+
+  if (!user) {
+    throw new UnauthorizedError('Not authorized, user no longer exists');
+  }
+
+  if (!user.is_active) {
+    throw new ForbiddenError('Account has been deactivated');
+  }
+
+  // Access tokens issued before a password reset are no longer honoured
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new UnauthorizedError('Not authorized, password was changed. Please log in again');
+  }
+
+  req.user = user;
+  next();
+});
+
+/**
+ * Load the user behind a valid access token onto `req.user` when one is
+ * sent, but let anonymous requests (or stale tokens) through unchanged.
+ * Used by public routes that personalise their response.
+ */
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (!token) {
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return next();
+  }
+
+  const user = await User.findByPk(decoded.id, {
+    attributes: { exclude: ['password'] }
+  });
+
+  if (user && user.is_active && !user.changedPasswordAfter(decoded.iat)) {
+    req.user = user;
+  }
+  next();
+});
+
+/**
+ * Restrict a route to the given roles. Must run after `protect`.
+ * @param {...string} roles - Any of customer, store_owner, admin
+ * @returns {Function} Express middleware
+ */
+const authorize = (...roles) => {
+  const unknown = roles.filter((role) => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`authorize() called with unknown role(s): ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ForbiddenError(`Access denied. Requires role: ${roles.join(' or ')}`));
+    }
+    next();
+  };
+};
+
+/**
+ * Require the current user to have verified their email address.
+ * Must run after `protect`.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.is_email_verified) {
+    return next(new ForbiddenError('Please verify your email address first'));
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  authorize,
+  requireVerifiedEmail
+};
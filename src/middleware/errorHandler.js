@@ -0,0 +1,90 @@
+const {
+  ValidationError,
+  UniqueConstraintError,
+  ForeignKeyConstraintError,
+  DatabaseError
+} = require('sequelize');
+const { AppError, NotFoundError, PayloadTooLargeError } = require('../utils/errors');
+
+/**
+ * Translate known library errors into an AppError so the response never
+ * exposes raw database or parser messages.
+ * @param {Error} err - Anything passed to next()
+ * @returns {AppError} Normalised error
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // UniqueConstraintError extends ValidationError, so it must come first
+  if (err instanceof UniqueConstraintError) {
+    const errors = err.errors.map((item) => ({ field: item.path, message: item.message }));
+    return new AppError(errors[0] ? errors[0].message : 'Resource already exists', 409, errors);
+  }
+
+  if (err instanceof ValidationError) {
+    const errors = err.errors.map((item) => ({ field: item.path, message: item.message }));
+    return new AppError('Validation errors', 400, errors);
+  }
+
+  if (err instanceof ForeignKeyConstraintError) {
+    return new AppError('Operation conflicts with related records', 409);
+  }
+
+  // invalid_text_representation, e.g. a malformed UUID in the URL
+  if (err instanceof DatabaseError && err.parent && err.parent.code === '22P02') {
+    return new AppError('Invalid identifier or value format', 400);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Malformed JSON in request body', 400);
+  }
+
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError();
+  }
+
+  return new AppError('Server Error', 500);
+};
+
+/**
+ * Catch-all for unknown API routes
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError('API endpoint not found'));
+};
+
+/**
+ * Central error handler (Express needs all four arguments to treat it as
+ * one). Responds with
+ *   { success: false, message, errors? }
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  if (error.statusCode >= 500) {
+    console.error('🔥 Unhandled error:', err);
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  const body = {
+    success: false,
+    message: error.message
+  };
+  if (error.errors && error.errors.length > 0) {
+    body.errors = error.errors;
+  }
+  if (process.env.NODE_ENV === 'development' && error.statusCode >= 500) {
+    body.stack = err.stack;
+  }
+
+  res.status(error.statusCode).json(body);
+};
+
+module.exports = errorHandler;
+module.exports.notFound = notFound;
+module.exports.normalizeError = normalizeError;
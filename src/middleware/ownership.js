@@ -0,0 +1,55 @@
+const asyncHandler = require('express-async-handler');
+const { Store, Rating } = require('../models');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Load the store named by `req.params[param]` and make sure the current user
+ * owns it (admins may act on any store). The store is exposed as `req.store`.
+ * Must run after `protect`.
+ * @param {string} param - Route parameter holding the store id
+ * @returns {Function} Express middleware
+ */
+const requireStoreOwner = (param = 'id') => asyncHandler(async (req, res, next) => {
+  const store = await Store.findByPk(req.params[param]);
+
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
+
+  if (store.owner_id !== req.user.id && req.user.role !== 'admin') {
+    throw new ForbiddenError('Access denied. You can only manage your own stores.');
+  }
+
+  req.store = store;
+  next();
+});
+
+/**
+ * Load the review named by `req.params[param]` and make sure the current
+ * user wrote it. The review is exposed as `req.review`. Must run after
+ * `protect`, and before any upload middleware so strangers' files are
+ * never buffered.
+ * @param {string} param - Route parameter holding the review id
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAdmin=false] - Let admins act on any review
+ * @returns {Function} Express middleware
+ */
+const requireReviewAuthor = (param = 'id', { allowAdmin = false } = {}) => asyncHandler(async (req, res, next) => {
+  const review = await Rating.findByPk(req.params[param]);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (review.user_id !== req.user.id && !(allowAdmin && req.user.role === 'admin')) {
+    throw new ForbiddenError('Access denied. You can only manage images on your own reviews.');
+  }
+
+  req.review = review;
+  next();
+});
+
+module.exports = {
+  requireStoreOwner,
+  requireReviewAuthor
+};
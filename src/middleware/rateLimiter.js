@@ -0,0 +1,23 @@
+const rateLimit = require('express-rate-limit');
+const { TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * express-rate-limit instance that reports through the central error
+ * handler, so throttled requests get the standard error envelope.
+ * @param {Object} options - { windowMs, max, message, skip }
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = ({ windowMs, max, message, skip }) => rateLimit({
+  windowMs,
+  max,
+  skip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next) => {
+    next(new TooManyRequestsError(message, Math.ceil(windowMs / 1000)));
+  }
+});
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,61 @@
+const multer = require('multer');
+const { ALLOWED_MIME_TYPES } = require('../services/imageService');
+const {
+  BadRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+} = require('../utils/errors');
+
+const MAX_FILE_SIZE_MB = parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 5;
+
+/**
+ * Accept up to `maxCount` images in a multipart field, held in memory as
+ * `req.files` for imageService to process. The MIME check here is only a
+ * first filter; imageService checks the actual file contents.
+ * @param {string} field - Form field name
+ * @param {number} maxCount - Most files accepted in one request
+ * @returns {Function} Express middleware
+ */
+const uploadImages = (field, maxCount) => {
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+      files: maxCount
+    },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(new UnsupportedMediaTypeError(`Only ${ALLOWED_MIME_TYPES.join(', ')} images are allowed`));
+      }
+      cb(null, true);
+    }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        switch (err.code) {
+          case 'LIMIT_FILE_SIZE':
+            return next(new PayloadTooLargeError(`Each image must be ${MAX_FILE_SIZE_MB}MB or smaller`));
+          case 'LIMIT_FILE_COUNT':
+          case 'LIMIT_UNEXPECTED_FILE':
+            return next(new BadRequestError(`Upload up to ${maxCount} images in the "${field}" field`));
+          default:
+            return next(new BadRequestError(err.message));
+        }
+      }
+      if (err) {
+        return next(err);
+      }
+      if (!req.files || req.files.length === 0) {
+        return next(new BadRequestError(`No images uploaded, send them in the "${field}" field`));
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  MAX_FILE_SIZE_MB,
+  uploadImages
+};
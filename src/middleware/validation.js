@@ -0,0 +1,666 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { RequestValidationError } = require('../utils/errors');
+const { Store, Rating, ReviewVote, Report, VerificationRequest } = require('../models');
+const {
+  validateHours,
+  validateIntervals,
+  validateSpecialHoursRange,
+  isValidTimezone
+} = require('../utils/storeHours');
+const { INTERVALS, INTERVAL_DAYS, MS_PER_DAY } = require('../utils/dateRange');
+const { searchTerms } = require('../utils/textSearch');
+const { MAX_PAGE_SIZE } = require('../utils/pagination');
+
+// Keep the accepted values in lockstep with the model definitions
+const STORE_CATEGORIES = Store.rawAttributes.category.values;
+const VOTE_TYPES = ReviewVote.rawAttributes.vote.values;
+const REPORT_REASONS = Rating.rawAttributes.flag_reason.values;
+const REPORT_STATUSES = Report.rawAttributes.status.values;
+const VERIFICATION_STATUSES = VerificationRequest.rawAttributes.status.values;
+const PHONE_REGEX = /^[\+]?[1-9][\d]{0,15}$/;
+const MAX_STORE_IMAGES = 10;
+const MAX_REVIEW_IMAGES = 5;
+const MAX_VERIFICATION_DOCUMENTS = 5;
+
+/**
+ * Final step of every chain: turn collected express-validator failures into
+ * a RequestValidationError for the central error handler.
+ */
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    return next(new RequestValidationError(
+      result.array().map((error) => ({ field: error.path, message: error.msg }))
+    ));
+  }
+  next();
+};
+
+/**
+ * @param {Array} chain - express-validator middleware
+ * @returns {Array} The chain followed by `validate`
+ */
+const withValidation = (chain) => [...chain, validate];
+
+// ?page=&limit= for offset-paginated lists
+const pageRules = () => [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`)
+];
+
+// ?cursor= (default) or ?page= on lists that support both
+const paginationRules = () => [
+  ...pageRules(),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('cursor is invalid')
+    .bail()
+    .custom((value, { req }) => req.query.page === undefined)
+    .withMessage('Use either page or cursor, not both')
+];
+
+const validatePagination = withValidation(paginationRules());
+
+// Admin accounts are provisioned by existing admins, never self-registered
+const SELF_REGISTER_ROLES = ['customer', 'store_owner'];
+
+const validateRegister = withValidation([
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please include a valid email'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+  body('role')
+    .optional()
+    .isIn(SELF_REGISTER_ROLES)
+    .withMessage(`Role must be one of: ${SELF_REGISTER_ROLES.join(', ')}`)
+]);
+
+const validateLogin = withValidation([
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please include a valid email'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+]);
+
+const validateForgotPassword = withValidation([
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please include a valid email')
+]);
+
+const validateResetPassword = withValidation([
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Reset token is invalid'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+]);
+
+/**
+ * Build the store validation chain
+ * @param {boolean} isUpdate - When true every field becomes optional
+ * @returns {Array} express-validator middleware
+ */
+const storeRules = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  // A partial address on update would overwrite the stored one, so the
+  // sub-fields stay mandatory whenever an address is sent at all
+  const addressField = (name, message) => (
+    isUpdate ? body(name, message).if(body('address').exists()) : body(name, message)
+  );
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Store name must be between 2 and 200 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+    field('category')
+      .isIn(STORE_CATEGORIES)
+      .withMessage(`Category must be one of: ${STORE_CATEGORIES.join(', ')}`),
+    field('address')
+      .isObject()
+      .withMessage('Address must be an object'),
+    addressField('address.street', 'Address must include street')
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    addressField('address.city', 'Address must include city')
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    addressField('address.country', 'Address must include country')
+      .isString()
+      .bail()
+      .trim()
+      .notEmpty(),
+    body('location')
+      .optional({ nullable: true })
+      .custom((value) => {
+        if (value.type !== 'Point' || !Array.isArray(value.coordinates) || value.coordinates.length !== 2) {
+          throw new Error('Location must be a GeoJSON Point');
+        }
+        const [lng, lat] = value.coordinates;
+        if (typeof lng !== 'number' || typeof lat !== 'number' ||
+            lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+          throw new Error('Invalid coordinates');
+        }
+        return true;
+      }),
+    body('phone')
+      .optional({ nullable: true })
+      .matches(PHONE_REGEX)
+      .withMessage('Phone number must be valid'),
+    body('email')
+      .optional({ nullable: true })
+      .isEmail()
+      .withMessage('Must be a valid email address'),
+    body('website')
+      .optional({ nullable: true })
+      .isURL()
+      .withMessage('Website must be a valid URL'),
+    body('hours')
+      .optional({ nullable: true })
+      .custom((value) => {
+        validateHours(value);
+        return true;
+      }),
+    body('timezone')
+      .optional()
+      .custom(isValidTimezone)
+      .withMessage('Timezone must be a valid IANA timezone, e.g. Europe/London'),
+    body('images')
+      .optional({ nullable: true })
+      .isArray({ max: MAX_STORE_IMAGES })
+      .withMessage(`Maximum ${MAX_STORE_IMAGES} images allowed`),
+    body('images.*')
+      .isURL()
+      .withMessage('All images must be valid URLs')
+  ];
+};
+
+const validateStore = withValidation(storeRules());
+const validateStoreUpdate = withValidation(storeRules(true));
+
+/**
+ * Build the review validation chain, mirroring the Rating model rules
+ * @param {boolean} isUpdate - When true the rating becomes optional
+ * @returns {Array} express-validator middleware
+ */
+const reviewRules = (isUpdate = false) => [
+  (isUpdate ? body('rating').optional() : body('rating'))
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be an integer between 1 and 5')
+    .toInt(),
+  body('title')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+  body('images')
+    .optional({ nullable: true })
+    .isArray({ max: MAX_REVIEW_IMAGES })
+    .withMessage(`Maximum ${MAX_REVIEW_IMAGES} images allowed per review`),
+  body('images.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('All images must be valid URLs')
+];
+
+const validateReview = withValidation(reviewRules());
+const validateReviewUpdate = withValidation(reviewRules(true));
+
+const validateReply = withValidation([
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply text is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reply text cannot exceed 1000 characters')
+]);
+
+const validateVote = withValidation([
+  body('vote')
+    .optional()
+    .isIn(VOTE_TYPES)
+    .withMessage(`Vote must be one of: ${VOTE_TYPES.join(', ')}`)
+]);
+
+const validateReport = withValidation([
+  body('reason')
+    .trim()
+    .toLowerCase()
+    .isIn(REPORT_REASONS)
+    .withMessage(`Report reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+]);
+
+const validateModerationDecision = withValidation([
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+]);
+
+const validateReportListQuery = withValidation([
+  query('status')
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage(`Status must be one of: ${REPORT_STATUSES.join(', ')}`),
+  query('reviewId')
+    .optional()
+    .isUUID()
+    .withMessage('reviewId must be a valid id'),
+  ...paginationRules()
+]);
+
+const validateAuditLogQuery = withValidation([
+  query('entityId')
+    .optional()
+    .isUUID()
+    .withMessage('entityId must be a valid id'),
+  query('actorId')
+    .optional()
+    .isUUID()
+    .withMessage('actorId must be a valid id'),
+  ...paginationRules()
+]);
+
+const validateVerificationRequest = withValidation([
+  body('documents')
+    .isArray({ min: 1, max: MAX_VERIFICATION_DOCUMENTS })
+    .withMessage(`Provide between 1 and ${MAX_VERIFICATION_DOCUMENTS} documents`),
+  body('documents.*')
+    .isURL()
+    .withMessage('All documents must be valid URLs'),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+]);
+
+/**
+ * Build the verification decision chain
+ * @param {boolean} reasonRequired - Rejections and revocations must say why
+ * @returns {Array} express-validator middleware
+ */
+const verificationDecisionRules = (reasonRequired) => [
+  (reasonRequired ? body('reason') : body('reason').optional({ nullable: true }))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters')
+];
+
+const validateVerificationApproval = withValidation(verificationDecisionRules(false));
+const validateVerificationReason = withValidation(verificationDecisionRules(true));
+
+const validateVerificationListQuery = withValidation([
+  query('status')
+    .optional()
+    .isIn(VERIFICATION_STATUSES)
+    .withMessage(`Status must be one of: ${VERIFICATION_STATUSES.join(', ')}`),
+  query('storeId')
+    .optional()
+    .isUUID()
+    .withMessage('storeId must be a valid id'),
+  ...paginationRules()
+]);
+
+// Upper bound on time series length, e.g. a year of days
+const MAX_STATS_BUCKETS = 366;
+
+/**
+ * from/to/interval rules shared by the reporting endpoints
+ * @returns {Array} express-validator middleware
+ */
+const reportingRangeRules = () => [
+  query('from')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('to must be an ISO 8601 date')
+    .bail()
+    .custom((value, { req }) => {
+      if (req.query.from && Date.parse(value) < Date.parse(req.query.from)) {
+        throw new Error('to cannot be before from');
+      }
+      return true;
+    }),
+  query('interval')
+    .default('day')
+    .isIn(INTERVALS)
+    .withMessage(`interval must be one of: ${INTERVALS.join(', ')}`)
+    .bail()
+    .custom((interval, { req }) => {
+      if (!req.query.from) return true;
+      const to = req.query.to ? Date.parse(req.query.to) : Date.now();
+      const buckets = (to - Date.parse(req.query.from)) / (INTERVAL_DAYS[interval] * MS_PER_DAY);
+      if (buckets > MAX_STATS_BUCKETS) {
+        throw new Error(`Date range is too long for interval=${interval}, at most ${MAX_STATS_BUCKETS} periods`);
+      }
+      return true;
+    })
+];
+
+const validateStatsQuery = withValidation([
+  ...reportingRangeRules(),
+  query('minReviews')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minReviews must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50')
+]);
+
+const validateAnalyticsQuery = withValidation(reportingRangeRules());
+
+/**
+ * ?sort= on store listings; sort=nearest needs a lat/lng origin
+ * @param {boolean} originRequired - The endpoint always takes lat/lng
+ * @returns {Array} express-validator middleware
+ */
+const storeSortRules = (originRequired = false) => [
+  // Field lists (sort=-average_rating,name) are checked by utils/queryParser
+  query('sort')
+    .optional()
+    .custom((value) => Store.SORTS.includes(value) || /^-?[a-z_]+(,-?[a-z_]+)*$/.test(value))
+    .withMessage(`sort must be one of: ${Store.SORTS.join(', ')}, or a list of fields such as -average_rating,name`),
+  ...(originRequired ? [] : [
+    query(['lat', 'lng'])
+      .if((value, { req }) => req.query.sort === 'nearest')
+      .exists()
+      .withMessage('lat and lng are required for sort=nearest'),
+    query('lat')
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('lat must be a number between -90 and 90')
+      .toFloat(),
+    query('lng')
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('lng must be a number between -180 and 180')
+      .toFloat()
+  ])
+];
+
+const validateReviewListQuery = withValidation([
+  // Field lists (sort=-helpful_votes) are checked by utils/queryParser
+  query('sort')
+    .optional()
+    .custom((value) => Rating.SORTS.includes(value) || /^-?[a-z_]+(,-?[a-z_]+)*$/.test(value))
+    .withMessage(`sort must be one of: ${Rating.SORTS.join(', ')}, or a list of fields such as -helpful_votes`),
+  query('stars')
+    .optional()
+    .custom((value) => typeof value === 'string' && value.split(',').every((star) => /^\s*[1-5]\s*$/.test(star)))
+    .withMessage('stars must be one or more star values from 1 to 5, comma-separated')
+    .bail()
+    .customSanitizer((value) => [...new Set(value.split(',').map((star) => parseInt(star, 10)))]),
+  query(['withPhotos', 'verifiedPurchase', 'hasReply'])
+    .optional()
+    .isBoolean()
+    .withMessage((value, { path }) => `${path} must be true or false`)
+    .toBoolean(),
+  ...paginationRules()
+]);
+
+const validateStoreListing = withValidation([
+  ...storeSortRules(),
+  ...paginationRules()
+]);
+
+// ?verified=true|false on store listings
+const verifiedFilter = () => query('verified')
+  .optional()
+  .isBoolean()
+  .withMessage('verified must be true or false');
+
+// ?category= on store listings, matched case-insensitively
+const categoryFilter = () => query('category')
+  .optional()
+  .isString()
+  .withMessage('category must be given once')
+  .bail()
+  .toLowerCase()
+  .isIn(STORE_CATEGORIES)
+  .withMessage(`Category must be one of: ${STORE_CATEGORIES.join(', ')}`);
+
+const validateCategoryParam = withValidation([
+  param('category')
+    .toLowerCase()
+    .isIn(STORE_CATEGORIES)
+    .withMessage(`Category must be one of: ${STORE_CATEGORIES.join(', ')}`),
+  verifiedFilter(),
+  ...storeSortRules(),
+  ...paginationRules()
+]);
+
+/**
+ * Build the special-hours validation chain
+ * @param {boolean} isUpdate - When true every field becomes optional
+ * @returns {Array} express-validator middleware
+ */
+const specialHoursRules = (isUpdate = false) => [
+  (isUpdate ? body('startDate').optional() : body('startDate'))
+    .isISO8601({ strict: true })
+    .bail()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('startDate must be a date in YYYY-MM-DD format'),
+  body('endDate')
+    .optional()
+    .isISO8601({ strict: true })
+    .bail()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('endDate must be a date in YYYY-MM-DD format')
+    .bail()
+    .custom((value, { req }) => {
+      // On update without startDate the controller checks the stored one
+      if (!req.body.startDate) return true;
+      validateSpecialHoursRange(req.body.startDate, value);
+      return true;
+    }),
+  body('closed')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('closed must be true or false'),
+  body('intervals')
+    .if((value, { req }) => req.body.closed !== true && (!isUpdate || value !== undefined))
+    .custom((value) => {
+      validateIntervals(value, 'special hours');
+      return true;
+    }),
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters')
+];
+
+const validateSpecialHours = withValidation(specialHoursRules());
+const validateSpecialHoursUpdate = withValidation(specialHoursRules(true));
+
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * A search string with at least one word in it
+ * @param {string} field - Query parameter name
+ * @param {boolean} [required=false]
+ * @returns {Object} express-validator chain
+ */
+const searchRule = (field, required = false) => (required
+  ? query(field).exists().withMessage(`${field} is required`).bail()
+  : query(field).optional())
+  .isString()
+  .withMessage(`${field} must be a string`)
+  .bail()
+  .trim()
+  .isLength({ max: MAX_SEARCH_LENGTH })
+  .withMessage(`${field} cannot be more than ${MAX_SEARCH_LENGTH} characters`)
+  .bail()
+  .custom((value) => searchTerms(value).length > 0)
+  .withMessage(`${field} must contain at least one letter or digit`);
+
+const validateStoreListQuery = withValidation([
+  searchRule('search'),
+  categoryFilter(),
+  verifiedFilter(),
+  ...storeSortRules(),
+  query('openNow')
+    .optional()
+    .isBoolean()
+    .withMessage('openNow must be true or false'),
+  query('openAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('openAt must be an ISO 8601 datetime'),
+  ...paginationRules()
+]);
+
+const MAX_NEARBY_RADIUS_KM = 100;
+
+const validateNearbyQuery = withValidation([
+  query('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be a number between -90 and 90')
+    .toFloat(),
+  query('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be a number between -180 and 180')
+    .toFloat(),
+  query('radius')
+    .optional()
+    .isFloat({ gt: 0, max: MAX_NEARBY_RADIUS_KM })
+    .withMessage(`radius must be greater than 0 and at most ${MAX_NEARBY_RADIUS_KM} km`)
+    .toFloat(),
+  categoryFilter(),
+  verifiedFilter(),
+  ...storeSortRules(true),
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('minRating must be a number between 0 and 5')
+    .toFloat(),
+  ...paginationRules()
+]);
+
+const validateSearchQuery = withValidation([
+  searchRule('q', true),
+  categoryFilter(),
+  verifiedFilter(),
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('minRating must be a number between 0 and 5')
+    .toFloat(),
+  query(['lat', 'lng'])
+    .if((value, { req }) => req.query.lat !== undefined || req.query.lng !== undefined)
+    .exists()
+    .withMessage('lat and lng must be given together'),
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be a number between -90 and 90')
+    .toFloat(),
+  query('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be a number between -180 and 180')
+    .toFloat(),
+  query('radius')
+    .optional()
+    .isFloat({ gt: 0, max: MAX_NEARBY_RADIUS_KM })
+    .withMessage(`radius must be greater than 0 and at most ${MAX_NEARBY_RADIUS_KM} km`)
+    .toFloat(),
+  ...pageRules()
+]);
+
+const MAX_SUGGESTIONS = 20;
+
+const validateSuggestQuery = withValidation([
+  searchRule('q', true),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_SUGGESTIONS })
+    .withMessage(`limit must be between 1 and ${MAX_SUGGESTIONS}`)
+    .toInt()
+]);
+
+module.exports = {
+  MAX_STORE_IMAGES,
+  MAX_REVIEW_IMAGES,
+  STORE_CATEGORIES,
+  validate,
+  withValidation,
+  validatePagination,
+  validateStoreListing,
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateStore,
+  validateStoreUpdate,
+  validateCategoryParam,
+  validateSpecialHours,
+  validateSpecialHoursUpdate,
+  validateStoreListQuery,
+  validateNearbyQuery,
+  validateSearchQuery,
+  validateSuggestQuery,
+  validateReview,
+  validateReviewUpdate,
+  validateReviewListQuery,
+  validateReply,
+  validateVote,
+  validateReport,
+  validateModerationDecision,
+  validateReportListQuery,
+  validateAuditLogQuery,
+  validateVerificationRequest,
+  validateVerificationApproval,
+  validateVerificationReason,
+  validateVerificationListQuery,
+  validateStatsQuery,
+  validateAnalyticsQuery
+};
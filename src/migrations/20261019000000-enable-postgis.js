@@ -0,0 +1,13 @@
+/**
+ * Stores use a PostGIS GEOMETRY(POINT) column with a GiST index,
+ * so the extension must exist before the stores table is created.
+ */
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS postgis');
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.sequelize.query('DROP EXTENSION IF EXISTS postgis');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('users', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    password: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    role: {
+      type: DataTypes.ENUM('customer', 'store_owner', 'admin'),
+      allowNull: false,
+      defaultValue: 'customer'
+    },
+    avatar: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    date_of_birth: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    is_email_verified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    email_verification_token: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    email_verification_expires: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    password_reset_token: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    password_reset_expires: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_login: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('users', ['email'], { unique: true, name: 'users_email_unique' });
+  await queryInterface.addIndex('users', ['role'], { name: 'users_role' });
+  await queryInterface.addIndex('users', ['is_active'], { name: 'users_is_active' });
+  await queryInterface.addIndex('users', ['created_at'], { name: 'users_created_at' });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('users');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_users_role"');
+};
+
+module.exports = { up, down };
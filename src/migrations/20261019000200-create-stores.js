@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('stores', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    category: {
+      type: DataTypes.ENUM(
+        'restaurant',
+        'retail',
+        'grocery',
+        'electronics',
+        'clothing',
+        'health',
+        'beauty',
+        'automotive',
+        'home_garden',
+        'sports',
+        'entertainment',
+        'services',
+        'other'
+      ),
+      allowNull: false
+    },
+    address: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    location: {
+      type: DataTypes.GEOMETRY('POINT', 4326),
+      allowNull: true
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    website: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    hours: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    images: {
+      type: DataTypes.ARRAY(DataTypes.TEXT),
+      allowNull: true,
+      defaultValue: []
+    },
+    owner_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT'
+    },
+    average_rating: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true,
+      defaultValue: 0.00
+    },
+    total_reviews: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    is_verified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    verification_documents: {
+      type: DataTypes.ARRAY(DataTypes.TEXT),
+      allowNull: true,
+      defaultValue: []
+    },
+    slug: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('stores', ['category'], { name: 'stores_category' });
+  await queryInterface.addIndex('stores', ['owner_id'], { name: 'stores_owner_id' });
+  await queryInterface.addIndex('stores', ['is_verified'], { name: 'stores_is_verified' });
+  await queryInterface.addIndex('stores', ['is_active'], { name: 'stores_is_active' });
+  await queryInterface.addIndex('stores', ['average_rating'], { name: 'stores_average_rating' });
+  await queryInterface.addIndex('stores', ['location'], { using: 'gist', name: 'stores_location' });
+  await queryInterface.addIndex('stores', ['slug'], { unique: true, name: 'stores_slug' });
+  await queryInterface.addIndex('stores', ['created_at'], { name: 'stores_created_at' });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('stores');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stores_category"');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('ratings', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    store_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    images: {
+      type: DataTypes.ARRAY(DataTypes.TEXT),
+      allowNull: true,
+      defaultValue: []
+    },
+    helpful_votes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    reply: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    is_verified_purchase: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_flagged: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    flag_reason: {
+      type: DataTypes.ENUM('spam', 'inappropriate', 'fake', 'offensive', 'other'),
+      allowNull: true
+    },
+    is_approved: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('ratings', ['user_id'], { name: 'ratings_user_id' });
+  await queryInterface.addIndex('ratings', ['store_id'], { name: 'ratings_store_id' });
+  await queryInterface.addIndex('ratings', ['rating'], { name: 'ratings_rating' });
+  await queryInterface.addIndex('ratings', ['is_approved'], { name: 'ratings_is_approved' });
+  await queryInterface.addIndex('ratings', ['is_flagged'], { name: 'ratings_is_flagged' });
+  await queryInterface.addIndex('ratings', ['created_at'], { name: 'ratings_created_at' });
+  await queryInterface.addIndex('ratings', ['user_id', 'store_id'], {
+    unique: true,
+    name: 'unique_user_store_rating'
+  });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('ratings');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_ratings_flag_reason"');
+};
+
+module.exports = { up, down };
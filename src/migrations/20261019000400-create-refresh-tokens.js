@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('refresh_tokens', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    family_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    replaced_by_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_by_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('refresh_tokens', ['token_hash'], { unique: true, name: 'refresh_tokens_token_hash' });
+  await queryInterface.addIndex('refresh_tokens', ['user_id'], { name: 'refresh_tokens_user_id' });
+  await queryInterface.addIndex('refresh_tokens', ['family_id'], { name: 'refresh_tokens_family_id' });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('refresh_tokens');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.addColumn('users', 'password_changed_at', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeColumn('users', 'password_changed_at');
+};
+
+module.exports = { up, down };
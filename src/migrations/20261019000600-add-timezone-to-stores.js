@@ -0,0 +1,15 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.addColumn('stores', 'timezone', {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'UTC'
+  });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeColumn('stores', 'timezone');
+};
+
+module.exports = { up, down };
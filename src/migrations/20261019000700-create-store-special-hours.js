@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('store_special_hours', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    closed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    intervals: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    reason: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('store_special_hours', ['store_id', 'start_date'], { name: 'store_special_hours_store_id_start_date' });
+  await queryInterface.addIndex('store_special_hours', ['store_id', 'end_date'], { name: 'store_special_hours_store_id_end_date' });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('store_special_hours');
+};
+
+module.exports = { up, down };
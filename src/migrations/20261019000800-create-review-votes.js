@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('review_votes', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    vote: {
+      type: DataTypes.ENUM('helpful', 'unhelpful'),
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('review_votes', ['user_id', 'rating_id'], { unique: true, name: 'unique_user_rating_vote' });
+  await queryInterface.addIndex('review_votes', ['rating_id'], { name: 'review_votes_rating_id' });
+
+  await queryInterface.addColumn('ratings', 'unhelpful_votes', {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  });
+
+  // Anonymous counts from before votes were tracked cannot be attributed
+  // to anyone, so the counters restart from the (empty) votes table
+  await queryInterface.sequelize.query('UPDATE ratings SET helpful_votes = 0');
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeColumn('ratings', 'unhelpful_votes');
+  await queryInterface.dropTable('review_votes');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_review_votes_vote"');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,141 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('reports', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    reporter_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    reason: {
+      type: DataTypes.ENUM('spam', 'inappropriate', 'fake', 'offensive', 'other'),
+      allowNull: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'upheld', 'dismissed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    resolved_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('reports', ['reporter_id', 'rating_id'], { unique: true, name: 'unique_reporter_rating_report' });
+  await queryInterface.addIndex('reports', ['rating_id', 'status'], { name: 'reports_rating_id_status' });
+  await queryInterface.addIndex('reports', ['status'], { name: 'reports_status' });
+
+  await queryInterface.createTable('audit_logs', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    action: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    entity_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    entity_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('audit_logs', ['entity_type', 'entity_id'], { name: 'audit_logs_entity_type_entity_id' });
+  await queryInterface.addIndex('audit_logs', ['actor_id'], { name: 'audit_logs_actor_id' });
+  await queryInterface.addIndex('audit_logs', ['created_at'], { name: 'audit_logs_created_at' });
+
+  await queryInterface.addColumn('ratings', 'moderated_by', {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL'
+  });
+  await queryInterface.addColumn('ratings', 'moderated_at', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeColumn('ratings', 'moderated_at');
+  await queryInterface.removeColumn('ratings', 'moderated_by');
+  await queryInterface.dropTable('audit_logs');
+  await queryInterface.dropTable('reports');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reports_reason"');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_reports_status"');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('review_replies', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    author_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    author_role: {
+      type: DataTypes.ENUM('owner', 'reviewer'),
+      allowNull: false
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    edit_history: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    edited_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('review_replies', ['rating_id', 'created_at'], { name: 'review_replies_rating_id_created_at' });
+  await queryInterface.addIndex('review_replies', ['author_id'], { name: 'review_replies_author_id' });
+
+  // Move the single JSONB replies into the thread table. Old replies without
+  // an author are attributed to the store owner.
+  await queryInterface.sequelize.query(`
+    INSERT INTO review_replies (id, rating_id, author_id, author_role, text, created_at, updated_at)
+    SELECT gen_random_uuid(), r.id, COALESCE((r.reply->>'author_id')::uuid, s.owner_id), 'owner',
+      r.reply->>'text', COALESCE((r.reply->>'date')::timestamptz, r.updated_at), COALESCE((r.reply->>'date')::timestamptz, r.updated_at)
+    FROM ratings r
+    JOIN stores s ON s.id = r.store_id
+    WHERE r.reply IS NOT NULL AND COALESCE(r.reply->>'text', '') <> ''
+  `);
+
+  await queryInterface.removeColumn('ratings', 'reply');
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.addColumn('ratings', 'reply', {
+    type: DataTypes.JSONB,
+    allowNull: true
+  });
+
+  // Only the first owner reply fits the old single-reply column
+  await queryInterface.sequelize.query(`
+    UPDATE ratings r
+    SET reply = jsonb_build_object('text', first.text, 'date', first.created_at, 'author_id', first.author_id)
+    FROM (
+      SELECT DISTINCT ON (rating_id) rating_id, text, created_at, author_id
+      FROM review_replies
+      WHERE author_role = 'owner'
+      ORDER BY rating_id, created_at
+    ) first
+    WHERE first.rating_id = r.id
+  `);
+
+  await queryInterface.dropTable('review_replies');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_review_replies_author_role"');
+};
+
+module.exports = { up, down };
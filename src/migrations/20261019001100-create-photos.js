@@ -0,0 +1,102 @@
+const { DataTypes, Op } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('photos', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    uploaded_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    storage_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    thumbnail_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    thumbnail_url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    content_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('photos', ['store_id'], { name: 'photos_store_id' });
+  await queryInterface.addIndex('photos', ['rating_id'], { name: 'photos_rating_id' });
+  await queryInterface.addConstraint('photos', {
+    type: 'check',
+    name: 'photos_single_parent',
+    where: {
+      [Op.or]: [
+        { store_id: { [Op.ne]: null }, rating_id: null },
+        { store_id: null, rating_id: { [Op.ne]: null } }
+      ]
+    }
+  });
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.dropTable('photos');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.createTable('verification_requests', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    submitted_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    documents: {
+      type: DataTypes.ARRAY(DataTypes.TEXT),
+      allowNull: false
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    decision_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  });
+
+  await queryInterface.addIndex('verification_requests', ['store_id'], {
+    unique: true,
+    where: { status: 'pending' },
+    name: 'verification_requests_one_pending_per_store'
+  });
+  await queryInterface.addIndex('verification_requests', ['status', 'created_at'], {
+    name: 'verification_requests_status_created_at'
+  });
+
+  await queryInterface.addColumn('stores', 'verified_at', {
+    type: DataTypes.DATE,
+    allowNull: true
+  });
+
+  // Stores verified before the workflow existed keep their badge
+  await queryInterface.sequelize.query(
+    'UPDATE stores SET verified_at = updated_at WHERE is_verified = true'
+  );
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeColumn('stores', 'verified_at');
+  await queryInterface.dropTable('verification_requests');
+  await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_verification_requests_status"');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+const { refreshRankingScores } = require('../utils/ranking');
+
+const up = async ({ context: queryInterface }) => {
+  await queryInterface.addColumn('stores', 'ranking_score', {
+    type: DataTypes.DECIMAL(5, 4),
+    allowNull: false,
+    defaultValue: 0
+  });
+
+  await queryInterface.addIndex('stores', ['ranking_score'], { name: 'stores_ranking_score' });
+
+  await refreshRankingScores(queryInterface.sequelize);
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.removeColumn('stores', 'ranking_score');
+};
+
+module.exports = { up, down };
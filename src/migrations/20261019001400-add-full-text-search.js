@@ -0,0 +1,60 @@
+const { storeSearchVector, ratingSearchVector } = require('../utils/textSearch');
+
+/**
+ * Full-text search: a trigger-maintained tsvector with a GIN index on
+ * stores and ratings, plus a pg_trgm index on store names for typo
+ * tolerant matching.
+ */
+const up = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  await sequelize.query('ALTER TABLE stores ADD COLUMN search_vector tsvector');
+  await sequelize.query(`
+    CREATE FUNCTION stores_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector := ${storeSearchVector('NEW')};
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql`);
+  await sequelize.query(`
+    CREATE TRIGGER stores_search_vector_update
+      BEFORE INSERT OR UPDATE OF name, description, category, address ON stores
+      FOR EACH ROW EXECUTE FUNCTION stores_search_vector_update()`);
+  await sequelize.query(`UPDATE stores s SET search_vector = ${storeSearchVector('s')}`);
+  await sequelize.query('CREATE INDEX stores_search_vector ON stores USING GIN (search_vector)');
+  await sequelize.query('CREATE INDEX stores_name_trgm ON stores USING GIN (name gin_trgm_ops)');
+
+  await sequelize.query('ALTER TABLE ratings ADD COLUMN search_vector tsvector');
+  await sequelize.query(`
+    CREATE FUNCTION ratings_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector := ${ratingSearchVector('NEW')};
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql`);
+  await sequelize.query(`
+    CREATE TRIGGER ratings_search_vector_update
+      BEFORE INSERT OR UPDATE OF title, comment ON ratings
+      FOR EACH ROW EXECUTE FUNCTION ratings_search_vector_update()`);
+  await sequelize.query(`UPDATE ratings r SET search_vector = ${ratingSearchVector('r')}`);
+  await sequelize.query('CREATE INDEX ratings_search_vector ON ratings USING GIN (search_vector)');
+};
+
+const down = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query('DROP TRIGGER IF EXISTS ratings_search_vector_update ON ratings');
+  await sequelize.query('DROP FUNCTION IF EXISTS ratings_search_vector_update()');
+  await queryInterface.removeColumn('ratings', 'search_vector');
+
+  await sequelize.query('DROP INDEX IF EXISTS stores_name_trgm');
+  await sequelize.query('DROP TRIGGER IF EXISTS stores_search_vector_update ON stores');
+  await sequelize.query('DROP FUNCTION IF EXISTS stores_search_vector_update()');
+  await queryInterface.removeColumn('stores', 'search_vector');
+
+  await sequelize.query('DROP EXTENSION IF EXISTS pg_trgm');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+/**
+ * Prefix indexes for type-ahead suggestions. text_pattern_ops lets
+ * `lower(...) LIKE 'abc%'` use a btree whatever the database collation.
+ */
+const up = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query(`
+    CREATE INDEX stores_name_prefix ON stores (lower(name) text_pattern_ops)
+     WHERE is_active = true`);
+  await sequelize.query(`
+    CREATE INDEX stores_city_prefix ON stores (lower(address->>'city') text_pattern_ops)
+     WHERE is_active = true`);
+};
+
+const down = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query('DROP INDEX IF EXISTS stores_city_prefix');
+  await sequelize.query('DROP INDEX IF EXISTS stores_name_prefix');
+};
+
+module.exports = { up, down };
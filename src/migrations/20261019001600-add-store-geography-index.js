@@ -0,0 +1,20 @@
+/**
+ * Expression index for radius searches. Store.findNearby, the nearest sort
+ * and search filter with ST_DWithin on `location::geography`, which the
+ * GiST index on the geometry column can't serve.
+ */
+const up = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query(`
+    CREATE INDEX stores_location_geography ON stores
+     USING gist ((location::geography))`);
+};
+
+const down = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+
+  await sequelize.query('DROP INDEX IF EXISTS stores_location_geography');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,88 @@
+module.exports = (sequelize, DataTypes) => {
+  // Append-only record of administrative decisions
+  const AuditLog = sequelize.define('AuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    // null when the system acted on its own (e.g. auto-flagging)
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    // Dotted verb, e.g. 'review.approve'
+    action: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    entity_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    entity_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['entity_type', 'entity_id']
+      },
+      {
+        fields: ['actor_id']
+      },
+      {
+        fields: ['created_at']
+      }
+    ]
+  });
+
+  // Class methods
+  /**
+   * Append an audit entry
+   * @param {Object} entry - { actorId, action, entityType, entityId, details }
+   * @param {Object} [options] - Query options (e.g. transaction)
+   * @returns {Promise<Object>} AuditLog instance
+   */
+  AuditLog.record = async function({ actorId = null, action, entityType, entityId, details = null }, options = {}) {
+    return await this.create({
+      actor_id: actorId,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      details
+    }, options);
+  };
+
+  // Association method (will be called in index.js)
+  AuditLog.associate = function(models) {
+    AuditLog.belongsTo(models.User, {
+      foreignKey: 'actor_id',
+      as: 'actor'
+    });
+  };
+
+  return AuditLog;
+};
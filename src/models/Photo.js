@@ -0,0 +1,133 @@
+module.exports = (sequelize, DataTypes) => {
+  // An uploaded image belongs to exactly one store gallery or one review
+  const Photo = sequelize.define('Photo', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    uploaded_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    // Keys are whatever the storage adapter needs to delete the files again
+    storage_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    thumbnail_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    thumbnail_url: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    content_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    size_bytes: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'photos',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['store_id']
+      },
+      {
+        fields: ['rating_id']
+      }
+    ],
+    validate: {
+      belongsToOneParent() {
+        if (Boolean(this.store_id) === Boolean(this.rating_id)) {
+          throw new Error('A photo must belong to either a store or a review');
+        }
+      }
+    }
+  });
+
+  // Storage keys are internal
+  Photo.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.storage_key;
+    delete values.thumbnail_key;
+    return values;
+  };
+
+  // Association method (will be called in index.js)
+  Photo.associate = function(models) {
+    Photo.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    Photo.belongsTo(models.Rating, {
+      foreignKey: 'rating_id',
+      as: 'review'
+    });
+
+    Photo.belongsTo(models.User, {
+      foreignKey: 'uploaded_by',
+      as: 'uploader'
+    });
+  };
+
+  return Photo;
+};
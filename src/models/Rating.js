@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 
+// Columns Store#updateRatingStats reads: average, count and ranking score
+const STATS_FIELDS = ['rating', 'is_approved', 'is_verified_purchase', 'created_at', 'store_id'];
+
 module.exports = (sequelize, DataTypes) => {
   const Rating = sequelize.define('Rating', {
     id: {
@@ -95,22 +98,16 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
     },
-    reply: {
-      type: DataTypes.JSONB,
-      allowNull: true,
+    // helpful_votes/unhelpful_votes are cached counts of review_votes rows,
+    // kept in sync by castVote/retractVote
+    unhelpful_votes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
       validate: {
-        isValidReply(value) {
-          if (value) {
-            if (!value.text || typeof value.text !== 'string') {
-              throw new Error('Reply must have a text field');
-            }
-            if (value.text.length > 1000) {
-              throw new Error('Reply text cannot exceed 1000 characters');
-            }
-            if (!value.date) {
-              throw new Error('Reply must have a date field');
-            }
-          }
+        min: {
+          args: [0],
+          msg: 'Unhelpful votes cannot be negative'
         }
       }
     },
@@ -146,6 +143,22 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: true
     },
+    // Last admin decision; cleared when the review is flagged again so it
+    // re-enters the moderation queue
+    moderated_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    moderated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -188,92 +201,176 @@ module.exports = (sequelize, DataTypes) => {
       }
     ],
     hooks: {
-      afterCreate: async (rating) => {
+      // Statistics are recalculated inside the caller's transaction, if any,
+      // so they see the change that triggered them
+      afterCreate: async (rating, options) => {
         // Update store rating statistics
-        const store = await rating.getStore();
+        const store = await rating.getStore({ transaction: options.transaction });
         if (store) {
-          await store.updateRatingStats();
+          await store.updateRatingStats({ transaction: options.transaction });
         }
       },
-      afterUpdate: async (rating) => {
-        // Update store rating statistics if rating changed
-        if (rating.changed('rating') || rating.changed('is_approved')) {
-          const store = await rating.getStore();
-          if (store) {
-            await store.updateRatingStats();
+      afterUpdate: async (rating, options) => {
+        // Update store rating statistics if anything they read changed
+        if (!STATS_FIELDS.some((field) => rating.changed(field))) return;
+
+        const store = await rating.getStore({ transaction: options.transaction });
+        if (store) {
+          await store.updateRatingStats({ transaction: options.transaction });
+        }
+
+        // A review moved to another store leaves the old one's stats behind
+        if (rating.changed('store_id') && rating.previous('store_id')) {
+          const previousStore = await sequelize.models.Store.findByPk(rating.previous('store_id'), {
+            transaction: options.transaction
+          });
+          if (previousStore) {
+            await previousStore.updateRatingStats({ transaction: options.transaction });
           }
         }
       },
-      afterDestroy: async (rating) => {
+      afterDestroy: async (rating, options) => {
         // Update store rating statistics
-        const store = await rating.getStore();
+        const store = await rating.getStore({ transaction: options.transaction });
         if (store) {
-          await store.updateRatingStats();
+          await store.updateRatingStats({ transaction: options.transaction });
         }
       }
     }
   });
 
   // Instance methods
-  Rating.prototype.addHelpfulVote = async function() {
-    this.helpful_votes += 1;
-    await this.save();
-    return this.helpful_votes;
-  };
+  /**
+   * Recount helpful/unhelpful votes from review_votes into this row
+   * @param {Object} [transaction] - Sequelize transaction
+   */
+  Rating.prototype.refreshVoteCounts = async function(transaction = null) {
+    const counts = await sequelize.models.ReviewVote.count({
+      where: { rating_id: this.id },
+      group: ['vote'],
+      transaction
+    });
 
-  Rating.prototype.removeHelpfulVote = async function() {
-    if (this.helpful_votes > 0) {
-      this.helpful_votes -= 1;
-      await this.save();
-    }
-    return this.helpful_votes;
+    const totals = { helpful: 0, unhelpful: 0 };
+    counts.forEach(({ vote, count }) => {
+      totals[vote] = parseInt(count, 10);
+    });
+
+    this.helpful_votes = totals.helpful;
+    this.unhelpful_votes = totals.unhelpful;
+    // A vote is not an edit of the review, so leave updated_at alone
+    await this.save({ transaction, silent: true });
   };
 
-  Rating.prototype.addReply = async function(replyText, authorId) {
-    this.reply = {
-      text: replyText,
-      date: new Date(),
-      author_id: authorId
-    };
-    await this.save();
-    return this.reply;
+  /**
+   * Record or change a user's vote. Voting the same way twice is a no-op.
+   * @param {string} userId - Voter id
+   * @param {string} vote - 'helpful' or 'unhelpful'
+   * @returns {Promise<{helpfulVotes: number, unhelpfulVotes: number, userVote: string}>}
+   */
+  Rating.prototype.castVote = async function(userId, vote) {
+    const { ReviewVote } = sequelize.models;
+
+    return await sequelize.transaction(async (transaction) => {
+      // Lock the review so concurrent votes recount one after another
+      await Rating.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const existing = await ReviewVote.findOne({
+        where: { user_id: userId, rating_id: this.id },
+        transaction
+      });
+
+      if (existing) {
+        if (existing.vote !== vote) {
+          existing.vote = vote;
+          await existing.save({ transaction });
+        }
+      } else {
+        await ReviewVote.create({ user_id: userId, rating_id: this.id, vote }, { transaction });
+      }
+
+      await this.refreshVoteCounts(transaction);
+
+      return {
+        helpfulVotes: this.helpful_votes,
+        unhelpfulVotes: this.unhelpful_votes,
+        userVote: vote
+      };
+    });
   };
 
-  Rating.prototype.removeReply = async function() {
-    this.reply = null;
-    await this.save();
-    return true;
+  /**
+   * Remove a user's vote, if any
+   * @param {string} userId - Voter id
+   * @returns {Promise<{helpfulVotes: number, unhelpfulVotes: number, userVote: null}>}
+   */
+  Rating.prototype.retractVote = async function(userId) {
+    const { ReviewVote } = sequelize.models;
+
+    return await sequelize.transaction(async (transaction) => {
+      await Rating.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      await ReviewVote.destroy({
+        where: { user_id: userId, rating_id: this.id },
+        transaction
+      });
+
+      await this.refreshVoteCounts(transaction);
+
+      return {
+        helpfulVotes: this.helpful_votes,
+        unhelpfulVotes: this.unhelpful_votes,
+        userVote: null
+      };
+    });
   };
 
-  Rating.prototype.flag = async function(reason) {
+  Rating.prototype.flag = async function(reason, options = {}) {
     this.is_flagged = true;
     this.flag_reason = reason;
     this.is_approved = false;
-    await this.save();
+    this.moderated_by = null;
+    this.moderated_at = null;
+    await this.save(options);
     return true;
   };
 
-  Rating.prototype.unflag = async function() {
+  Rating.prototype.unflag = async function(options = {}) {
     this.is_flagged = false;
     this.flag_reason = null;
     this.is_approved = true;
-    await this.save();
+    await this.save(options);
     return true;
   };
 
-  Rating.prototype.approve = async function() {
+  Rating.prototype.approve = async function(options = {}) {
     this.is_approved = true;
-    await this.save();
+    await this.save(options);
     return true;
   };
 
-  Rating.prototype.reject = async function() {
+  Rating.prototype.reject = async function(options = {}) {
     this.is_approved = false;
-    await this.save();
+    await this.save(options);
     return true;
   };
 
   // Class methods
+  /**
+   * Expose each review's vote by the given user as `user_vote`
+   * (null when they have not voted or no user is given)
+   * @param {Array<Object>} reviews - Rating instances
+   * @param {string} [userId] - Caller id
+   * @returns {Promise<Array<Object>>} The same reviews
+   */
+  Rating.attachUserVotes = async function(reviews, userId) {
+    const votes = await sequelize.models.ReviewVote.findUserVotes(userId, reviews.map((review) => review.id));
+    reviews.forEach((review) => {
+      review.setDataValue('user_vote', votes.get(review.id) || null);
+    });
+    return reviews;
+  };
+
   Rating.findByStore = async function(storeId, options = {}) {
     return await this.findAll({
       where: {
@@ -311,6 +408,78 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  // Review list sorts accepted by ?sort=
+  Rating.SORTS = ['newest', 'most_helpful', 'highest', 'lowest'];
+
+  /**
+   * ORDER BY for a review list sort. Ties go to the newer review, then id,
+   * so pages are stable.
+   * @param {string} [sort='newest'] - One of Rating.SORTS
+   * @returns {Array} Sequelize order
+   */
+  Rating.sortOrder = function(sort = 'newest') {
+    switch (sort) {
+      case 'most_helpful':
+        return [['helpful_votes', 'DESC'], ['created_at', 'DESC'], ['id', 'ASC']];
+      case 'highest':
+        return [['rating', 'DESC'], ['created_at', 'DESC'], ['id', 'ASC']];
+      case 'lowest':
+        return [['rating', 'ASC'], ['created_at', 'DESC'], ['id', 'ASC']];
+      case 'newest':
+      default:
+        return [['created_at', 'DESC'], ['id', 'ASC']];
+    }
+  };
+
+  /**
+   * Conditions for the review list filters
+   * @param {Object} [filters]
+   * @param {Array<number>} [filters.stars] - Star values to keep
+   * @param {boolean} [filters.withPhotos] - Has (true) or lacks (false) images
+   * @param {boolean} [filters.verifiedPurchase]
+   * @param {boolean} [filters.hasReply] - Has (true) or lacks (false) an owner reply
+   * @returns {Array} Where conditions for Op.and
+   */
+  Rating.listFilters = function({ stars, withPhotos, verifiedPurchase, hasReply } = {}) {
+    const { Op } = require('sequelize');
+    const conditions = [];
+
+    if (stars && stars.length > 0) {
+      conditions.push({ rating: { [Op.in]: stars } });
+    }
+    if (withPhotos !== undefined) {
+      conditions.push(sequelize.where(
+        sequelize.fn('COALESCE', sequelize.fn('cardinality', sequelize.col('Rating.images')), 0),
+        withPhotos ? Op.gt : Op.eq,
+        0
+      ));
+    }
+    if (verifiedPurchase !== undefined) {
+      conditions.push({ is_verified_purchase: verifiedPurchase });
+    }
+    if (hasReply !== undefined) {
+      conditions.push(sequelize.literal(`${hasReply ? '' : 'NOT '}EXISTS (
+        SELECT 1 FROM review_replies
+         WHERE review_replies.rating_id = "Rating"."id" AND review_replies.author_role = 'owner'
+      )`));
+    }
+    return conditions;
+  };
+
+  // What list endpoints accept in ?filter=, ?sort= and ?fields= (utils/queryParser)
+  Rating.LIST_QUERY = {
+    filters: [
+      'rating', 'store_id', 'helpful_votes', 'unhelpful_votes', 'is_verified_purchase',
+      'created_at', 'updated_at'
+    ],
+    sorts: ['rating', 'helpful_votes', 'created_at', 'updated_at'],
+    fields: [
+      'user_id', 'store_id', 'rating', 'title', 'comment', 'images', 'helpful_votes',
+      'unhelpful_votes', 'is_verified_purchase', 'created_at', 'updated_at'
+    ],
+    presets: Rating.SORTS
+  };
+
   Rating.findByRating = async function(rating, options = {}) {
     return await this.findAll({
       where: {
@@ -323,13 +492,21 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
-  Rating.findFlagged = async function(options = {}) {
-    return await this.findAll({
-      where: {
-        is_flagged: true,
-        ...options.where
-      },
-      order: [['created_at', 'DESC']],
+  // Reviews waiting for an admin decision, shared by the find/count helpers
+  const FLAGGED_QUEUE = { is_flagged: true, moderated_at: null };
+  const PENDING_QUEUE = { is_approved: false, is_flagged: false, moderated_at: null };
+
+  /**
+   * Find options for a moderation queue, oldest pending first and newest
+   * flagged first; the order ends on id so the admin lists can page by cursor
+   * @param {string} queue - 'flagged' or 'pending'
+   * @returns {Object} { where, order, include }
+   */
+  Rating.queueQuery = function(queue) {
+    const direction = queue === 'flagged' ? 'DESC' : 'ASC';
+    return {
+      where: queue === 'flagged' ? FLAGGED_QUEUE : PENDING_QUEUE,
+      order: [['created_at', direction], ['id', direction]],
       include: [
         {
           model: this.sequelize.models.User,
@@ -341,32 +518,39 @@ module.exports = (sequelize, DataTypes) => {
           as: 'store',
           attributes: ['id', 'name', 'slug']
         }
-      ],
-      ...options
+      ]
+    };
+  };
+
+  Rating.findFlagged = async function(options = {}) {
+    const query = this.queueQuery('flagged');
+    return await this.findAll({
+      ...query,
+      ...options,
+      where: { ...query.where, ...options.where }
     });
   };
 
   Rating.findPending = async function(options = {}) {
+    const query = this.queueQuery('pending');
     return await this.findAll({
-      where: {
-        is_approved: false,
-        is_flagged: false,
-        ...options.where
-      },
-      order: [['created_at', 'ASC']],
-      include: [
-        {
-          model: this.sequelize.models.User,
-          as: 'user',
-          attributes: ['id', 'name', 'email']
-        },
-        {
-          model: this.sequelize.models.Store,
-          as: 'store',
-          attributes: ['id', 'name', 'slug']
-        }
-      ],
-      ...options
+      ...query,
+      ...options,
+      where: { ...query.where, ...options.where }
+    });
+  };
+
+  Rating.countFlagged = async function(options = {}) {
+    return await this.count({
+      ...options,
+      where: { ...FLAGGED_QUEUE, ...options.where }
+    });
+  };
+
+  Rating.countPending = async function(options = {}) {
+    return await this.count({
+      ...options,
+      where: { ...PENDING_QUEUE, ...options.where }
     });
   };
 
@@ -389,12 +573,21 @@ module.exports = (sequelize, DataTypes) => {
     };
   };
 
-  Rating.getRatingDistribution = async function(storeId) {
+  /**
+   * Count of approved reviews per star value
+   * @param {string|null} storeId - Store id, or null for every store
+   * @param {Object} [options]
+   * @param {Object} [options.where] - Extra conditions, e.g. a created_at range
+   * @returns {Promise<Object>} { 5: n, 4: n, 3: n, 2: n, 1: n }
+   */
+  Rating.getRatingDistribution = async function(storeId, options = {}) {
+    const where = { is_approved: true, ...options.where };
+    if (storeId) {
+      where.store_id = storeId;
+    }
+
     const result = await this.findAll({
-      where: {
-        store_id: storeId,
-        is_approved: true
-      },
+      where,
       attributes: [
         'rating',
         [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'count']
@@ -403,12 +596,61 @@ module.exports = (sequelize, DataTypes) => {
       order: [['rating', 'DESC']],
       raw: true
     });
-    
+
+    return this.toDistribution(result.map((item) => [item.rating, parseInt(item.count)]));
+  };
+
+  /**
+   * getRatingDistribution split into date buckets. Periods without reviews
+   * are left out.
+   * @param {string|null} storeId - Store id, or null for every store
+   * @param {string} interval - Postgres date_trunc unit: day, week or month
+   * @param {Object} [options]
+   * @param {Object} [options.where] - Extra conditions, e.g. a created_at range
+   * @returns {Promise<Array<{period: Date, distribution: Object}>>} Oldest first
+   */
+  Rating.getRatingDistributionByPeriod = async function(storeId, interval, options = {}) {
+    const where = { is_approved: true, ...options.where };
+    if (storeId) {
+      where.store_id = storeId;
+    }
+    const period = this.sequelize.fn('date_trunc', interval, this.sequelize.col('created_at'));
+
+    const result = await this.findAll({
+      where,
+      attributes: [
+        [period, 'period'],
+        'rating',
+        [this.sequelize.fn('COUNT', this.sequelize.col('id')), 'count']
+      ],
+      group: [period, 'rating'],
+      order: [[period, 'ASC']],
+      raw: true
+    });
+
+    const byPeriod = new Map();
+    result.forEach((item) => {
+      const key = new Date(item.period).getTime();
+      if (!byPeriod.has(key)) byPeriod.set(key, []);
+      byPeriod.get(key).push([item.rating, parseInt(item.count)]);
+    });
+
+    return [...byPeriod].map(([key, entries]) => ({
+      period: new Date(key),
+      distribution: this.toDistribution(entries)
+    }));
+  };
+
+  /**
+   * Fold (star, count) pairs into the { 5..1 } shape used by the API
+   * @param {Array<[number, number]>} entries - Star value and count
+   * @returns {Object} { 5: n, 4: n, 3: n, 2: n, 1: n }
+   */
+  Rating.toDistribution = function(entries) {
     const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
-    result.forEach(item => {
-      distribution[item.rating] = parseInt(item.count);
+    entries.forEach(([star, count]) => {
+      distribution[star] += count;
     });
-    
     return distribution;
   };
 
@@ -425,6 +667,24 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'store_id',
       as: 'store'
     });
+
+    // Rating has a thread of owner replies and reviewer responses
+    Rating.hasMany(models.ReviewReply, {
+      foreignKey: 'rating_id',
+      as: 'replies'
+    });
+
+    // Rating has uploaded photos
+    Rating.hasMany(models.Photo, {
+      foreignKey: 'rating_id',
+      as: 'photos'
+    });
+
+    // Rating has many per-user helpful/unhelpful votes
+    Rating.hasMany(models.ReviewVote, {
+      foreignKey: 'rating_id',
+      as: 'votes'
+    });
   };
 
   return Rating;
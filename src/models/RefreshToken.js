@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // Only a SHA-256 digest is stored; the raw token lives in the client cookie
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // Every token rotated from the same login shares a family, so a replayed
+    // token can revoke the whole chain
+    family_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    replaced_by_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_by_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['token_hash']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['family_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  RefreshToken.prototype.isActive = function() {
+    return !this.revoked_at && this.expires_at > new Date();
+  };
+
+  RefreshToken.prototype.revoke = async function(replacedById = null) {
+    this.revoked_at = new Date();
+    this.replaced_by_id = replacedById;
+    await this.save();
+  };
+
+  // Class methods
+  RefreshToken.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  RefreshToken.findByToken = async function(token) {
+    return await this.findOne({
+      where: {
+        token_hash: this.hashToken(token)
+      }
+    });
+  };
+
+  RefreshToken.revokeFamily = async function(familyId) {
+    const [count] = await this.update(
+      { revoked_at: new Date() },
+      { where: { family_id: familyId, revoked_at: null } }
+    );
+    return count;
+  };
+
+  RefreshToken.revokeAllForUser = async function(userId) {
+    const [count] = await this.update(
+      { revoked_at: new Date() },
+      { where: { user_id: userId, revoked_at: null } }
+    );
+    return count;
+  };
+
+  // Association method (will be called in index.js)
+  RefreshToken.associate = function(models) {
+    RefreshToken.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return RefreshToken;
+};
@@ -0,0 +1,166 @@
+module.exports = (sequelize, DataTypes) => {
+  // Same values as Rating.flag_reason, so a report can become the flag reason
+  const REASONS = sequelize.models.Rating.rawAttributes.flag_reason.values;
+
+  const Report = sequelize.define('Report', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    reporter_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    reason: {
+      type: DataTypes.ENUM(...REASONS),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [REASONS],
+          msg: 'Invalid report reason'
+        }
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 1000],
+          msg: 'Notes cannot exceed 1000 characters'
+        }
+      }
+    },
+    // pending until an admin decides the review: upheld if it was rejected,
+    // dismissed if it was approved
+    status: {
+      type: DataTypes.ENUM('pending', 'upheld', 'dismissed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    resolved_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'reports',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['reporter_id', 'rating_id'],
+        name: 'unique_reporter_rating_report'
+      },
+      {
+        fields: ['rating_id', 'status']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  // Class methods
+  Report.countPending = async function(ratingId, options = {}) {
+    return await this.count({
+      where: { rating_id: ratingId, status: 'pending' },
+      ...options
+    });
+  };
+
+  /**
+   * Most frequently given reason among a review's pending reports
+   * @param {string} ratingId - Review id
+   * @param {Object} [options] - Query options (e.g. transaction)
+   * @returns {Promise<string|null>}
+   */
+  Report.mostCommonPendingReason = async function(ratingId, options = {}) {
+    const [top] = await this.findAll({
+      where: { rating_id: ratingId, status: 'pending' },
+      attributes: ['reason', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['reason'],
+      order: [[sequelize.literal('count'), 'DESC'], ['reason', 'ASC']],
+      limit: 1,
+      raw: true,
+      ...options
+    });
+    return top ? top.reason : null;
+  };
+
+  /**
+   * Close every pending report on a review
+   * @param {string} ratingId - Review id
+   * @param {string} status - 'upheld' or 'dismissed'
+   * @param {string} resolvedBy - Admin id
+   * @param {Object} [options] - Query options (e.g. transaction)
+   * @returns {Promise<number>} Reports resolved
+   */
+  Report.resolvePending = async function(ratingId, status, resolvedBy, options = {}) {
+    const [count] = await this.update(
+      { status, resolved_by: resolvedBy, resolved_at: new Date() },
+      { where: { rating_id: ratingId, status: 'pending' }, ...options }
+    );
+    return count;
+  };
+
+  // Association method (will be called in index.js)
+  Report.associate = function(models) {
+    Report.belongsTo(models.Rating, {
+      foreignKey: 'rating_id',
+      as: 'review'
+    });
+
+    Report.belongsTo(models.User, {
+      foreignKey: 'reporter_id',
+      as: 'reporter'
+    });
+
+    Report.belongsTo(models.User, {
+      foreignKey: 'resolved_by',
+      as: 'resolver'
+    });
+  };
+
+  return Report;
+};
@@ -0,0 +1,145 @@
+module.exports = (sequelize, DataTypes) => {
+  const ReviewReply = sequelize.define('ReviewReply', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    author_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // Which side of the conversation wrote this: the store (owner or an
+    // admin acting for it) or the original reviewer
+    author_role: {
+      type: DataTypes.ENUM('owner', 'reviewer'),
+      allowNull: false
+    },
+    text: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Reply text cannot be empty'
+        },
+        len: {
+          args: [1, 1000],
+          msg: 'Reply text cannot exceed 1000 characters'
+        }
+      }
+    },
+    // Previous versions, oldest first: [{ text, edited_at }]
+    edit_history: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    edited_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'review_replies',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['rating_id', 'created_at']
+      },
+      {
+        fields: ['author_id']
+      }
+    ]
+  });
+
+  // Maximum messages in one review's thread
+  ReviewReply.MAX_THREAD_LENGTH = 20;
+
+  // Instance methods
+  ReviewReply.prototype.edit = async function(text) {
+    if (text === this.text) {
+      return this;
+    }
+
+    const now = new Date();
+    this.edit_history = [
+      ...this.edit_history,
+      { text: this.text, edited_at: now }
+    ];
+    this.text = text;
+    this.edited_at = now;
+    await this.save();
+    return this;
+  };
+
+  // History is served from its own endpoint
+  ReviewReply.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    values.is_edited = Boolean(values.edited_at);
+    delete values.edit_history;
+    return values;
+  };
+
+  // Class methods
+  ReviewReply.findThread = async function(ratingId, options = {}) {
+    return await this.findAll({
+      where: {
+        rating_id: ratingId,
+        ...options.where
+      },
+      order: [['created_at', 'ASC']],
+      include: [
+        {
+          model: sequelize.models.User,
+          as: 'author',
+          attributes: ['id', 'name', 'avatar']
+        }
+      ],
+      ...options
+    });
+  };
+
+  // Association method (will be called in index.js)
+  ReviewReply.associate = function(models) {
+    ReviewReply.belongsTo(models.Rating, {
+      foreignKey: 'rating_id',
+      as: 'review'
+    });
+
+    ReviewReply.belongsTo(models.User, {
+      foreignKey: 'author_id',
+      as: 'author'
+    });
+  };
+
+  return ReviewReply;
+};
@@ -0,0 +1,101 @@
+module.exports = (sequelize, DataTypes) => {
+  const ReviewVote = sequelize.define('ReviewVote', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    rating_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'ratings',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    vote: {
+      type: DataTypes.ENUM('helpful', 'unhelpful'),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['helpful', 'unhelpful']],
+          msg: 'Vote must be helpful or unhelpful'
+        }
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'review_votes',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'rating_id'],
+        name: 'unique_user_rating_vote'
+      },
+      {
+        fields: ['rating_id']
+      }
+    ]
+  });
+
+  // Class methods
+  /**
+   * The given user's votes on a set of reviews
+   * @param {string} userId - Voter id
+   * @param {Array<string>} ratingIds - Review ids
+   * @returns {Promise<Map<string, string>>} rating id -> 'helpful' | 'unhelpful'
+   */
+  ReviewVote.findUserVotes = async function(userId, ratingIds) {
+    if (!userId || ratingIds.length === 0) {
+      return new Map();
+    }
+
+    const votes = await this.findAll({
+      where: { user_id: userId, rating_id: ratingIds },
+      attributes: ['rating_id', 'vote']
+    });
+
+    return new Map(votes.map((vote) => [vote.rating_id, vote.vote]));
+  };
+
+  // Association method (will be called in index.js)
+  ReviewVote.associate = function(models) {
+    ReviewVote.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    ReviewVote.belongsTo(models.Rating, {
+      foreignKey: 'rating_id',
+      as: 'rating'
+    });
+  };
+
+  return ReviewVote;
+};
@@ -1,4 +1,6 @@
 const { DataTypes } = require('sequelize');
+const { validateHours, isValidTimezone, getOpenStatus } = require('../utils/storeHours');
+const { computeRankingScore, refreshRankingScores } = require('../utils/ranking');
 
 module.exports = (sequelize, DataTypes) => {
   const Store = sequelize.define('Store', {
@@ -81,7 +83,7 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     location: {
-      type: DataTypes.GEOMETRY('POINT'),
+      type: DataTypes.GEOMETRY('POINT', 4326),
       allowNull: true,
       validate: {
         isValidCoordinates(value) {
@@ -142,14 +144,20 @@ module.exports = (sequelize, DataTypes) => {
       validate: {
         isValidHours(value) {
           if (value) {
-            const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-            for (const day of days) {
-              if (value[day] && !value[day].closed) {
-                if (!value[day].open || !value[day].close) {
-                  throw new Error(`Invalid hours for ${day}`);
-                }
-              }
-            }
+            validateHours(value);
+          }
+        }
+      }
+    },
+    // IANA zone the opening hours are expressed in
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'UTC',
+      validate: {
+        isValidTimezone(value) {
+          if (!isValidTimezone(value)) {
+            throw new Error('Timezone must be a valid IANA timezone, e.g. Europe/London');
           }
         }
       }
@@ -191,6 +199,12 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
     },
+    // Bayesian average used for sort=best, see utils/ranking.js
+    ranking_score: {
+      type: DataTypes.DECIMAL(5, 4),
+      allowNull: false,
+      defaultValue: 0
+    },
     total_reviews: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -207,11 +221,17 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: false
     },
+    // Set when an admin approves a verification request
+    verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     is_active: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: true
     },
+    // Documents of the approved verification request; never sent to clients
     verification_documents: {
       type: DataTypes.ARRAY(DataTypes.TEXT),
       allowNull: true,
@@ -277,6 +297,8 @@ module.exports = (sequelize, DataTypes) => {
         if (!store.slug) {
           store.slug = await Store.generateSlug(store.name);
         }
+        // No reviews yet, so the store starts at the prior
+        store.ranking_score = computeRankingScore([]);
       },
       beforeUpdate: async (store) => {
         if (store.changed('name') && !store.changed('slug')) {
@@ -287,8 +309,9 @@ module.exports = (sequelize, DataTypes) => {
   });
 
   // Instance methods
-  Store.prototype.updateRatingStats = async function() {
-    const ratings = await this.getRatings();
+  Store.prototype.updateRatingStats = async function(options = {}) {
+    // Flagged or rejected reviews don't count towards the public score
+    const ratings = await this.getRatings({ where: { is_approved: true }, transaction: options.transaction });
     if (ratings.length > 0) {
       const sum = ratings.reduce((acc, rating) => acc + rating.rating, 0);
       this.average_rating = (sum / ratings.length).toFixed(2);
@@ -297,20 +320,48 @@ module.exports = (sequelize, DataTypes) => {
       this.average_rating = 0.00;
       this.total_reviews = 0;
     }
-    await this.save();
+    this.ranking_score = computeRankingScore(ratings);
+    await this.save({ transaction: options.transaction });
   };
 
-  Store.prototype.isOpen = function(day = null, time = null) {
-    if (!this.hours) return false;
-    
-    const now = new Date();
-    const currentDay = day || now.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    const currentTime = time || now.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
-    
-    const dayHours = this.hours[currentDay];
-    if (!dayHours || dayHours.closed) return false;
-    
-    return currentTime >= dayHours.open && currentTime <= dayHours.close;
+  /**
+   * Open state at an instant, evaluated in the store's own timezone. Special
+   * hours are honoured when loaded, see Store.specialHoursInclude.
+   * @param {Date} [at=new Date()] - Instant to check
+   * @returns {{isOpen: boolean, closesAt: Date|null, nextOpensAt: Date|null}}
+   */
+  Store.prototype.getOpenStatus = function(at = new Date()) {
+    return getOpenStatus(this.hours, this.timezone || 'UTC', at, this.specialHours || []);
+  };
+
+  Store.prototype.isOpen = function(at = new Date()) {
+    return this.getOpenStatus(at).isOpen;
+  };
+
+  /**
+   * Report the open state in responses as of `at` instead of now, e.g. the
+   * instant a list was filtered on. Load special hours around the same instant.
+   * @param {Date} at - Instant
+   * @returns {Object} The store
+   */
+  Store.prototype.reportOpenStatusAt = function(at) {
+    this.openStatusAt = at;
+    return this;
+  };
+
+  // Responses carry the open state (now, unless reportOpenStatusAt was
+  // called) whenever the hours were loaded.
+  // Verification documents are only exposed through verification requests.
+  Store.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.verification_documents;
+    if (values.hours !== undefined) {
+      const { isOpen, closesAt, nextOpensAt } = this.getOpenStatus(this.openStatusAt || new Date());
+      values.isOpen = isOpen;
+      values.closesAt = closesAt;
+      values.nextOpensAt = nextOpensAt;
+    }
+    return values;
   };
 
   Store.prototype.getDistanceFrom = function(lat, lng) {
@@ -363,32 +414,176 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  /**
+   * PostGIS geography for a WGS84 coordinate pair. The numbers are handed to
+   * ST_MakePoint as escaped values rather than spliced into the SQL text.
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Object} Sequelize cast expression
+   */
+  Store.geographyPoint = function(lat, lng) {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      throw new Error('Invalid coordinates');
+    }
+
+    return sequelize.cast(
+      sequelize.fn('ST_SetSRID', sequelize.fn('ST_MakePoint', longitude, latitude), 4326),
+      'geography'
+    );
+  };
+
+  /**
+   * Where clause for active stores within `radius` km of a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} [radius=10] - Search radius in kilometers
+   * @param {Object} [where] - Other conditions to keep
+   * @returns {Object} Where clause
+   */
+  Store.nearbyWhere = function(lat, lng, radius = 10, where = {}) {
+    const { Op } = require('sequelize');
+    const origin = this.geographyPoint(lat, lng);
+    // Matches the stores_location_geography expression index
+    const storeLocation = sequelize.cast(sequelize.col('Store.location'), 'geography');
+
+    return {
+      ...where,
+      is_active: true,
+      [Op.and]: [
+        ...(where[Op.and] || []),
+        sequelize.where(
+          sequelize.fn('ST_DWithin', storeLocation, origin, Number(radius) * 1000), // km to meters
+          true
+        )
+      ]
+    };
+  };
+
+  /**
+   * Active stores within `radius` km of a point, nearest first unless
+   * options.order says otherwise
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radius - Search radius in kilometers
+   * @param {Object} options - Extra findAndCountAll options (where, order, limit, offset, include)
+   * @returns {Promise<{rows: Array, count: number}>}
+   */
   Store.findNearby = async function(lat, lng, radius = 10, options = {}) {
+    const { where, ...rest } = options;
+
+    return await this.findAndCountAll({
+      distinct: true,
+      order: this.sortOrder('nearest', { lat, lng }),
+      ...rest,
+      where: this.nearbyWhere(lat, lng, radius, where)
+    });
+  };
+
+  // Listing sorts accepted by ?sort=
+  Store.SORTS = ['best', 'newest', 'most_reviewed', 'nearest'];
+
+  // What list endpoints accept in ?filter=, ?sort= and ?fields= (utils/queryParser)
+  Store.LIST_QUERY = {
+    filters: [
+      'name', 'category', 'owner_id', 'average_rating', 'ranking_score', 'total_reviews',
+      'is_verified', 'verified_at', 'created_at', 'updated_at'
+    ],
+    sorts: ['name', 'average_rating', 'ranking_score', 'total_reviews', 'created_at', 'updated_at'],
+    fields: [
+      'name', 'slug', 'description', 'category', 'address', 'location', 'phone', 'email',
+      'website', 'hours', 'timezone', 'images', 'owner_id', 'average_rating', 'ranking_score',
+      'total_reviews', 'is_verified', 'verified_at', 'is_active', 'created_at', 'updated_at'
+    ],
+    presets: Store.SORTS,
+    // Opening status in toJSON needs the timezone
+    requires: { hours: ['timezone'] }
+  };
+
+  /**
+   * ORDER BY for a listing sort. Every order ends on id so pages are stable.
+   * @param {string} [sort='best'] - One of Store.SORTS
+   * @param {Object} [origin] - { lat, lng }, required for 'nearest'
+   * @returns {Array} Sequelize order
+   */
+  Store.sortOrder = function(sort = 'best', origin = null) {
+    switch (sort) {
+      case 'newest':
+        return [['created_at', 'DESC'], ['id', 'ASC']];
+      case 'most_reviewed':
+        return [['total_reviews', 'DESC'], ['ranking_score', 'DESC'], ['id', 'ASC']];
+      case 'nearest': {
+        const storeLocation = sequelize.cast(sequelize.col('Store.location'), 'geography');
+        return [
+          [sequelize.fn('ST_Distance', storeLocation, this.geographyPoint(origin.lat, origin.lng)), 'ASC'],
+          ['id', 'ASC']
+        ];
+      }
+      default:
+        return [['ranking_score', 'DESC'], ['total_reviews', 'DESC'], ['id', 'ASC']];
+    }
+  };
+
+  /**
+   * Include for the special hours that can affect the open state around an
+   * instant. Dates are padded by a day either side to cover every timezone.
+   * @param {Date} [at=new Date()] - Reference instant
+   * @returns {Object} Sequelize include
+   */
+  Store.specialHoursInclude = function(at = new Date()) {
     const { Op } = require('sequelize');
-    
-    return await this.findAll({
+    const day = 24 * 60 * 60 * 1000;
+    const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+    return {
+      model: sequelize.models.StoreSpecialHours,
+      as: 'specialHours',
+      separate: true,
       where: {
-        location: {
-          [Op.and]: [
-            sequelize.where(
-              sequelize.fn(
-                'ST_DWithin',
-                sequelize.col('location'),
-                sequelize.fn('ST_GeomFromText', `POINT(${lng} ${lat})`, 4326),
-                radius * 1000 // Convert km to meters
-              ),
-              true
-            )
-          ]
-        },
-        is_active: true,
-        ...options.where
+        end_date: { [Op.gte]: toDate(at.getTime() - 2 * day) },
+        start_date: { [Op.lte]: toDate(at.getTime() + 9 * day) }
       },
-      order: [
-        sequelize.literal(`ST_Distance(location, ST_GeomFromText('POINT(${lng} ${lat})', 4326)) ASC`)
-      ],
-      ...options
-    });
+      order: [['start_date', 'ASC']]
+    };
+  };
+
+  /**
+   * SQL pre-filter for stores that may be open at an instant: on the store's
+   * local date or the day before (for hours running past midnight), an
+   * override that isn't a closure, or no override and weekly hours for that
+   * weekday. Times of day are still checked by Store#isOpen.
+   * @param {Date} at - Instant to check
+   * @returns {Object} Sequelize literal for a where clause
+   */
+  Store.mayBeOpenCondition = function(at) {
+    const override = `SELECT 1 FROM store_special_hours sh
+                       WHERE sh.store_id = "Store"."id"
+                         AND local.day BETWEEN sh.start_date AND sh.end_date`;
+
+    return sequelize.literal(`EXISTS (
+      SELECT 1
+        FROM (VALUES (0), (1)) AS back(days),
+             LATERAL (SELECT (${sequelize.escape(at.toISOString())}::timestamptz
+                               AT TIME ZONE "Store"."timezone")::date - back.days AS day) AS local
+       WHERE CASE
+               WHEN EXISTS (${override}) THEN EXISTS (${override} AND NOT sh.closed)
+               ELSE "Store"."hours" -> to_char(local.day, 'FMday') IS NOT NULL
+                AND COALESCE(("Store"."hours" -> to_char(local.day, 'FMday') ->> 'closed')::boolean, false) = false
+             END
+    )`);
+  };
+
+  /**
+   * Recompute ranking_score in SQL, for every store or one. Needed
+   * periodically when RANKING_HALF_LIFE_DAYS is set, since scores decay
+   * without new reviews.
+   * @param {Object} [options]
+   * @param {string} [options.storeId] - Limit to one store
+   * @param {Object} [options.transaction]
+   */
+  Store.refreshRankingScores = async function(options = {}) {
+    return await refreshRankingScores(sequelize, { storeId: options.storeId, transaction: options.transaction });
   };
 
   Store.findVerified = async function(options = {}) {
@@ -415,6 +610,24 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'store_id',
       as: 'ratings'
     });
+
+    // Store has a history of ownership verification requests
+    Store.hasMany(models.VerificationRequest, {
+      foreignKey: 'store_id',
+      as: 'verificationRequests'
+    });
+
+    // Store has a gallery of uploaded photos
+    Store.hasMany(models.Photo, {
+      foreignKey: 'store_id',
+      as: 'photos'
+    });
+
+    // Store has many date-specific hour overrides
+    Store.hasMany(models.StoreSpecialHours, {
+      foreignKey: 'store_id',
+      as: 'specialHours'
+    });
   };
 
   return Store;
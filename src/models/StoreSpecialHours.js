@@ -0,0 +1,115 @@
+const { validateIntervals } = require('../utils/storeHours');
+
+module.exports = (sequelize, DataTypes) => {
+  const StoreSpecialHours = sequelize.define('StoreSpecialHours', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    // Inclusive range of local dates (in the store's timezone) the override applies to
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        notBeforeStart(value) {
+          if (value < this.start_date) {
+            throw new Error('End date cannot be before start date');
+          }
+        }
+      }
+    },
+    closed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Same { open, close } shape as the weekly hours; replaces them on these dates
+    intervals: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isValidIntervals(value) {
+          if (!this.closed) {
+            validateIntervals(value, 'special hours');
+          }
+        }
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 200],
+          msg: 'Reason cannot exceed 200 characters'
+        }
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'store_special_hours',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['store_id', 'start_date']
+      },
+      {
+        fields: ['store_id', 'end_date']
+      }
+    ]
+  });
+
+  // Class methods
+  StoreSpecialHours.findOverlapping = async function(storeId, startDate, endDate, excludeId = null, options = {}) {
+    const { Op } = require('sequelize');
+
+    return await this.findOne({
+      where: {
+        store_id: storeId,
+        start_date: { [Op.lte]: endDate },
+        end_date: { [Op.gte]: startDate },
+        ...(excludeId && { id: { [Op.ne]: excludeId } })
+      },
+      ...options
+    });
+  };
+
+  // Association method (will be called in index.js)
+  StoreSpecialHours.associate = function(models) {
+    StoreSpecialHours.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+  };
+
+  return StoreSpecialHours;
+};
@@ -1,5 +1,5 @@
 const { DataTypes } = require('sequelize');
-const bcrypt = require('bcrypt');
+const bcrypt = require('bcryptjs');
 
 module.exports = (sequelize, DataTypes) => {
   const User = sequelize.define('User', {
@@ -118,6 +118,10 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    password_changed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     last_login: {
       type: DataTypes.DATE,
       allowNull: true
@@ -169,6 +173,7 @@ module.exports = (sequelize, DataTypes) => {
         if (user.changed('password')) {
           const saltRounds = 12;
           user.password = await bcrypt.hash(user.password, saltRounds);
+          user.password_changed_at = new Date();
         }
       }
     }
@@ -193,21 +198,57 @@ module.exports = (sequelize, DataTypes) => {
     return values;
   };
 
+  // Only the SHA-256 of the token is stored; the raw value goes in the email
   User.prototype.generateVerificationToken = function() {
     const crypto = require('crypto');
-    this.email_verification_token = crypto.randomBytes(32).toString('hex');
-    this.email_verification_expires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-    return this.email_verification_token;
+    const token = crypto.randomBytes(32).toString('hex');
+    this.email_verification_token = User.hashToken(token);
+    this.email_verification_expires = new Date(Date.now() + User.VERIFICATION_TOKEN_TTL);
+    return token;
   };
 
   User.prototype.generatePasswordResetToken = function() {
     const crypto = require('crypto');
-    this.password_reset_token = crypto.randomBytes(32).toString('hex');
+    const token = crypto.randomBytes(32).toString('hex');
+    this.password_reset_token = User.hashToken(token);
     this.password_reset_expires = new Date(Date.now() + 2 * 60 * 60 * 1000); // 2 hours
-    return this.password_reset_token;
+    return token;
+  };
+
+  // True when the password was changed after a JWT was issued (iat in seconds)
+  User.prototype.changedPasswordAfter = function(issuedAt) {
+    if (!this.password_changed_at) return false;
+    return Math.floor(this.password_changed_at.getTime() / 1000) > issuedAt;
   };
 
   // Class methods
+  User.VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+  User.hashToken = function(token) {
+    const crypto = require('crypto');
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  User.findByVerificationToken = async function(token) {
+    const { Op } = require('sequelize');
+    return await this.findOne({
+      where: {
+        email_verification_token: this.hashToken(token),
+        email_verification_expires: { [Op.gt]: new Date() }
+      }
+    });
+  };
+
+  User.findByPasswordResetToken = async function(token) {
+    const { Op } = require('sequelize');
+    return await this.findOne({
+      where: {
+        password_reset_token: this.hashToken(token),
+        password_reset_expires: { [Op.gt]: new Date() }
+      }
+    });
+  };
+
   User.findByEmail = async function(email) {
     return await this.findOne({
       where: {
@@ -226,6 +267,16 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  // What list endpoints accept in ?filter=, ?sort= and ?fields= (utils/queryParser)
+  User.LIST_QUERY = {
+    filters: ['role', 'is_active', 'is_email_verified', 'created_at', 'last_login'],
+    sorts: ['name', 'email', 'created_at'],
+    fields: [
+      'name', 'email', 'role', 'avatar', 'phone', 'is_email_verified', 'is_active',
+      'last_login', 'created_at', 'updated_at'
+    ]
+  };
+
   // Association method (will be called in index.js)
   User.associate = function(models) {
     // User has many Stores (as owner)
@@ -239,6 +290,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'user_id',
       as: 'ratings'
     });
+
+    // User has many RefreshTokens (one per active session)
+    User.hasMany(models.RefreshToken, {
+      foreignKey: 'user_id',
+      as: 'refreshTokens'
+    });
   };
 
   return User;
@@ -0,0 +1,142 @@
+module.exports = (sequelize, DataTypes) => {
+  // An owner's request to have a store marked verified, decided by an admin
+  const VerificationRequest = sequelize.define('VerificationRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false
+    },
+    store_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'stores',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    submitted_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    // Links to proof of ownership, e.g. a business licence or utility bill
+    documents: {
+      type: DataTypes.ARRAY(DataTypes.TEXT),
+      allowNull: false,
+      validate: {
+        isValidDocuments(value) {
+          if (!Array.isArray(value) || value.length === 0) {
+            throw new Error('At least one document is required');
+          }
+          if (value.length > 5) {
+            throw new Error('Maximum 5 documents allowed');
+          }
+        }
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 1000],
+          msg: 'Notes cannot exceed 1000 characters'
+        }
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Shown to the owner; required when rejecting
+    decision_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 1000],
+          msg: 'Reason cannot exceed 1000 characters'
+        }
+      }
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'verification_requests',
+    timestamps: true,
+    underscored: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        // At most one open request per store
+        unique: true,
+        fields: ['store_id'],
+        where: { status: 'pending' },
+        name: 'verification_requests_one_pending_per_store'
+      },
+      {
+        fields: ['status', 'created_at']
+      }
+    ]
+  });
+
+  // Class methods
+  VerificationRequest.findPendingForStore = async function(storeId, options = {}) {
+    return await this.findOne({
+      where: { store_id: storeId, status: 'pending' },
+      ...options
+    });
+  };
+
+  // Association method (will be called in index.js)
+  VerificationRequest.associate = function(models) {
+    VerificationRequest.belongsTo(models.Store, {
+      foreignKey: 'store_id',
+      as: 'store'
+    });
+
+    VerificationRequest.belongsTo(models.User, {
+      foreignKey: 'submitted_by',
+      as: 'submitter'
+    });
+
+    VerificationRequest.belongsTo(models.User, {
+      foreignKey: 'reviewed_by',
+      as: 'reviewer'
+    });
+  };
+
+  return VerificationRequest;
+};
@@ -1,10 +1,18 @@
 const { Sequelize } = require('sequelize');
-const config = require('../config/postgres');
+const config = require('../../config/postgres');
 
 // Import all models
 const User = require('./User');
 const Store = require('./Store');
 const Rating = require('./Rating');
+const RefreshToken = require('./RefreshToken');
+const StoreSpecialHours = require('./StoreSpecialHours');
+const ReviewVote = require('./ReviewVote');
+const Report = require('./Report');
+const AuditLog = require('./AuditLog');
+const ReviewReply = require('./ReviewReply');
+const Photo = require('./Photo');
+const VerificationRequest = require('./VerificationRequest');
 
 // Create Sequelize instance
 const sequelize = new Sequelize(
@@ -33,53 +41,24 @@ const sequelize = new Sequelize(
 const models = {
   User: User(sequelize, Sequelize.DataTypes),
   Store: Store(sequelize, Sequelize.DataTypes),
-  Rating: Rating(sequelize, Sequelize.DataTypes)
+  Rating: Rating(sequelize, Sequelize.DataTypes),
+  RefreshToken: RefreshToken(sequelize, Sequelize.DataTypes),
+  StoreSpecialHours: StoreSpecialHours(sequelize, Sequelize.DataTypes),
+  ReviewVote: ReviewVote(sequelize, Sequelize.DataTypes),
+  Report: Report(sequelize, Sequelize.DataTypes),
+  AuditLog: AuditLog(sequelize, Sequelize.DataTypes),
+  ReviewReply: ReviewReply(sequelize, Sequelize.DataTypes),
+  Photo: Photo(sequelize, Sequelize.DataTypes),
+  VerificationRequest: VerificationRequest(sequelize, Sequelize.DataTypes)
 };
 
-// Define associations
+// Define associations (each model declares its own in `associate`)
 Object.keys(models).forEach(modelName => {
   if (models[modelName].associate) {
     models[modelName].associate(models);
   }
 });
 
-// Define specific associations
-// User has many Stores (as owner)
-models.User.hasMany(models.Store, {
-  foreignKey: 'owner_id',
-  as: 'ownedStores'
-});
-
-// Store belongs to User (owner)
-models.Store.belongsTo(models.User, {
-  foreignKey: 'owner_id',
-  as: 'owner'
-});
-
-// User has many Ratings
-models.User.hasMany(models.Rating, {
-  foreignKey: 'user_id',
-  as: 'ratings'
-});
-
-// Store has many Ratings
-models.Store.hasMany(models.Rating, {
-  foreignKey: 'store_id',
-  as: 'ratings'
-});
-
-// Rating belongs to User
-models.Rating.belongsTo(models.User, {
-  foreignKey: 'user_id',
-  as: 'user'
-});
-
-// Rating belongs to Store
-models.Rating.belongsTo(models.Store, {
-  foreignKey: 'store_id',
-  as: 'store'
-});
-
 // Test database connection
 const testConnection = async () => {
   try {
@@ -90,7 +69,8 @@ const testConnection = async () => {
   }
 };
 
-// Sync database (create tables)
+// Sync database (create tables). Prefer `npm run db:migrate`; sync does not
+// track schema changes and `force` drops every table.
 const syncDatabase = async (force = false) => {
   try {
     await sequelize.sync({ force });
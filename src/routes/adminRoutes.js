@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFlaggedReviews,
+  getPendingReviews,
+  approveReview,
+  rejectReview,
+  getReports,
+  getVerificationRequests,
+  approveVerification,
+  rejectVerification,
+  unverifyStore,
+  getStats,
+  getUserStats,
+  getStoreStats,
+  getRatingStats,
+  getModerationStats,
+  getAuditLogs
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+const {
+  validateModerationDecision,
+  validateReportListQuery,
+  validateAuditLogQuery,
+  validateVerificationApproval,
+  validateVerificationReason,
+  validateVerificationListQuery,
+  validateStatsQuery,
+  validatePagination
+} = require('../middleware/validation');
+
+// Every admin route requires an admin account
+router.use(protect, authorize('admin'));
+
+// @route   GET /api/admin/stats
+// @desc    Dashboard overview (?from=&to=&interval=day|week&minReviews=&limit=)
+// @access  Private/Admin
+router.get('/stats', validateStatsQuery, getStats);
+
+// @route   GET /api/admin/stats/users
+// @desc    Users by role (?from=&to= registration range)
+// @access  Private/Admin
+router.get('/stats/users', validateStatsQuery, getUserStats);
+
+// @route   GET /api/admin/stats/stores
+// @desc    Stores per category and rating rankings (?from=&to=&minReviews=&limit=)
+// @access  Private/Admin
+router.get('/stats/stores', validateStatsQuery, getStoreStats);
+
+// @route   GET /api/admin/stats/ratings
+// @desc    Review volume time series (?from=&to=&interval=day|week)
+// @access  Private/Admin
+router.get('/stats/ratings', validateStatsQuery, getRatingStats);
+
+// @route   GET /api/admin/stats/moderation
+// @desc    Moderation queue sizes
+// @access  Private/Admin
+router.get('/stats/moderation', getModerationStats);
+
+// @route   GET /api/admin/reviews/flagged
+// @desc    Flagged reviews awaiting a decision
+// @access  Private/Admin
+router.get('/reviews/flagged', validatePagination, getFlaggedReviews);
+
+// @route   GET /api/admin/reviews/pending
+// @desc    Unapproved reviews awaiting a decision
+// @access  Private/Admin
+router.get('/reviews/pending', validatePagination, getPendingReviews);
+
+// @route   POST /api/admin/reviews/:id/approve
+// @desc    Approve a review and dismiss its reports
+// @access  Private/Admin
+router.post('/reviews/:id/approve', validateModerationDecision, approveReview);
+
+// @route   POST /api/admin/reviews/:id/reject
+// @desc    Reject a review and uphold its reports
+// @access  Private/Admin
+router.post('/reviews/:id/reject', validateModerationDecision, rejectReview);
+
+// @route   GET /api/admin/reports
+// @desc    List review reports (?status=pending|upheld|dismissed&reviewId=)
+// @access  Private/Admin
+router.get('/reports', validateReportListQuery, getReports);
+
+// @route   GET /api/admin/verifications
+// @desc    List store verification requests (?status=pending|approved|rejected&storeId=)
+// @access  Private/Admin
+router.get('/verifications', validateVerificationListQuery, getVerificationRequests);
+
+// @route   POST /api/admin/verifications/:id/approve
+// @desc    Approve a verification request
+// @access  Private/Admin
+router.post('/verifications/:id/approve', validateVerificationApproval, approveVerification);
+
+// @route   POST /api/admin/verifications/:id/reject
+// @desc    Reject a verification request ({ reason } required)
+// @access  Private/Admin
+router.post('/verifications/:id/reject', validateVerificationReason, rejectVerification);
+
+// @route   POST /api/admin/stores/:id/unverify
+// @desc    Remove a store's verified badge ({ reason } required)
+// @access  Private/Admin
+router.post('/stores/:id/unverify', validateVerificationReason, unverifyStore);
+
+// @route   GET /api/admin/audit-logs
+// @desc    Audit trail (?entityType=&entityId=&actorId=&action=)
+// @access  Private/Admin
+router.get('/audit-logs', validateAuditLogQuery, getAuditLogs);
+
+module.exports = router;
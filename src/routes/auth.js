@@ -1,43 +0,0 @@
-const express = require('express');
-const authController = require('../controllers/authController');
-const { validateRegister, validateLogin } = require('../middleware/validation');
-const auth = require('../middleware/auth');
-
-const router = express.Router();
-
-// @route   POST /api/auth/register
-// @desc    Register a new user
-// @access  Public
-router.post('/register', validateRegister, authController.register);
-
-// @route   POST /api/auth/login
-// @desc    Login user and return JWT token
-// @access  Public
-router.post('/login', validateLogin, authController.login);
-
-// @route   POST /api/auth/logout
-// @desc    Logout user
-// @access  Private
-router.post('/logout', auth, authController.logout);
-
-// @route   POST /api/auth/forgot-password
-// @desc    Send password reset email
-// @access  Public
-router.post('/forgot-password', authController.forgotPassword);
-
-// @route   POST /api/auth/reset-password
-// @desc    Reset password with token
-// @access  Public
-router.post('/reset-password', authController.resetPassword);
-
-// @route   GET /api/auth/profile
-// @desc    Get current user profile
-// @access  Private
-router.get('/profile', auth, authController.getProfile);
-
-// @route   PUT /api/auth/profile
-// @desc    Update user profile
-// @access  Private
-router.put('/profile', auth, authController.updateProfile);
-
-module.exports = router;
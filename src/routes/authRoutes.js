@@ -0,0 +1,77 @@
+const express = require('express');
+const authController = require('../controllers/authController');
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword
+} = require('../middleware/validation');
+const { protect } = require('../middleware/auth');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Verification emails are throttled per account in the controller as well
+const verificationLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: 'Too many verification requests, please try again later.'
+});
+
+const passwordResetLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: 'Too many password reset requests, please try again later.'
+});
+
+// @route   POST /api/auth/register
+// @desc    Register a new user
+// @access  Public
+router.post('/register', validateRegister, authController.registerUser);
+
+// @route   POST /api/auth/login
+// @desc    Login user and return JWT token
+// @access  Public
+router.post('/login', validateLogin, authController.loginUser);
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify-email/:token', authController.verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend verification email
+// @access  Private
+router.post('/resend-verification', verificationLimiter, protect, authController.resendVerification);
+
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token cookie and issue a new access token
+// @access  Public (refresh token cookie)
+router.post('/refresh', authController.refreshAccessToken);
+
+// @route   POST /api/auth/logout
+// @desc    Logout user (revoke current session)
+// @access  Public (refresh token cookie)
+router.post('/logout', authController.logoutUser);
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from all devices
+// @access  Private
+router.post('/logout-all', protect, authController.logoutAllDevices);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset email
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, authController.forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with token
+// @access  Public
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, authController.resetPassword);
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile
+// @access  Private
+router.get('/me', protect, authController.getMe);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReview,
+  updateReview,
+  deleteReview,
+  getReplies,
+  addReply,
+  updateReply,
+  deleteReply,
+  getReplyHistory,
+  uploadReviewImages,
+  deleteReviewImage,
+  voteReview,
+  retractVote,
+  reportReview
+} = require('../controllers/reviewController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { uploadImages } = require('../middleware/upload');
+const { requireReviewAuthor } = require('../middleware/ownership');
+const {
+  MAX_REVIEW_IMAGES,
+  validateReviewUpdate,
+  validateReply,
+  validateVote,
+  validateReport
+} = require('../middleware/validation');
+
+// Store-scoped review routes (/api/stores/:storeId/reviews) live in
+// storeReviewRoutes.js and are mounted by the store router.
+
+// @route   GET /api/reviews/:id
+// @desc    Get single review (includes the caller's vote when signed in)
+// @access  Public
+router.get('/:id', optionalAuth, getReview);
+
+// @route   PUT /api/reviews/:id
+// @desc    Update review
+// @access  Private (Review owner only)
+router.put('/:id', [
+  protect,
+  ...validateReviewUpdate
+], updateReview);
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete review
+// @access  Private (Review owner or admin)
+router.delete('/:id', protect, deleteReview);
+
+// @route   GET /api/reviews/:id/replies
+// @desc    Get the reply thread of a review
+// @access  Public
+router.get('/:id/replies', getReplies);
+
+// @route   POST /api/reviews/:id/replies
+// @desc    Store owner reply, or reviewer response once the owner has replied
+// @access  Private (Store owner, admin or the reviewer)
+router.post('/:id/replies', [
+  protect,
+  ...validateReply
+], addReply);
+
+// @route   PUT /api/reviews/:id/replies/:replyId
+// @desc    Edit a reply
+// @access  Private (Reply author only)
+router.put('/:id/replies/:replyId', [
+  protect,
+  ...validateReply
+], updateReply);
+
+// @route   DELETE /api/reviews/:id/replies/:replyId
+// @desc    Delete a reply
+// @access  Private (Reply author or admin)
+router.delete('/:id/replies/:replyId', protect, deleteReply);
+
+// @route   GET /api/reviews/:id/replies/:replyId/history
+// @desc    Get the edit history of a reply
+// @access  Public
+router.get('/:id/replies/:replyId/history', getReplyHistory);
+
+// @route   POST /api/reviews/:id/images
+// @desc    Upload review images (multipart field "images")
+// @access  Private (Review owner only)
+router.post('/:id/images', [
+  protect,
+  requireReviewAuthor('id'),
+  uploadImages('images', MAX_REVIEW_IMAGES)
+], uploadReviewImages);
+
+// @route   DELETE /api/reviews/:id/images/:photoId
+// @desc    Delete an uploaded review image
+// @access  Private (Review owner or admin)
+router.delete('/:id/images/:photoId', [
+  protect,
+  requireReviewAuthor('id', { allowAdmin: true })
+], deleteReviewImage);
+
+// @route   POST /api/reviews/:id/vote
+// @desc    Vote review helpful or unhelpful ({ vote: 'helpful' | 'unhelpful' })
+// @access  Private
+router.post('/:id/vote', [
+  protect,
+  ...validateVote
+], voteReview);
+
+// @route   DELETE /api/reviews/:id/vote
+// @desc    Retract your vote on a review
+// @access  Private
+router.delete('/:id/vote', protect, retractVote);
+
+// @route   POST /api/reviews/:id/report
+// @desc    Report review
+// @access  Private
+router.post('/:id/report', [
+  protect,
+  ...validateReport
+], reportReview);
+
+module.exports = router;
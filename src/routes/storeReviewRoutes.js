@@ -0,0 +1,30 @@
+const express = require('express');
+// mergeParams exposes :storeId from the parent store router
+const router = express.Router({ mergeParams: true });
+const {
+  getStoreReviews,
+  addReview
+} = require('../controllers/reviewController');
+const { protect, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { validateReview, validateReviewListQuery } = require('../middleware/validation');
+
+// Set REQUIRE_VERIFIED_REVIEWS=true to only accept reviews from verified accounts
+const reviewerGuards = process.env.REQUIRE_VERIFIED_REVIEWS === 'true'
+  ? [protect, requireVerifiedEmail]
+  : [protect];
+
+// @route   GET /api/stores/:storeId/reviews
+// @desc    Get reviews for a store with filters, sorting and the star
+//          distribution (includes the caller's votes when signed in)
+// @access  Public
+router.get('/', optionalAuth, validateReviewListQuery, getStoreReviews);
+
+// @route   POST /api/stores/:storeId/reviews
+// @desc    Add review to store
+// @access  Private
+router.post('/', [
+  ...reviewerGuards,
+  ...validateReview
+], addReview);
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllStores,
+  getNearbyStores,
+  searchStores,
+  suggestStores,
+  getStore,
+  createStore,
+  updateStore,
+  deleteStore,
+  uploadStoreImages,
+  deleteStoreImage,
+  getStoreAnalytics,
+  getStoresByOwner,
+  getMyStores,
+  getStoresByCategory
+} = require('../controllers/storeController');
+const { protect, authorize } = require('../middleware/auth');
+const { requireStoreOwner } = require('../middleware/ownership');
+const { uploadImages } = require('../middleware/upload');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+const {
+  MAX_STORE_IMAGES,
+  validateStore,
+  validateStoreUpdate,
+  validateCategoryParam,
+  validateStoreListQuery,
+  validateStoreListing,
+  validateNearbyQuery,
+  validateSearchQuery,
+  validateSuggestQuery,
+  validateAnalyticsQuery
+} = require('../middleware/validation');
+const storeReviewRoutes = require('./storeReviewRoutes');
+const storeSpecialHoursRoutes = require('./storeSpecialHoursRoutes');
+const storeVerificationRoutes = require('./storeVerificationRoutes');
+
+// Suggestions are fetched on every keystroke, so they are exempt from the
+// global /api limit and get a per-minute budget of their own
+const suggestLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120,
+  message: 'Too many suggestion requests, please slow down.'
+});
+
+// Nested review routes: /api/stores/:storeId/reviews
+router.use('/:storeId/reviews', storeReviewRoutes);
+
+// Nested special-hours routes: /api/stores/:storeId/special-hours
+router.use('/:storeId/special-hours', storeSpecialHoursRoutes);
+
+// Nested verification routes: /api/stores/:storeId/verification
+router.use('/:storeId/verification', storeVerificationRoutes);
+
+// @route   GET /api/stores
+// @desc    Get all stores (with pagination and filters)
+// @access  Public
+router.get('/', validateStoreListQuery, getAllStores);
+
+// @route   GET /api/stores/nearby
+// @desc    Get stores within a radius (km) of a point, nearest first
+// @access  Public
+router.get('/nearby', validateNearbyQuery, getNearbyStores);
+
+// @route   GET /api/stores/search
+// @desc    Relevance-ranked search over stores and their reviews, with highlights
+// @access  Public
+router.get('/search', validateSearchQuery, searchStores);
+
+// @route   GET /api/stores/suggest
+// @desc    Type-ahead suggestions (store names, categories, cities)
+// @access  Public
+router.get('/suggest', suggestLimiter, validateSuggestQuery, suggestStores);
+
+// @route   GET /api/stores/my-stores
+// @desc    Get stores owned by the current user
+// @access  Private/Store owner, Admin
+router.get('/my-stores', protect, authorize('store_owner', 'admin'), validateStoreListing, getMyStores);
+
+// @route   GET /api/stores/owner/:ownerId
+// @desc    Get stores by owner
+// @access  Public
+router.get('/owner/:ownerId', validateStoreListing, getStoresByOwner);
+
+// @route   GET /api/stores/category/:category
+// @desc    Get stores by category
+// @access  Public
+router.get('/category/:category', validateCategoryParam, getStoresByCategory);
+
+// @route   GET /api/stores/:storeId/analytics
+// @desc    Rating trends and review insights (?from=&to=&interval=day|week|month)
+// @access  Private/Store owner (own stores), Admin
+router.get('/:storeId/analytics', [
+  protect,
+  requireStoreOwner('storeId'),
+  ...validateAnalyticsQuery
+], getStoreAnalytics);
+
+// @route   GET /api/stores/:id
+// @desc    Get single store
+// @access  Public
+router.get('/:id', getStore);
+
+// @route   POST /api/stores
+// @desc    Create new store
+// @access  Private/Store owner, Admin
+router.post('/', [
+  protect,
+  authorize('store_owner', 'admin'),
+  ...validateStore
+], createStore);
+
+// @route   PUT /api/stores/:id
+// @desc    Update store
+// @access  Private/Store owner (own stores), Admin
+router.put('/:id', [
+  protect,
+  requireStoreOwner(),
+  ...validateStoreUpdate
+], updateStore);
+
+// @route   DELETE /api/stores/:id
+// @desc    Delete store
+// @access  Private/Store owner (own stores), Admin
+router.delete('/:id', protect, requireStoreOwner(), deleteStore);
+
+// @route   POST /api/stores/:storeId/images
+// @desc    Upload gallery images (multipart field "images")
+// @access  Private/Store owner (own stores), Admin
+router.post('/:storeId/images', [
+  protect,
+  requireStoreOwner('storeId'),
+  uploadImages('images', MAX_STORE_IMAGES)
+], uploadStoreImages);
+
+// @route   DELETE /api/stores/:storeId/images/:photoId
+// @desc    Delete an uploaded gallery image
+// @access  Private/Store owner (own stores), Admin
+router.delete('/:storeId/images/:photoId', protect, requireStoreOwner('storeId'), deleteStoreImage);
+
+module.exports = router;
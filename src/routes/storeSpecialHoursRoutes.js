@@ -0,0 +1,40 @@
+const express = require('express');
+// mergeParams exposes :storeId from the parent store router
+const router = express.Router({ mergeParams: true });
+const {
+  getSpecialHours,
+  createSpecialHours,
+  updateSpecialHours,
+  deleteSpecialHours
+} = require('../controllers/specialHoursController');
+const { protect } = require('../middleware/auth');
+const { requireStoreOwner } = require('../middleware/ownership');
+const {
+  validateSpecialHours,
+  validateSpecialHoursUpdate
+} = require('../middleware/validation');
+
+// Only the store owner (or an admin) manages special hours
+router.use(protect, requireStoreOwner('storeId'));
+
+// @route   GET /api/stores/:storeId/special-hours
+// @desc    Get upcoming special hours (?includePast=true for all)
+// @access  Private/Store owner (own stores), Admin
+router.get('/', getSpecialHours);
+
+// @route   POST /api/stores/:storeId/special-hours
+// @desc    Add a holiday, closure or extended-hours override
+// @access  Private/Store owner (own stores), Admin
+router.post('/', validateSpecialHours, createSpecialHours);
+
+// @route   PUT /api/stores/:storeId/special-hours/:id
+// @desc    Update special hours
+// @access  Private/Store owner (own stores), Admin
+router.put('/:id', validateSpecialHoursUpdate, updateSpecialHours);
+
+// @route   DELETE /api/stores/:storeId/special-hours/:id
+// @desc    Delete special hours
+// @access  Private/Store owner (own stores), Admin
+router.delete('/:id', deleteSpecialHours);
+
+module.exports = router;
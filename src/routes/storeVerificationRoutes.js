@@ -0,0 +1,25 @@
+const express = require('express');
+// mergeParams exposes :storeId from the parent store router
+const router = express.Router({ mergeParams: true });
+const {
+  getVerification,
+  requestVerification
+} = require('../controllers/verificationController');
+const { protect } = require('../middleware/auth');
+const { requireStoreOwner } = require('../middleware/ownership');
+const { validateVerificationRequest } = require('../middleware/validation');
+
+// Only the store owner (or an admin) sees or requests verification
+router.use(protect, requireStoreOwner('storeId'));
+
+// @route   GET /api/stores/:storeId/verification
+// @desc    Verification status and request history
+// @access  Private/Store owner (own stores), Admin
+router.get('/', getVerification);
+
+// @route   POST /api/stores/:storeId/verification
+// @desc    Submit ownership documents for verification
+// @access  Private/Store owner (own stores), Admin
+router.post('/', validateVerificationRequest, requestVerification);
+
+module.exports = router;
@@ -9,8 +9,9 @@ const {
   updateUser,
   deleteUser
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 const { body } = require('express-validator');
+const { validate, validatePagination } = require('../middleware/validation');
 
 // @route   GET /api/users/profile
 // @desc    Get user profile
@@ -24,38 +25,41 @@ router.put('/profile', [
   protect,
   body('name').optional().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').optional().isEmail().withMessage('Please include a valid email'),
-  body('avatar').optional().isURL().withMessage('Avatar must be a valid URL')
+  body('avatar').optional().isURL().withMessage('Avatar must be a valid URL'),
+  validate
 ], updateUserProfile);
 
 // @route   GET /api/users/reviews
 // @desc    Get user's reviews
 // @access  Private
-router.get('/reviews', protect, getUserReviews);
+router.get('/reviews', protect, validatePagination, getUserReviews);
 
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
 // @access  Private/Admin
-router.get('/', protect, getAllUsers);
+router.get('/', protect, authorize('admin'), validatePagination, getAllUsers);
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID (Admin only)
 // @access  Private/Admin
-router.get('/:id', protect, getUserById);
+router.get('/:id', protect, authorize('admin'), getUserById);
 
 // @route   PUT /api/users/:id
 // @desc    Update user (Admin only)
 // @access  Private/Admin
 router.put('/:id', [
   protect,
+  authorize('admin'),
   body('name').optional().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').optional().isEmail().withMessage('Please include a valid email'),
   body('role').optional().isIn(['customer', 'store_owner', 'admin']).withMessage('Invalid role'),
-  body('isEmailVerified').optional().isBoolean().withMessage('isEmailVerified must be boolean')
+  body('isEmailVerified').optional().isBoolean().withMessage('isEmailVerified must be boolean'),
+  validate
 ], updateUser);
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user (Admin only)
 // @access  Private/Admin
-router.delete('/:id', protect, deleteUser);
+router.delete('/:id', protect, authorize('admin'), deleteUser);
 
 module.exports = router;
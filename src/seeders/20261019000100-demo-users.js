@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const {
+  DEMO_EMAIL_DOMAIN,
+  DEMO_PASSWORD,
+  FIRST_NAMES,
+  LAST_NAMES,
+  createRandom
+} = require('../database/demoData');
+
+const OWNER_COUNT = 6;
+const CUSTOMER_COUNT = 30;
+
+const up = async ({ context: queryInterface }) => {
+  const random = createRandom(2024);
+  // bulkInsert bypasses the model hooks, so hash once here
+  const password = await bcrypt.hash(DEMO_PASSWORD, 12);
+  const now = new Date();
+
+  const buildUser = (name, email, role) => ({
+    id: crypto.randomUUID(),
+    name,
+    email,
+    password,
+    role,
+    is_email_verified: true,
+    is_active: true,
+    created_at: new Date(now.getTime() - Math.floor(random() * 400) * 24 * 60 * 60 * 1000),
+    updated_at: now
+  });
+
+  const users = [buildUser('Demo Admin', `admin@${DEMO_EMAIL_DOMAIN}`, 'admin')];
+
+  for (let i = 1; i <= OWNER_COUNT; i++) {
+    const name = `${FIRST_NAMES[i % FIRST_NAMES.length]} ${LAST_NAMES[i % LAST_NAMES.length]}`;
+    users.push(buildUser(name, `owner${i}@${DEMO_EMAIL_DOMAIN}`, 'store_owner'));
+  }
+
+  for (let i = 1; i <= CUSTOMER_COUNT; i++) {
+    const first = FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)];
+    const last = LAST_NAMES[Math.floor(random() * LAST_NAMES.length)];
+    users.push(buildUser(`${first} ${last}`, `customer${i}@${DEMO_EMAIL_DOMAIN}`, 'customer'));
+  }
+
+  await queryInterface.bulkInsert('users', users);
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.sequelize.query(
+    'DELETE FROM users WHERE email LIKE :pattern',
+    { replacements: { pattern: `%@${DEMO_EMAIL_DOMAIN}` } }
+  );
+};
+
+module.exports = { up, down };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { QueryTypes } = require('sequelize');
+const {
+  DEMO_EMAIL_DOMAIN,
+  CATEGORIES,
+  CITIES,
+  STREETS,
+  STORE_NAMES,
+  createRandom,
+  slugify
+} = require('../database/demoData');
+
+const up = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+  const random = createRandom(4048);
+  const now = new Date();
+
+  const owners = await sequelize.query(
+    "SELECT id FROM users WHERE role = 'store_owner' AND email LIKE :pattern ORDER BY email",
+    { replacements: { pattern: `%@${DEMO_EMAIL_DOMAIN}` }, type: QueryTypes.SELECT }
+  );
+  if (owners.length === 0) {
+    throw new Error('Demo store owners not found, run the demo-users seeder first');
+  }
+
+  const stores = [];
+  let index = 0;
+
+  for (const category of CATEGORIES) {
+    for (const name of STORE_NAMES[category]) {
+      const place = CITIES[index % CITIES.length];
+      // Scatter stores within roughly 5km of the city centre
+      const lat = place.lat + (random() - 0.5) * 0.09;
+      const lng = place.lng + (random() - 0.5) * 0.09;
+      const closesLate = random() > 0.5;
+
+      stores.push({
+        id: crypto.randomUUID(),
+        name,
+        description: `${name} is a locally loved ${category.replace('_', ' ')} spot in ${place.city}.`,
+        category,
+        address: JSON.stringify({
+          street: `${100 + Math.floor(random() * 900)} ${STREETS[Math.floor(random() * STREETS.length)]}`,
+          city: place.city,
+          state: place.state,
+          zipCode: place.zip,
+          country: place.country
+        }),
+        location: sequelize.fn('ST_SetSRID', sequelize.fn('ST_MakePoint', lng, lat), 4326),
+        phone: `+1555${String(1000000 + index).slice(1)}`,
+        email: `${slugify(name)}@${DEMO_EMAIL_DOMAIN}`,
+        website: `https://${slugify(name)}.example.com`,
+        hours: JSON.stringify({
+          monday: { open: '09:00', close: closesLate ? '21:00' : '18:00', closed: false },
+          tuesday: { open: '09:00', close: closesLate ? '21:00' : '18:00', closed: false },
+          wednesday: { open: '09:00', close: closesLate ? '21:00' : '18:00', closed: false },
+          thursday: { open: '09:00', close: closesLate ? '21:00' : '18:00', closed: false },
+          friday: { open: '09:00', close: closesLate ? '22:00' : '18:00', closed: false },
+          saturday: { open: '10:00', close: '17:00', closed: false },
+          sunday: { open: '10:00', close: '16:00', closed: random() > 0.6 }
+        }),
+        timezone: place.timezone,
+        owner_id: owners[index % owners.length].id,
+        average_rating: 0,
+        total_reviews: 0,
+        is_verified: random() > 0.4,
+        is_active: random() > 0.05,
+        slug: slugify(name),
+        created_at: new Date(now.getTime() - Math.floor(random() * 365) * 24 * 60 * 60 * 1000),
+        updated_at: now
+      });
+      index++;
+    }
+  }
+
+  // Demo stores count as verified from the day they were listed
+  for (const store of stores) {
+    store.verified_at = store.is_verified ? store.created_at : null;
+  }
+
+  await queryInterface.bulkInsert('stores', stores);
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.sequelize.query(
+    'DELETE FROM stores WHERE owner_id IN (SELECT id FROM users WHERE email LIKE :pattern)',
+    { replacements: { pattern: `%@${DEMO_EMAIL_DOMAIN}` } }
+  );
+};
+
+module.exports = { up, down };
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { QueryTypes } = require('sequelize');
+const {
+  DEMO_EMAIL_DOMAIN,
+  REVIEW_TEMPLATES,
+  createRandom
+} = require('../database/demoData');
+const { refreshRankingScores } = require('../utils/ranking');
+
+// Skewed towards positive reviews, as real-world ratings tend to be
+const RATING_WEIGHTS = [[5, 0.4], [4, 0.3], [3, 0.15], [2, 0.1], [1, 0.05]];
+
+const pickRating = (random) => {
+  let roll = random();
+  for (const [value, weight] of RATING_WEIGHTS) {
+    if (roll < weight) return value;
+    roll -= weight;
+  }
+  return 5;
+};
+
+const up = async ({ context: queryInterface }) => {
+  const { sequelize } = queryInterface;
+  const random = createRandom(8096);
+  const now = Date.now();
+
+  const customers = await sequelize.query(
+    "SELECT id FROM users WHERE role = 'customer' AND email LIKE :pattern ORDER BY email",
+    { replacements: { pattern: `%@${DEMO_EMAIL_DOMAIN}` }, type: QueryTypes.SELECT }
+  );
+  const stores = await sequelize.query(
+    'SELECT id FROM stores WHERE owner_id IN (SELECT id FROM users WHERE email LIKE :pattern) ORDER BY slug',
+    { replacements: { pattern: `%@${DEMO_EMAIL_DOMAIN}` }, type: QueryTypes.SELECT }
+  );
+
+  const ratings = [];
+  for (const store of stores) {
+    const reviewCount = 3 + Math.floor(random() * Math.min(15, customers.length - 3));
+    const offset = Math.floor(random() * customers.length);
+
+    // Walk the customer list from a random offset so each customer
+    // reviews a store at most once (unique_user_store_rating)
+    for (let i = 0; i < reviewCount; i++) {
+      const customer = customers[(offset + i) % customers.length];
+      const rating = pickRating(random);
+      const templates = REVIEW_TEMPLATES[rating];
+      const [title, comment] = templates[Math.floor(random() * templates.length)];
+      const createdAt = new Date(now - Math.floor(random() * 365 * 24 * 60 * 60 * 1000));
+
+      ratings.push({
+        id: crypto.randomUUID(),
+        user_id: customer.id,
+        store_id: store.id,
+        rating,
+        title,
+        comment,
+        is_verified_purchase: random() > 0.5,
+        is_flagged: false,
+        is_approved: true,
+        created_at: createdAt,
+        updated_at: createdAt
+      });
+    }
+  }
+
+  await queryInterface.bulkInsert('ratings', ratings);
+
+  // A handful of other customers vote on each review
+  const votes = [];
+  for (const rating of ratings) {
+    const voterCount = Math.floor(random() * 6);
+    const offset = Math.floor(random() * customers.length);
+    for (let i = 0; i < voterCount; i++) {
+      const voter = customers[(offset + i) % customers.length];
+      if (voter.id === rating.user_id) continue;
+      votes.push({
+        id: crypto.randomUUID(),
+        user_id: voter.id,
+        rating_id: rating.id,
+        vote: random() > 0.25 ? 'helpful' : 'unhelpful',
+        created_at: rating.created_at,
+        updated_at: rating.created_at
+      });
+    }
+  }
+  if (votes.length > 0) {
+    await queryInterface.bulkInsert('review_votes', votes);
+  }
+
+  await sequelize.query(`
+    UPDATE ratings r
+    SET helpful_votes = counts.helpful, unhelpful_votes = counts.unhelpful
+    FROM (
+      SELECT rating_id,
+        COUNT(*) FILTER (WHERE vote = 'helpful') AS helpful,
+        COUNT(*) FILTER (WHERE vote = 'unhelpful') AS unhelpful
+      FROM review_votes
+      GROUP BY rating_id
+    ) counts
+    WHERE counts.rating_id = r.id
+  `);
+
+  // bulkInsert skips the Rating hooks, so refresh the store statistics here
+  await sequelize.query(`
+    UPDATE stores s
+    SET average_rating = stats.average, total_reviews = stats.total
+    FROM (
+      SELECT store_id, ROUND(AVG(rating)::numeric, 2) AS average, COUNT(*) AS total
+      FROM ratings
+      WHERE is_approved = true
+      GROUP BY store_id
+    ) stats
+    WHERE stats.store_id = s.id
+  `);
+
+  await refreshRankingScores(sequelize);
+};
+
+const down = async ({ context: queryInterface }) => {
+  await queryInterface.sequelize.query(
+    'DELETE FROM ratings WHERE user_id IN (SELECT id FROM users WHERE email LIKE :pattern)',
+    { replacements: { pattern: `%@${DEMO_EMAIL_DOMAIN}` } }
+  );
+  await queryInterface.sequelize.query(`
+    UPDATE stores s
+    SET average_rating = 0, total_reviews = 0
+    WHERE NOT EXISTS (SELECT 1 FROM ratings r WHERE r.store_id = s.id)
+  `);
+
+  await refreshRankingScores(queryInterface.sequelize);
+};
+
+module.exports = { up, down };
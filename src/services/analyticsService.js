@@ -0,0 +1,165 @@
+const { Op, QueryTypes } = require('sequelize');
+const { Store, Rating, sequelize } = require('../models');
+const { createdBetween, seriesRange, eachPeriod, formatPeriod } = require('../utils/dateRange');
+
+/**
+ * Review count and average star value of a { 5..1 } distribution
+ * @param {Object} distribution - From Rating.toDistribution
+ * @returns {{count: number, average: number|null}}
+ */
+const summarize = (distribution) => {
+  let count = 0;
+  let sum = 0;
+  Object.entries(distribution).forEach(([star, n]) => {
+    count += n;
+    sum += Number(star) * n;
+  });
+  return { count, average: count > 0 ? parseFloat((sum / count).toFixed(2)) : null };
+};
+
+/**
+ * Share of reviews in a range that got an owner reply, and how long the
+ * first owner reply took (median, in hours)
+ * @param {string} storeId - Store id
+ * @param {Object} range - { from, to }
+ * @returns {Promise<Object>}
+ */
+const getReplyStats = async (storeId, { from, to }) => {
+  const [row] = await sequelize.query(
+    `SELECT COUNT(*) AS reviews,
+            COUNT(first_reply_at) AS replied,
+            percentile_cont(0.5) WITHIN GROUP (
+              ORDER BY EXTRACT(EPOCH FROM first_reply_at - created_at)
+            ) AS median_seconds
+       FROM (
+         SELECT r.id, r.created_at, MIN(rr.created_at) AS first_reply_at
+           FROM ratings r
+           LEFT JOIN review_replies rr ON rr.rating_id = r.id AND rr.author_role = 'owner'
+          WHERE r.store_id = :storeId
+            AND r.is_approved = true
+            AND r.created_at BETWEEN :from AND :to
+          GROUP BY r.id
+       ) reviews`,
+    { replacements: { storeId, from, to }, type: QueryTypes.SELECT }
+  );
+
+  const reviews = parseInt(row.reviews, 10);
+  const replied = parseInt(row.replied, 10);
+  return {
+    reviews,
+    replied,
+    replyRate: reviews > 0 ? parseFloat((replied / reviews).toFixed(3)) : null,
+    medianHoursToReply: row.median_seconds === null
+      ? null
+      : parseFloat((row.median_seconds / 3600).toFixed(1))
+  };
+};
+
+/**
+ * How the store compares with other active stores in its category
+ * @param {Object} store - Store instance
+ * @param {Object} range - { from, to }
+ * @param {number|null} storeAverage - The store's average over the range
+ * @returns {Promise<Object>}
+ */
+const getCategoryComparison = async (store, range, storeAverage) => {
+  const [[row], stores, ahead] = await Promise.all([
+    Rating.findAll({
+      where: { is_approved: true, ...createdBetween(range) },
+      attributes: [
+        [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+        [sequelize.fn('COUNT', sequelize.col('Rating.id')), 'reviews'],
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('Rating.store_id'))), 'stores']
+      ],
+      include: [{
+        model: Store,
+        as: 'store',
+        attributes: [],
+        where: { category: store.category, is_active: true }
+      }],
+      raw: true
+    }),
+    Store.count({ where: { category: store.category, is_active: true } }),
+    Store.count({
+      where: {
+        category: store.category,
+        is_active: true,
+        average_rating: { [Op.gt]: store.average_rating }
+      }
+    })
+  ]);
+
+  const average = row.average === null ? null : parseFloat(parseFloat(row.average).toFixed(2));
+  const reviewedStores = parseInt(row.stores, 10);
+
+  return {
+    category: store.category,
+    average,
+    reviewsPerStore: reviewedStores > 0
+      ? parseFloat((parseInt(row.reviews, 10) / reviewedStores).toFixed(1))
+      : 0,
+    difference: average !== null && storeAverage !== null
+      ? parseFloat((storeAverage - average).toFixed(2))
+      : null,
+    // By all-time average rating
+    rank: ahead + 1,
+    stores
+  };
+};
+
+/**
+ * Rating trends and review insights for one store
+ * @param {Object} store - Store instance
+ * @param {Object} [range] - { from, to }; defaults as for the admin time series
+ * @param {string} [interval='day'] - day, week or month
+ * @returns {Promise<Object>}
+ */
+const getStoreAnalytics = async (store, range = {}, interval = 'day') => {
+  const { from, to } = seriesRange(range, interval);
+  const where = createdBetween({ from, to });
+
+  const [periods, votes, replies] = await Promise.all([
+    Rating.getRatingDistributionByPeriod(store.id, interval, { where }),
+    Rating.findAll({
+      where: { store_id: store.id, is_approved: true, ...where },
+      attributes: [
+        [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('helpful_votes')), 0), 'helpful'],
+        [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('unhelpful_votes')), 0), 'unhelpful']
+      ],
+      raw: true
+    }),
+    getReplyStats(store.id, { from, to })
+  ]);
+
+  const byPeriod = new Map(periods.map((item) => [item.period.getTime(), item.distribution]));
+  const series = eachPeriod(from, to, interval).map((start) => {
+    const distribution = byPeriod.get(start) || Rating.toDistribution([]);
+    return { period: formatPeriod(start), ...summarize(distribution), distribution };
+  });
+
+  const distribution = Rating.toDistribution(
+    periods.flatMap((item) => Object.entries(item.distribution))
+  );
+  const { count, average } = summarize(distribution);
+
+  return {
+    store: { id: store.id, name: store.name, category: store.category },
+    from,
+    to,
+    interval,
+    summary: {
+      reviews: count,
+      average,
+      distribution,
+      helpfulVotes: parseInt(votes[0].helpful, 10),
+      unhelpfulVotes: parseInt(votes[0].unhelpful, 10)
+    },
+    series,
+    replies,
+    category: await getCategoryComparison(store, { from, to }, average)
+  };
+};
+
+module.exports = {
+  getStoreAnalytics
+};
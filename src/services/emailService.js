@@ -0,0 +1,163 @@
+const nodemailer = require('nodemailer');
+
+// Messages sent through the json/stream transports are kept here so tests
+// and local development can inspect them without a mail server.
+const sentMessages = [];
+const MAX_CAPTURED_MESSAGES = 100;
+
+/**
+ * Build the transport named by MAIL_TRANSPORT:
+ *   smtp   - real delivery via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ *   json   - serialise messages to JSON (default outside production)
+ *   stream - render full RFC822 messages to a buffer
+ * @returns {Object} nodemailer transporter
+ */
+const createTransport = () => {
+  const kind = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'json');
+
+  switch (kind) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'stream':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+};
+
+let transporter = null;
+
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+/**
+ * Swap the transport (e.g. a stub in tests)
+ * @param {Object} transport - Anything exposing nodemailer's sendMail()
+ */
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} nodemailer info
+ */
+const sendEmail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Store Rating <no-reply@store-rating.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (info.message) {
+    sentMessages.push({ to, subject, text, html, raw: info.message.toString() });
+    if (sentMessages.length > MAX_CAPTURED_MESSAGES) {
+      sentMessages.shift();
+    }
+  }
+
+  return info;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Absolute URL to an API path, based on APP_URL
+ * @param {string} pathname - Path starting with /
+ * @returns {string} URL
+ */
+const apiUrl = (pathname) => {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base.replace(/\/$/, '')}${pathname}`;
+};
+
+/**
+ * Send the account verification link
+ * @param {Object} user - User instance
+ * @param {string} token - Raw verification token
+ * @returns {Promise<Object>} nodemailer info
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = apiUrl(`/api/auth/verify-email/${token}`);
+
+  return await sendEmail({
+    to: user.email,
+    subject: 'Verify your Store Rating account',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening the link below. It expires in 24 hours.\n\n${link}\n`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please verify your email address by clicking the link below. It expires in 24 hours.</p><p><a href="${link}">Verify email</a></p>`
+  });
+};
+
+/**
+ * Send the password reset link. The link targets the client app, which
+ * posts the token and new password to /api/auth/reset-password.
+ * @param {Object} user - User instance
+ * @param {string} token - Raw reset token
+ * @returns {Promise<Object>} nodemailer info
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const link = `${base}/reset-password?token=${token}`;
+
+  return await sendEmail({
+    to: user.email,
+    subject: 'Reset your Store Rating password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one. It expires in 2 hours.\n\n${link}\n\nIf you did not request this, you can ignore this email.\n`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Click the link below to choose a new one. It expires in 2 hours.</p><p><a href="${link}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Tell a reviewer that the store replied to their review
+ * @param {Object} reviewer - User instance (review author)
+ * @param {Object} store - Store instance
+ * @param {Object} reply - ReviewReply instance
+ * @returns {Promise<Object>} nodemailer info
+ */
+const sendReplyNotificationEmail = async (reviewer, store, reply) => {
+  const link = apiUrl(`/api/reviews/${reply.rating_id}/replies`);
+
+  return await sendEmail({
+    to: reviewer.email,
+    subject: `${store.name} replied to your review`,
+    text: `Hi ${reviewer.name},\n\n${store.name} replied to your review:\n\n"${reply.text}"\n\nSee the conversation: ${link}\n`,
+    html: `<p>Hi ${escapeHtml(reviewer.name)},</p><p>${escapeHtml(store.name)} replied to your review:</p><blockquote>${escapeHtml(reply.text)}</blockquote><p><a href="${link}">See the conversation</a></p>`
+  });
+};
+
+const getSentMessages = () => [...sentMessages];
+
+const clearSentMessages = () => {
+  sentMessages.length = 0;
+};
+
+module.exports = {
+  sendEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendReplyNotificationEmail,
+  setTransport,
+  getSentMessages,
+  clearSentMessages
+};
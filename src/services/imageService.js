@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Photo, sequelize } = require('../models');
+const { getStorage } = require('./storage');
+const { BadRequestError, UnsupportedMediaTypeError } = require('../utils/errors');
+
+// sharp format name -> MIME type
+const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+const ALLOWED_MIME_TYPES = Object.values(IMAGE_FORMATS);
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Re-encode an upload and build its thumbnail. The EXIF orientation is
+ * applied to the pixels, and since sharp only copies metadata when asked to,
+ * the output carries no EXIF (GPS location included).
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<{image: Object, thumbnail: Object}>} Each { buffer, contentType, extension, width, height }
+ */
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new UnsupportedMediaTypeError('File is not a readable image');
+  }
+
+  // The declared MIME type is client-controlled, so check the actual contents
+  const contentType = IMAGE_FORMATS[metadata.format];
+  if (!contentType) {
+    throw new UnsupportedMediaTypeError(`Only ${ALLOWED_MIME_TYPES.join(', ')} images are allowed`);
+  }
+
+  const image = await sharp(buffer)
+    .rotate()
+    .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    image: {
+      buffer: image.data,
+      contentType,
+      extension: metadata.format === 'jpeg' ? 'jpg' : metadata.format,
+      width: image.info.width,
+      height: image.info.height
+    },
+    thumbnail: {
+      buffer: thumbnail.data,
+      contentType: IMAGE_FORMATS.webp,
+      extension: 'webp',
+      width: thumbnail.info.width,
+      height: thumbnail.info.height
+    }
+  };
+};
+
+/**
+ * Remove a photo's files from storage. Failures are logged rather than
+ * thrown so a storage outage never blocks deleting the database rows.
+ * @param {Object} photo - Photo instance or { storage_key, thumbnail_key }
+ */
+const removePhotoFiles = async (photo) => {
+  const storage = getStorage();
+  await Promise.all([photo.storage_key, photo.thumbnail_key].map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove stored image ${key}:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Process and store uploaded files, then record them as photos. Every file
+ * is processed before anything is stored, so one bad file rejects the batch.
+ * @param {Array<Object>} files - multer files (memory storage)
+ * @param {Object} options
+ * @param {string} options.folder - Storage key prefix, e.g. stores/<id>
+ * @param {string} options.uploadedBy - User id
+ * @param {Object} options.parent - { store_id } or { rating_id }
+ * @returns {Promise<Array<Object>>} Created Photo instances, in upload order
+ */
+const savePhotos = async (files, { folder, uploadedBy, parent }) => {
+  const processed = [];
+  for (const file of files) {
+    processed.push(await processImage(file.buffer));
+  }
+
+  const storage = getStorage();
+  const saved = [];
+  try {
+    for (const { image, thumbnail } of processed) {
+      const id = crypto.randomUUID();
+      const stored = await storage.save(image.buffer, {
+        key: `${folder}/${id}.${image.extension}`,
+        contentType: image.contentType
+      });
+      const storedThumbnail = await storage.save(thumbnail.buffer, {
+        key: `${folder}/${id}-thumb.${thumbnail.extension}`,
+        contentType: thumbnail.contentType
+      });
+
+      saved.push({
+        id,
+        ...parent,
+        uploaded_by: uploadedBy,
+        storage_key: stored.key,
+        url: stored.url,
+        thumbnail_key: storedThumbnail.key,
+        thumbnail_url: storedThumbnail.url,
+        content_type: image.contentType,
+        size_bytes: image.buffer.length,
+        width: image.width,
+        height: image.height
+      });
+    }
+
+    return await Photo.bulkCreate(saved);
+  } catch (error) {
+    await Promise.all(saved.map(removePhotoFiles));
+    throw error;
+  }
+};
+
+/**
+ * Delete photo rows and their stored files
+ * @param {Array<Object>} photos - Photo instances
+ */
+const deletePhotos = async (photos) => {
+  if (photos.length === 0) return;
+
+  await Photo.destroy({ where: { id: photos.map((photo) => photo.id) } });
+  await Promise.all(photos.map(removePhotoFiles));
+};
+
+/**
+ * Upload photos for a store or review and append their URLs to its
+ * `images` array, which may hold at most `max` entries
+ * @param {Object} record - Store or Rating instance
+ * @param {Array<Object>} files - multer files (memory storage)
+ * @param {Object} options
+ * @param {string} options.parentKey - store_id or rating_id
+ * @param {string} options.folder - Storage key prefix
+ * @param {number} options.max - Image limit for the record
+ * @param {string} options.uploadedBy - User id
+ * @returns {Promise<Array<Object>>} Created Photo instances
+ */
+const addPhotos = async (record, files, { parentKey, folder, max, uploadedBy }) => {
+  const assertRoom = (images) => {
+    const remaining = Math.max(max - images.length, 0);
+    if (files.length > remaining) {
+      throw new BadRequestError(`Maximum ${max} images allowed, ${remaining} more can be added`);
+    }
+  };
+
+  assertRoom(record.images || []);
+
+  const photos = await savePhotos(files, { folder, uploadedBy, parent: { [parentKey]: record.id } });
+
+  try {
+    // Re-check under a row lock in case another upload finished meanwhile
+    await sequelize.transaction(async (transaction) => {
+      await record.reload({ lock: transaction.LOCK.UPDATE, transaction });
+      assertRoom(record.images || []);
+      record.images = [...(record.images || []), ...photos.map((photo) => photo.url)];
+      await record.save({ transaction });
+    });
+  } catch (error) {
+    await deletePhotos(photos);
+    throw error;
+  }
+
+  return photos;
+};
+
+/**
+ * Remove an uploaded photo and drop its URL from the record's `images`
+ * @param {Object} record - Store or Rating instance the photo belongs to
+ * @param {Object} photo - Photo instance
+ */
+const removePhoto = async (record, photo) => {
+  await sequelize.transaction(async (transaction) => {
+    await record.reload({ lock: transaction.LOCK.UPDATE, transaction });
+    record.images = (record.images || []).filter((url) => url !== photo.url);
+    await record.save({ transaction });
+  });
+
+  await deletePhotos([photo]);
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  processImage,
+  savePhotos,
+  deletePhotos,
+  addPhotos,
+  removePhoto,
+  removePhotoFiles
+};
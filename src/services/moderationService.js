@@ -0,0 +1,113 @@
+const { Rating, Report, AuditLog, sequelize } = require('../models');
+const { NotFoundError } = require('../utils/errors');
+
+// Number of pending reports that takes a review out of public view until an
+// admin decides on it
+const REPORT_FLAG_THRESHOLD = parseInt(process.env.REPORT_FLAG_THRESHOLD, 10) || 3;
+
+/**
+ * File a report against a review, flagging the review once it collects
+ * REPORT_FLAG_THRESHOLD pending reports
+ * @param {Object} reviewToReport - Rating instance
+ * @param {string} reporterId - Reporting user id
+ * @param {Object} report - { reason, notes }
+ * @returns {Promise<{report: Object, autoFlagged: boolean}>}
+ */
+const fileReport = async (reviewToReport, reporterId, { reason, notes }) => {
+  return await sequelize.transaction(async (transaction) => {
+    // Serialise reports on the same review so the threshold is crossed once,
+    // and decide on the locked row rather than the caller's possibly stale copy
+    const review = await Rating.findByPk(reviewToReport.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    const report = await Report.create({
+      rating_id: review.id,
+      reporter_id: reporterId,
+      reason,
+      notes
+    }, { transaction });
+
+    const pendingReports = await Report.countPending(review.id, { transaction });
+    let autoFlagged = false;
+
+    if (!review.is_flagged && pendingReports >= REPORT_FLAG_THRESHOLD) {
+      const flagReason = await Report.mostCommonPendingReason(review.id, { transaction });
+      await review.flag(flagReason, { transaction });
+      await AuditLog.record({
+        action: 'review.auto_flag',
+        entityType: 'review',
+        entityId: review.id,
+        details: { reason: flagReason, pendingReports, threshold: REPORT_FLAG_THRESHOLD }
+      }, { transaction });
+      autoFlagged = true;
+    }
+
+    return { report, autoFlagged };
+  });
+};
+
+/**
+ * Record an admin decision on a review. Approving restores it (unflagging
+ * if needed) and dismisses its pending reports; rejecting hides it and
+ * upholds them.
+ * @param {Object} reviewToResolve - Rating instance
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} adminId - Deciding admin id
+ * @param {string} [notes] - Free-text justification for the audit trail
+ * @returns {Promise<{review: Object, reportsResolved: number}>} The review
+ *   as updated
+ */
+const resolveReview = async (reviewToResolve, decision, adminId, notes = null) => {
+  return await sequelize.transaction(async (transaction) => {
+    // Lock the row so a concurrent report or decision can't interleave, and
+    // record the state it actually had rather than the caller's copy
+    const review = await Rating.findByPk(reviewToResolve.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    const previous = {
+      is_flagged: review.is_flagged,
+      flag_reason: review.flag_reason,
+      is_approved: review.is_approved
+    };
+
+    review.moderated_by = adminId;
+    review.moderated_at = new Date();
+
+    if (decision === 'approve') {
+      if (review.is_flagged) {
+        await review.unflag({ transaction });
+      } else {
+        await review.approve({ transaction });
+      }
+    } else {
+      await review.reject({ transaction });
+    }
+
+    const reportsResolved = await Report.resolvePending(
+      review.id,
+      decision === 'approve' ? 'dismissed' : 'upheld',
+      adminId,
+      { transaction }
+    );
+
+    await AuditLog.record({
+      actorId: adminId,
+      action: `review.${decision}`,
+      entityType: 'review',
+      entityId: review.id,
+      details: { notes, previous, reportsResolved }
+    }, { transaction });
+
+    return { review, reportsResolved };
+  });
+};
+
+module.exports = {
+  REPORT_FLAG_THRESHOLD,
+  fileReport,
+  resolveReview
+};
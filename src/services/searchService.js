@@ -0,0 +1,272 @@
+const { Op, QueryTypes } = require('sequelize');
+const { Store, User, sequelize } = require('../models');
+const { SEARCH_CONFIG, searchTerms, prefixTsQuery } = require('../utils/textSearch');
+
+// How much a matching review counts towards a store's relevance, relative
+// to a match on the store itself
+const REVIEW_MATCH_WEIGHT = 0.5;
+
+// ts_headline wraps matches in <mark>; the text is HTML-escaped first so
+// the marks are the only markup in a snippet
+const HEADLINE_OPTIONS = {
+  title: 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true',
+  text: 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "'
+};
+
+/**
+ * SQL pieces for one search string. Values are escaped here so the pieces
+ * can be used both in raw queries and in Sequelize literals.
+ * @param {string} q - Raw search string
+ * @returns {{tsquery: string, text: string}}
+ */
+const buildSearch = (q) => {
+  const terms = searchTerms(q);
+  return {
+    tsquery: `to_tsquery('${SEARCH_CONFIG}', ${sequelize.escape(prefixTsQuery(terms))})`,
+    text: sequelize.escape(terms.join(' '))
+  };
+};
+
+/**
+ * Ids of stores matching a search: on their own text, on a name within
+ * typo distance (pg_trgm word similarity) or on an approved review. Each
+ * branch is answered from its own index.
+ * @param {Object} search - From buildSearch
+ * @returns {string} SQL subquery
+ */
+const matchingStoreIds = (search) => `
+  SELECT id FROM stores WHERE search_vector @@ ${search.tsquery}
+  UNION
+  SELECT id FROM stores WHERE ${search.text} <% name
+  UNION
+  SELECT store_id FROM ratings WHERE is_approved = true AND search_vector @@ ${search.tsquery}`;
+
+/**
+ * Relevance of a store's own text and name to a search
+ * @param {Object} search - From buildSearch
+ * @param {string} alias - Store table alias
+ * @returns {string} SQL expression
+ */
+const storeRelevance = (search, alias) =>
+  `ts_rank_cd(${alias}.search_vector, ${search.tsquery}) + word_similarity(${search.text}, ${alias}.name)`;
+
+/**
+ * Highlighted snippet of a text column
+ * @param {string} column - SQL expression
+ * @param {Object} search - From buildSearch
+ * @param {string} options - ts_headline options
+ * @returns {string} SQL expression, NULL when the column is
+ */
+const headline = (column, search, options) => `
+  ts_headline('${SEARCH_CONFIG}',
+    replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+    ${search.tsquery}, ${sequelize.escape(options)})`;
+
+/**
+ * Where and order clauses that add search to a regular Store listing
+ * @param {string} q - Raw search string
+ * @returns {{where: Object, relevance: Object}} Sequelize literals
+ */
+const storeSearchScope = (q) => {
+  const search = buildSearch(q);
+  return {
+    where: sequelize.literal(`"Store"."id" IN (${matchingStoreIds(search)})`),
+    relevance: sequelize.literal(storeRelevance(search, '"Store"'))
+  };
+};
+
+/**
+ * Relevance-ranked store search with highlighted snippets
+ * @param {string} q - Raw search string
+ * @param {Object} [filters]
+ * @param {string} [filters.category]
+ * @param {boolean} [filters.verified]
+ * @param {number} [filters.minRating]
+ * @param {number} [filters.lat] - With lng and radius, limits to stores nearby
+ * @param {number} [filters.lng]
+ * @param {number} [filters.radius=10] - Kilometers
+ * @param {Object} [page] - { limit, offset }
+ * @returns {Promise<{rows: Array<Object>, count: number}>} Rows are
+ *   { store, relevance, distance_km, highlights: { name, description, review } }
+ */
+const searchStores = async (q, filters = {}, { limit = 10, offset = 0 } = {}) => {
+  const search = buildSearch(q);
+  const replacements = { limit, offset };
+  const conditions = ['s.is_active = true', `s.id IN (${matchingStoreIds(search)})`];
+
+  if (filters.category) {
+    conditions.push('s.category = :category');
+    replacements.category = filters.category;
+  }
+  if (filters.verified !== undefined) {
+    conditions.push('s.is_verified = :verified');
+    replacements.verified = filters.verified;
+  }
+  if (filters.minRating !== undefined) {
+    conditions.push('s.average_rating >= :minRating');
+    replacements.minRating = filters.minRating;
+  }
+
+  const nearby = filters.lat !== undefined && filters.lng !== undefined;
+  if (nearby) {
+    conditions.push(`ST_DWithin(s.location::geography,
+      ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography, :radius * 1000)`);
+    Object.assign(replacements, { lat: filters.lat, lng: filters.lng, radius: filters.radius || 10 });
+  }
+
+  const matches = `
+    WITH review_matches AS (
+      SELECT DISTINCT ON (r.store_id) r.store_id, r.id,
+             ts_rank_cd(r.search_vector, ${search.tsquery}) AS rank
+        FROM ratings r
+       WHERE r.is_approved = true AND r.search_vector @@ ${search.tsquery}
+       ORDER BY r.store_id, rank DESC, r.helpful_votes DESC, r.id
+    ),
+    matches AS (
+      SELECT s.id, s.ranking_score, rm.id AS review_id,
+             ${storeRelevance(search, 's')} + ${REVIEW_MATCH_WEIGHT} * COALESCE(rm.rank, 0) AS relevance
+        FROM stores s
+        LEFT JOIN review_matches rm ON rm.store_id = s.id
+       WHERE ${conditions.join(' AND ')}
+    )`;
+
+  const [[{ count }], hits] = await Promise.all([
+    sequelize.query(`${matches} SELECT COUNT(*) AS count FROM matches`, {
+      replacements,
+      type: QueryTypes.SELECT
+    }),
+    sequelize.query(
+      `${matches}
+       SELECT m.id, m.relevance, m.review_id,
+              ${headline('s.name', search, HEADLINE_OPTIONS.title)} AS name_highlight,
+              ${headline('s.description', search, HEADLINE_OPTIONS.text)} AS description_highlight,
+              ${headline("concat_ws(' - ', r.title, r.comment)", search, HEADLINE_OPTIONS.text)} AS review_highlight
+         FROM (
+           SELECT * FROM matches ORDER BY relevance DESC, ranking_score DESC, id LIMIT :limit OFFSET :offset
+         ) m
+         JOIN stores s ON s.id = m.id
+         LEFT JOIN ratings r ON r.id = m.review_id
+        ORDER BY m.relevance DESC, m.ranking_score DESC, m.id`,
+      { replacements, type: QueryTypes.SELECT }
+    )
+  ]);
+
+  const stores = hits.length === 0 ? [] : await Store.findAll({
+    where: { id: hits.map((hit) => hit.id) },
+    include: [
+      { model: User, as: 'owner', attributes: ['id', 'name', 'email'] },
+      Store.specialHoursInclude()
+    ]
+  });
+  const byId = new Map(stores.map((store) => [store.id, store]));
+
+  return {
+    count: parseInt(count, 10),
+    rows: hits.filter((hit) => byId.has(hit.id)).map((hit) => {
+      const store = byId.get(hit.id);
+      return {
+        store,
+        relevance: parseFloat(Number(hit.relevance).toFixed(4)),
+        distance_km: nearby ? store.getDistanceFrom(filters.lat, filters.lng) : undefined,
+        highlights: {
+          name: hit.name_highlight,
+          description: hit.description_highlight,
+          review: hit.review_id ? { id: hit.review_id, text: hit.review_highlight } : null
+        }
+      };
+    })
+  };
+};
+
+// Below this many characters a mid-name match would need a full scan of
+// the trigram index, so only name prefixes are suggested
+const MIN_WORD_MATCH_LENGTH = 3;
+
+/**
+ * How well a label matches what was typed: 0 when it starts with it, 1
+ * when one of its later words does, null otherwise
+ * @param {string} label - Lowercased label
+ * @param {string} typed - Lowercased input
+ * @returns {number|null}
+ */
+const prefixRank = (label, typed) => {
+  if (label.startsWith(typed)) return 0;
+  return label.split(/\s+/).some((word) => word.startsWith(typed)) ? 1 : null;
+};
+
+/**
+ * Type-ahead suggestions mixing store names, categories and cities, best
+ * prefix matches first and then by number of reviews
+ * @param {string} q - What has been typed so far
+ * @param {Object} [options]
+ * @param {number} [options.limit=8] - Maximum number of suggestions
+ * @returns {Promise<Array<Object>>} { type: 'store'|'category'|'city', label, ... }
+ */
+const suggest = async (q, { limit = 8 } = {}) => {
+  const typed = q.trim().toLowerCase().replace(/\s+/g, ' ');
+  const pattern = typed.replace(/[\\%_]/g, '\\$&');
+  const wordMatch = typed.length >= MIN_WORD_MATCH_LENGTH;
+
+  const categories = Store.rawAttributes.category.values
+    .map((value) => ({ value, label: value.replace(/_/g, ' '), rank: prefixRank(value.replace(/_/g, ' '), typed) }))
+    .filter((category) => category.rank !== null);
+
+  const [rows, categoryReviews] = await Promise.all([
+    sequelize.query(
+      `(SELECT 'store' AS type, name AS label, id, slug, category::text AS category,
+               total_reviews AS popularity, CASE WHEN lower(name) LIKE :prefix THEN 0 ELSE 1 END AS rank
+          FROM stores
+         WHERE is_active = true
+           AND (lower(name) LIKE :prefix${wordMatch ? ' OR name ILIKE :wordPrefix' : ''})
+         ORDER BY rank, total_reviews DESC, name
+         LIMIT :limit)
+       UNION ALL
+       (SELECT 'city', MIN(address->>'city'), NULL, NULL, NULL, SUM(total_reviews), 0
+          FROM stores
+         WHERE is_active = true AND lower(address->>'city') LIKE :prefix
+         GROUP BY lower(address->>'city')
+         ORDER BY SUM(total_reviews) DESC
+         LIMIT :limit)`,
+      {
+        replacements: { prefix: `${pattern}%`, wordPrefix: `% ${pattern}%`, limit },
+        type: QueryTypes.SELECT
+      }
+    ),
+    categories.length === 0 ? [] : Store.findAll({
+      where: { is_active: true, category: { [Op.in]: categories.map((category) => category.value) } },
+      attributes: ['category', [sequelize.fn('SUM', sequelize.col('total_reviews')), 'reviews']],
+      group: ['category'],
+      raw: true
+    })
+  ]);
+
+  const reviewsByCategory = new Map(categoryReviews.map((row) => [row.category, parseInt(row.reviews, 10)]));
+
+  const suggestions = [
+    ...rows.map((row) => ({
+      ...(row.type === 'store'
+        ? { type: 'store', label: row.label, id: row.id, slug: row.slug, category: row.category }
+        : { type: 'city', label: row.label }),
+      rank: row.rank,
+      popularity: parseInt(row.popularity, 10) || 0
+    })),
+    ...categories.map((category) => ({
+      type: 'category',
+      label: category.label,
+      value: category.value,
+      rank: category.rank,
+      popularity: reviewsByCategory.get(category.value) || 0
+    }))
+  ];
+
+  return suggestions
+    .sort((a, b) => a.rank - b.rank || b.popularity - a.popularity || a.label.localeCompare(b.label))
+    .slice(0, limit)
+    .map(({ rank, popularity, ...suggestion }) => ({ ...suggestion, reviews: popularity }));
+};
+
+module.exports = {
+  storeSearchScope,
+  searchStores,
+  suggest
+};
@@ -0,0 +1,186 @@
+const { User, Store, Rating, Report, VerificationRequest, sequelize } = require('../models');
+const { createdBetween, seriesRange, eachPeriod, formatPeriod } = require('../utils/dateRange');
+
+const ROLES = User.rawAttributes.role.values;
+const CATEGORIES = Store.rawAttributes.category.values;
+
+/**
+ * Users by role, plus active/inactive totals
+ * @param {Object} [range] - Registration date range
+ * @returns {Promise<Object>}
+ */
+const getUserStats = async (range = {}) => {
+  const rows = await User.findAll({
+    where: createdBetween(range),
+    attributes: ['role', 'is_active', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['role', 'is_active'],
+    raw: true
+  });
+
+  const byRole = Object.fromEntries(ROLES.map((role) => [role, 0]));
+  const stats = { total: 0, active: 0, inactive: 0, byRole };
+
+  rows.forEach((row) => {
+    const count = parseInt(row.count, 10);
+    byRole[row.role] += count;
+    stats.total += count;
+    stats[row.is_active ? 'active' : 'inactive'] += count;
+  });
+
+  return stats;
+};
+
+/**
+ * Per-store average of approved reviews in a range, active stores only
+ * @param {Object} [range] - Review date range
+ * @returns {Promise<Array<{store_id: string, average: number, reviews: number}>>}
+ */
+const getStoreAverages = async (range = {}) => {
+  const rows = await Rating.findAll({
+    where: { is_approved: true, ...createdBetween(range) },
+    attributes: [
+      'store_id',
+      [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+      [sequelize.fn('COUNT', sequelize.col('Rating.id')), 'reviews']
+    ],
+    include: [{ model: Store, as: 'store', attributes: [], where: { is_active: true } }],
+    group: ['Rating.store_id'],
+    raw: true
+  });
+
+  return rows.map((row) => ({
+    store_id: row.store_id,
+    average: parseFloat(parseFloat(row.average).toFixed(2)),
+    reviews: parseInt(row.reviews, 10)
+  }));
+};
+
+/**
+ * Active/inactive stores per category, the distribution of store averages,
+ * and the best and worst rated stores
+ * @param {Object} [range] - Store creation range for the counts, review range for the ratings
+ * @param {Object} [options]
+ * @param {number} [options.minReviews=5] - Reviews a store needs to be ranked
+ * @param {number} [options.limit=5] - Stores in each of the top/bottom lists
+ * @returns {Promise<Object>}
+ */
+const getStoreStats = async (range = {}, { minReviews = 5, limit = 5 } = {}) => {
+  const [rows, averages] = await Promise.all([
+    Store.findAll({
+      where: createdBetween(range),
+      attributes: ['category', 'is_active', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['category', 'is_active'],
+      raw: true
+    }),
+    getStoreAverages(range)
+  ]);
+
+  const byCategory = Object.fromEntries(
+    CATEGORIES.map((category) => [category, { active: 0, inactive: 0 }])
+  );
+  const totals = { active: 0, inactive: 0 };
+  rows.forEach((row) => {
+    const key = row.is_active ? 'active' : 'inactive';
+    const count = parseInt(row.count, 10);
+    byCategory[row.category][key] += count;
+    totals[key] += count;
+  });
+
+  // Each store counts once, in the star bucket its average rounds to
+  const averageDistribution = Rating.toDistribution(
+    averages.map((store) => [Math.min(5, Math.max(1, Math.round(store.average))), 1])
+  );
+
+  const ranked = averages.filter((store) => store.reviews >= minReviews);
+  const byAverage = (direction) => [...ranked]
+    .sort((a, b) => direction * (a.average - b.average) || b.reviews - a.reviews)
+    .slice(0, limit);
+  const top = byAverage(-1);
+  const bottom = byAverage(1);
+
+  const stores = await Store.findAll({
+    where: { id: [...new Set([...top, ...bottom].map((store) => store.store_id))] },
+    attributes: ['id', 'name', 'slug', 'category'],
+    raw: true
+  });
+  const storesById = new Map(stores.map((store) => [store.id, store]));
+  const withStore = (list) => list.map(({ store_id: storeId, ...rest }) => ({
+    ...storesById.get(storeId),
+    ...rest
+  }));
+
+  return {
+    ...totals,
+    byCategory,
+    averageDistribution,
+    topRated: withStore(top),
+    bottomRated: withStore(bottom)
+  };
+};
+
+/**
+ * Approved review volume per day, week or month, with the star distribution
+ * over the range
+ * @param {Object} [range] - { from, to }; the series defaults to the last 30 days / 12 weeks / year
+ * @param {string} [interval='day'] - day, week or month
+ * @returns {Promise<Object>}
+ */
+const getRatingStats = async (range = {}, interval = 'day') => {
+  const { from, to } = seriesRange(range, interval);
+  const period = sequelize.fn('date_trunc', interval, sequelize.col('created_at'));
+  const where = { is_approved: true, ...createdBetween({ from, to }) };
+
+  const [rows, distribution] = await Promise.all([
+    Rating.findAll({
+      where,
+      attributes: [
+        [period, 'period'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+        [sequelize.fn('AVG', sequelize.col('rating')), 'average']
+      ],
+      group: [period],
+      order: [[period, 'ASC']],
+      raw: true
+    }),
+    Rating.getRatingDistribution(null, { where })
+  ]);
+
+  const byPeriod = new Map(rows.map((row) => [new Date(row.period).getTime(), row]));
+  let total = 0;
+
+  // Fill empty periods so the series has no gaps
+  const series = eachPeriod(from, to, interval).map((start) => {
+    const row = byPeriod.get(start);
+    const count = row ? parseInt(row.count, 10) : 0;
+    total += count;
+    return {
+      period: formatPeriod(start),
+      count,
+      average: row ? parseFloat(parseFloat(row.average).toFixed(2)) : null
+    };
+  });
+
+  return { from, to, interval, total, series, distribution };
+};
+
+/**
+ * Current size of each moderation queue
+ * @returns {Promise<Object>}
+ */
+const getModerationStats = async () => {
+  const [pendingReviews, flaggedReviews, pendingReports, pendingVerifications] = await Promise.all([
+    Rating.countPending(),
+    Rating.countFlagged(),
+    Report.count({ where: { status: 'pending' } }),
+    VerificationRequest.count({ where: { status: 'pending' } })
+  ]);
+
+  return { pendingReviews, flaggedReviews, pendingReports, pendingVerifications };
+};
+
+module.exports = {
+  getUserStats,
+  getStoreStats,
+  getRatingStats,
+  getModerationStats
+};
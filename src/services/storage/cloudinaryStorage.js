@@ -0,0 +1,56 @@
+const { v2: cloudinary } = require('cloudinary');
+
+/**
+ * Cloudinary-backed storage, configured from CLOUDINARY_CLOUD_NAME,
+ * CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET. Images are already resized
+ * and stripped by imageService, so they are stored as-is.
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Folder prefix (CLOUDINARY_FOLDER, default store-rating)
+ * @returns {{name: string, save: Function, remove: Function}}
+ */
+const createCloudinaryStorage = ({ folder = process.env.CLOUDINARY_FOLDER || 'store-rating' } = {}) => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+
+  // Cloudinary public ids carry no extension
+  const toPublicId = (key) => `${folder}/${key.replace(/\.[^/.]+$/, '')}`;
+
+  return {
+    name: 'cloudinary',
+
+    /**
+     * @param {Buffer} buffer - File contents
+     * @param {Object} file - { key, contentType }
+     * @returns {Promise<{key: string, url: string}>}
+     */
+    save(buffer, { key }) {
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          { public_id: toPublicId(key), resource_type: 'image', overwrite: false },
+          (error, result) => {
+            if (error) {
+              return reject(error);
+            }
+            resolve({ key, url: result.secure_url });
+          }
+        );
+        stream.end(buffer);
+      });
+    },
+
+    /**
+     * @param {string} key - Key returned by save()
+     */
+    async remove(key) {
+      await cloudinary.uploader.destroy(toPublicId(key), { resource_type: 'image' });
+    }
+  };
+};
+
+module.exports = {
+  createCloudinaryStorage
+};
@@ -0,0 +1,46 @@
+const { createLocalStorage } = require('./localStorage');
+const { createCloudinaryStorage } = require('./cloudinaryStorage');
+
+/**
+ * Build the adapter named by STORAGE_DRIVER:
+ *   local      - write to UPLOAD_DIR and serve from /uploads (default)
+ *   cloudinary - upload to Cloudinary
+ * Adapters expose save(buffer, { key, contentType }) -> { key, url } and remove(key).
+ * @returns {Object} Storage adapter
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage();
+    case 'cloudinary':
+      return createCloudinaryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Swap the adapter (e.g. a temporary directory in tests)
+ * @param {Object} adapter - Anything exposing save() and remove()
+ */
+const setStorage = (adapter) => {
+  storage = adapter;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createLocalStorage,
+  createCloudinaryStorage
+};
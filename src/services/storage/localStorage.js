@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Disk-backed storage. Files are written under `root` and served by the
+ * `/uploads` static route in app.js.
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory to write to (UPLOAD_DIR, default ./uploads)
+ * @param {string} [options.baseUrl] - Public URL prefix (default APP_URL + /uploads)
+ * @returns {{name: string, save: Function, remove: Function}}
+ */
+const createLocalStorage = ({
+  root = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', '..', 'uploads'),
+  baseUrl = `${(process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '')}/uploads`
+} = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Storage key escapes the upload directory: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * @param {Buffer} buffer - File contents
+     * @param {Object} file - { key, contentType }
+     * @returns {Promise<{key: string, url: string}>}
+     */
+    async save(buffer, { key }) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: `${baseUrl}/${key}` };
+    },
+
+    /**
+     * @param {string} key - Key returned by save()
+     */
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorage
+};
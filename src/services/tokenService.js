@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { RefreshToken, User } = require('../models');
+
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+/**
+ * Sign a short-lived access token
+ * @param {string} id - User id
+ * @returns {string} JWT
+ */
+const generateAccessToken = (id) => {
+  return jwt.sign({ id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+  });
+};
+
+/**
+ * Create and persist a new refresh token for a user
+ * @param {string} userId - User id
+ * @param {Object} req - Express request (for IP / user agent bookkeeping)
+ * @param {string} [familyId] - Rotation family; a new login starts a new one
+ * @returns {Promise<{token: string, record: Object}>} Raw token and its row
+ */
+const issueRefreshToken = async (userId, req, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user_id: userId,
+    token_hash: RefreshToken.hashToken(token),
+    family_id: familyId,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    created_by_ip: req.ip,
+    user_agent: (req.get('user-agent') || '').slice(0, 255)
+  });
+
+  return { token, record };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. Presenting a token
+ * that was already rotated is treated as theft and revokes the whole family.
+ * @param {string} token - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<{user: Object, accessToken: string, refreshToken: string}|null>}
+ *   null when the token is unknown, expired, revoked or its user is inactive
+ */
+const rotateRefreshToken = async (token, req) => {
+  const existing = await RefreshToken.findByToken(token);
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.revoked_at) {
+    await RefreshToken.revokeFamily(existing.family_id);
+    return null;
+  }
+
+  if (!existing.isActive()) {
+    return null;
+  }
+
+  const user = await User.findByPk(existing.user_id);
+  if (!user || !user.is_active) {
+    await existing.revoke();
+    return null;
+  }
+
+  const { token: refreshToken, record } = await issueRefreshToken(user.id, req, existing.family_id);
+
+  // Revoke with a conditional update so only one of two concurrent requests
+  // presenting the same token can rotate it. The other counts as reuse,
+  // which also revokes the token it was just issued.
+  const [rotated] = await RefreshToken.update(
+    { revoked_at: new Date(), replaced_by_id: record.id },
+    { where: { id: existing.id, revoked_at: null } }
+  );
+  if (rotated === 0) {
+    await RefreshToken.revokeFamily(existing.family_id);
+    return null;
+  }
+
+  return {
+    user,
+    accessToken: generateAccessToken(user.id),
+    refreshToken
+  };
+};
+
+/**
+ * Revoke a single refresh token (one session)
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<boolean>} Whether an active token was revoked
+ */
+const revokeRefreshToken = async (token) => {
+  const existing = await RefreshToken.findByToken(token);
+  if (!existing || existing.revoked_at) {
+    return false;
+  }
+  await existing.revoke();
+  return true;
+};
+
+/**
+ * Revoke every refresh token belonging to a user (all devices)
+ * @param {string} userId - User id
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllRefreshTokens = async (userId) => {
+  return await RefreshToken.revokeAllForUser(userId);
+};
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+});
+
+/**
+ * Store the refresh token in an httpOnly cookie scoped to /api/auth
+ * @param {Object} res - Express response
+ * @param {string} token - Raw refresh token
+ */
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_COOKIE_NAME, token, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+  });
+};
+
+/**
+ * Remove the refresh token cookie
+ * @param {Object} res - Express response
+ */
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+};
+
+module.exports = {
+  REFRESH_COOKIE_NAME,
+  generateAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  setRefreshCookie,
+  clearRefreshCookie
+};
@@ -0,0 +1,128 @@
+const { Store, VerificationRequest, AuditLog, sequelize } = require('../models');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+/**
+ * Open a verification request for a store
+ * @param {Object} store - Store instance
+ * @param {string} userId - Submitting owner (or admin) id
+ * @param {Object} submission - { documents, notes }
+ * @returns {Promise<Object>} VerificationRequest instance
+ */
+const submitVerification = async (store, userId, { documents, notes }) => {
+  return await sequelize.transaction(async (transaction) => {
+    // Serialise submissions for the same store
+    const current = await Store.findByPk(store.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (current.is_verified) {
+      throw new ConflictError('Store is already verified');
+    }
+    if (await VerificationRequest.findPendingForStore(store.id, { transaction })) {
+      throw new ConflictError('A verification request for this store is already pending');
+    }
+
+    const request = await VerificationRequest.create({
+      store_id: store.id,
+      submitted_by: userId,
+      documents,
+      notes
+    }, { transaction });
+
+    await AuditLog.record({
+      actorId: userId,
+      action: 'store.verification_submit',
+      entityType: 'store',
+      entityId: store.id,
+      details: { requestId: request.id, documents: documents.length }
+    }, { transaction });
+
+    return request;
+  });
+};
+
+/**
+ * Record an admin decision on a pending request. Approving marks the store
+ * verified and keeps the request's documents on the store.
+ * @param {Object} request - VerificationRequest instance
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {string} adminId - Deciding admin id
+ * @param {string} [reason] - Shown to the owner; required when rejecting
+ * @returns {Promise<{request: Object, store: Object}>}
+ */
+const decideVerification = async (request, decision, adminId, reason = null) => {
+  if (decision === 'reject' && !reason) {
+    throw new BadRequestError('A reason is required when rejecting a verification request');
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    await request.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (request.status !== 'pending') {
+      throw new ConflictError(`Verification request has already been ${request.status}`);
+    }
+
+    const store = await Store.findByPk(request.store_id, { transaction, lock: transaction.LOCK.UPDATE });
+    const now = new Date();
+
+    request.status = decision === 'approve' ? 'approved' : 'rejected';
+    request.reviewed_by = adminId;
+    request.reviewed_at = now;
+    request.decision_reason = reason;
+    await request.save({ transaction });
+
+    if (decision === 'approve') {
+      store.is_verified = true;
+      store.verified_at = now;
+      store.verification_documents = request.documents;
+      await store.save({ transaction });
+    }
+
+    await AuditLog.record({
+      actorId: adminId,
+      action: decision === 'approve' ? 'store.verify' : 'store.verification_reject',
+      entityType: 'store',
+      entityId: store.id,
+      details: { requestId: request.id, reason }
+    }, { transaction });
+
+    return { request, store };
+  });
+};
+
+/**
+ * Take the verified badge away from a store, e.g. after a change of ownership.
+ * The store's copy of the documents goes too; the approved request keeps them.
+ * @param {Object} store - Store instance
+ * @param {string} adminId - Acting admin id
+ * @param {string} reason - Why the badge was removed
+ * @returns {Promise<Object>} The store
+ */
+const revokeVerification = async (store, adminId, reason) => {
+  return await sequelize.transaction(async (transaction) => {
+    await store.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (!store.is_verified) {
+      throw new ConflictError('Store is not verified');
+    }
+
+    const previous = { verified_at: store.verified_at };
+
+    store.is_verified = false;
+    store.verified_at = null;
+    store.verification_documents = [];
+    await store.save({ transaction });
+
+    await AuditLog.record({
+      actorId: adminId,
+      action: 'store.unverify',
+      entityType: 'store',
+      entityId: store.id,
+      details: { reason, previous }
+    }, { transaction });
+
+    return store;
+  });
+};
+
+module.exports = {
+  submitVerification,
+  decideVerification,
+  revokeVerification
+};
@@ -0,0 +1,113 @@
+/**
+ * Date-range helpers for reporting endpoints. Periods are UTC days, ISO
+ * weeks (starting Monday) or calendar months, matching Postgres date_trunc
+ * with the UTC session timezone Sequelize uses.
+ */
+const { Op } = require('sequelize');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+// Approximate period lengths, for sizing ranges
+const INTERVAL_DAYS = { day: 1, week: 7, month: 30 };
+
+// Window used when a time series is requested without `from`
+const DEFAULT_SERIES_DAYS = { day: 30, week: 12 * 7, month: 365 };
+
+/**
+ * created_at condition for an optional date range
+ * @param {Object} [range] - { from, to } Dates, either may be null
+ * @returns {Object} Where fragment, empty when unbounded
+ */
+const createdBetween = ({ from, to } = {}) => {
+  if (!from && !to) return {};
+
+  const created = {};
+  if (from) created[Op.gte] = from;
+  if (to) created[Op.lte] = to;
+  return { created_at: created };
+};
+
+/**
+ * Range from ?from=&to=. A bare `to` date covers that whole day.
+ * @param {Object} query - req.query (already validated)
+ * @returns {{from: Date|null, to: Date|null}}
+ */
+const parseRange = (query) => {
+  const from = query.from ? new Date(query.from) : null;
+  let to = null;
+  if (query.to) {
+    to = /^\d{4}-\d{2}-\d{2}$/.test(query.to)
+      ? new Date(`${query.to}T23:59:59.999Z`)
+      : new Date(query.to);
+  }
+  return { from, to };
+};
+
+/**
+ * Fill in the bounds of a time series range
+ * @param {Object} range - { from, to }, either may be null
+ * @param {string} interval - day, week or month
+ * @returns {{from: Date, to: Date}}
+ */
+const seriesRange = ({ from, to }, interval) => {
+  const end = to || new Date();
+  return {
+    from: from || new Date(end.getTime() - DEFAULT_SERIES_DAYS[interval] * MS_PER_DAY),
+    to: end
+  };
+};
+
+/**
+ * Start of the period containing an instant
+ * @param {Date} date - Instant
+ * @param {string} interval - day, week or month
+ * @returns {number} Timestamp
+ */
+const truncate = (date, interval) => {
+  if (interval === 'month') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return interval === 'week'
+    ? day - ((date.getUTCDay() + 6) % 7) * MS_PER_DAY
+    : day;
+};
+
+/**
+ * Start of every period touching a range, oldest first
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} interval - day, week or month
+ * @returns {Array<number>} Timestamps
+ */
+const eachPeriod = (from, to, interval) => {
+  const periods = [];
+  let start = truncate(from, interval);
+  while (start <= to.getTime()) {
+    periods.push(start);
+    const date = new Date(start);
+    start = interval === 'month'
+      ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+      : start + INTERVAL_DAYS[interval] * MS_PER_DAY;
+  }
+  return periods;
+};
+
+/**
+ * @param {number} timestamp - Period start
+ * @returns {string} YYYY-MM-DD
+ */
+const formatPeriod = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+module.exports = {
+  MS_PER_DAY,
+  INTERVALS,
+  INTERVAL_DAYS,
+  createdBetween,
+  parseRange,
+  seriesRange,
+  truncate,
+  eachPeriod,
+  formatPeriod
+};
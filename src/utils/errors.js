@@ -0,0 +1,98 @@
+/**
+ * Application errors. Throw these from controllers and middleware; the
+ * central errorHandler turns them into the standard error envelope:
+ *   { success: false, message, errors? }
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Client-safe message
+   * @param {number} statusCode - HTTP status
+   * @param {Array<{field: string, message: string}>} [errors] - Per-field details
+   */
+  constructor(message, statusCode = 500, errors = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.errors = errors;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', errors) {
+    super(message, 400, errors);
+  }
+}
+
+class RequestValidationError extends AppError {
+  constructor(errors, message = 'Validation errors') {
+    super(message, 400, errors);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized') {
+    super(message, 401);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied') {
+    super(message, 403);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', errors) {
+    super(message, 409, errors);
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'Request body is too large') {
+    super(message, 413);
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type') {
+    super(message, 415);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message - Client-safe message
+   * @param {number} [retryAfter] - Seconds until the client may retry
+   */
+  constructor(message = 'Too many requests, please try again later.', retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable, please try again later') {
+    super(message, 503);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  RequestValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  ServiceUnavailableError
+};
@@ -0,0 +1,238 @@
+/**
+ * List pagination. Lists page by an opaque cursor by default: the cursor
+ * holds the sort-column values of the row it starts after, so the next
+ * page is one index range scan however deep it is and no count query is
+ * needed. `?page=` opts in to offset pagination with totals.
+ *
+ * Cursor sorts must end on a unique column (id) and use NOT NULL columns.
+ * Timestamps compare exactly because Sequelize writes them from JS Dates
+ * (millisecond precision).
+ */
+const { Op } = require('sequelize');
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+// Rows fetched per query when a page is filtered in memory
+const FILTER_BATCH_SIZE = 200;
+
+/**
+ * The sort as [column, 'ASC'|'DESC'] pairs, or null when any part of it is
+ * computed (distance, relevance) and can't be keyed by a cursor
+ * @param {Array} order - Sequelize order
+ * @returns {Array|null}
+ */
+const cursorKeys = (order) => {
+  if (!Array.isArray(order) || order.length === 0) return null;
+
+  const keys = order.map((item) => {
+    if (!Array.isArray(item) || item.length !== 2 || typeof item[0] !== 'string') return null;
+    return [item[0], String(item[1]).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'];
+  });
+  return keys.every(Boolean) ? keys : null;
+};
+
+// Cursors are only valid for the sort they were issued for
+const sortSignature = (keys) => keys.map(([column, direction]) => `${column}:${direction}`).join(',');
+
+/**
+ * @param {Array} keys - From cursorKeys
+ * @param {Object} record - Model instance the cursor points at
+ * @param {string} direction - 'next' (rows after it) or 'prev' (rows before it)
+ * @returns {string} base64url cursor
+ */
+const encodeCursor = (keys, record, direction) => Buffer.from(JSON.stringify({
+  s: sortSignature(keys),
+  v: keys.map(([column]) => record.get(column)),
+  d: direction
+})).toString('base64url');
+
+/**
+ * @param {string} cursor - From encodeCursor
+ * @param {Array} keys - Current sort
+ * @returns {{values: Array, direction: string}}
+ * @throws {BadRequestError} If the cursor is malformed or from another sort
+ */
+const decodeCursor = (cursor, keys) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== keys.length ||
+      !['next', 'prev'].includes(payload.d)) {
+    throw new BadRequestError('Invalid pagination cursor');
+  }
+  if (payload.s !== sortSignature(keys)) {
+    throw new BadRequestError('Pagination cursor does not match the requested sort');
+  }
+  return { values: payload.v, direction: payload.d };
+};
+
+/**
+ * Rows that come after `values` in `keys` order:
+ * (a > va) OR (a = va AND b > vb) OR ...
+ * @param {Array} keys - [column, direction] pairs
+ * @param {Array} values - Sort-column values of the boundary row
+ * @returns {Object} Where clause
+ */
+const keysetWhere = (keys, values) => ({
+  [Op.or]: keys.map(([column, direction], i) => {
+    const condition = {};
+    keys.slice(0, i).forEach(([previous], j) => {
+      condition[previous] = values[j];
+    });
+    condition[column] = { [direction === 'DESC' ? Op.lt : Op.gt]: values[i] };
+    return condition;
+  })
+});
+
+const reverseKeys = (keys) => keys.map(([column, direction]) => [column, direction === 'DESC' ? 'ASC' : 'DESC']);
+
+/**
+ * Link to the same list with different paging parameters
+ * @param {Object} req - Express request
+ * @param {Object} params - Query parameters to set
+ * @returns {string} Path and query string
+ */
+const pageLink = (req, params) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  ['page', 'cursor'].forEach((name) => url.searchParams.delete(name));
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Read a query batch by batch and keep the rows that pass an in-memory
+ * filter, so at most one batch is held besides the rows kept
+ * @param {Object} Model - Sequelize model
+ * @param {Object} options - findAll options, without limit and offset
+ * @param {Function} filter - Row predicate
+ * @param {Object} window
+ * @param {number} [window.skip=0] - Matching rows to pass over first
+ * @param {number} window.take - Matching rows to keep
+ * @param {boolean} [window.countAll=false] - Keep reading to count every match
+ * @returns {Promise<{rows: Array, matched: number}>}
+ */
+const scanFiltered = async (Model, options, filter, { skip = 0, take, countAll = false }) => {
+  const rows = [];
+  let matched = 0;
+  for (let offset = 0; ; offset += FILTER_BATCH_SIZE) {
+    const batch = await Model.findAll({ ...options, limit: FILTER_BATCH_SIZE, offset });
+    batch.filter(filter).forEach((row) => {
+      if (matched >= skip && rows.length < take) rows.push(row);
+      matched += 1;
+    });
+    if (batch.length < FILTER_BATCH_SIZE || (!countAll && rows.length >= take)) {
+      return { rows, matched };
+    }
+  }
+};
+
+/**
+ * Page size and mode from ?limit=, ?page= and ?cursor=
+ * @param {Object} query - req.query
+ * @returns {{limit: number, page: number|null, cursor: string|null}}
+ */
+const parsePagination = (query) => {
+  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const page = query.page !== undefined ? parseInt(query.page, 10) || 1 : null;
+  return { limit, page, cursor: query.cursor || null };
+};
+
+/**
+ * Pagination block for an offset page, with totals and page links. For
+ * lists that run their own query (raw SQL) rather than going through paginate.
+ * @param {Object} req - Express request
+ * @param {number} page - Current page, from 1
+ * @param {number} limit - Page size
+ * @param {number} total - Matching rows
+ * @returns {Object}
+ */
+const offsetPagination = (req, page, limit, total) => {
+  const pages = Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    pages,
+    next: page < pages ? pageLink(req, { page: page + 1, limit }) : null,
+    prev: page > 1 ? pageLink(req, { page: page - 1, limit }) : null
+  };
+};
+
+/**
+ * Run a list query for one page
+ * @param {Object} Model - Sequelize model
+ * @param {Object} options - findAll options; `order` decides the cursor
+ * @param {Object} req - Express request (paging parameters and links)
+ * @param {Object} [extra]
+ * @param {Function} [extra.filter] - In-memory row filter for conditions SQL
+ *   can't express; candidates are read in batches until the page is full
+ *   (or, with ?page=, to the end for the total)
+ * @returns {Promise<{rows: Array, pagination: Object}>}
+ */
+const paginate = async (Model, options, req, { filter } = {}) => {
+  const { limit, page, cursor } = parsePagination(req.query);
+  const keys = cursorKeys(options.order);
+
+  if (cursor && !keys) {
+    throw new BadRequestError('This sort does not support cursor pagination; use page instead');
+  }
+
+  if (page !== null || !keys) {
+    const currentPage = page || 1;
+    const offset = (currentPage - 1) * limit;
+    let rows;
+    let total;
+    if (filter) {
+      ({ rows, matched: total } = await scanFiltered(Model, options, filter, { skip: offset, take: limit, countAll: true }));
+    } else {
+      ({ rows, count: total } = await Model.findAndCountAll({ ...options, limit, offset }));
+    }
+
+    return { rows, pagination: offsetPagination(req, currentPage, limit, total) };
+  }
+
+  const position = cursor ? decodeCursor(cursor, keys) : null;
+  const backwards = Boolean(position && position.direction === 'prev');
+  const order = backwards ? reverseKeys(keys) : keys;
+  const where = position
+    ? { [Op.and]: [options.where || {}, keysetWhere(order, position.values)] }
+    : options.where;
+
+  // One extra row tells whether there is another page in this direction
+  let rows = filter
+    ? (await scanFiltered(Model, { ...options, where, order }, filter, { take: limit + 1 })).rows
+    : await Model.findAll({ ...options, where, order, limit: limit + 1 });
+  const hasMore = rows.length > limit;
+  rows = rows.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const nextCursor = last && (backwards || hasMore) ? encodeCursor(keys, last, 'next') : null;
+  const prevCursor = first && (backwards ? hasMore : Boolean(position)) ? encodeCursor(keys, first, 'prev') : null;
+
+  return {
+    rows,
+    pagination: {
+      limit,
+      nextCursor,
+      prevCursor,
+      next: nextCursor ? pageLink(req, { cursor: nextCursor, limit }) : null,
+      prev: prevCursor ? pageLink(req, { cursor: prevCursor, limit }) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  cursorKeys,
+  parsePagination,
+  offsetPagination,
+  paginate
+};
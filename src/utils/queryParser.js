@@ -0,0 +1,244 @@
+/**
+ * Shared list query language:
+ *
+ *   filter[rating][gte]=4                   comparison
+ *   filter[category]=grocery                equality (same as [eq])
+ *   filter[category][in]=grocery,retail     any of a comma-separated list
+ *   filter[created_at][between]=2026-01-01,2026-02-01
+ *   sort=-average_rating,name               fields, "-" for descending
+ *   fields=id,name,slug                     sparse fieldsets
+ *
+ * Each model allow-lists what may be filtered, sorted and selected in its
+ * LIST_QUERY spec; anything else is a 400. Values are converted by the
+ * attribute's type before they reach Sequelize.
+ */
+const { Op } = require('sequelize');
+const { RequestValidationError } = require('./errors');
+
+const MAX_LIST_VALUES = 50;
+const SORT_PATTERN = /^-?[a-z_]+(,-?[a-z_]+)*$/;
+
+const OPERATORS = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  in: Op.in,
+  nin: Op.notIn,
+  between: Op.between
+};
+
+const EQUALITY_OPERATORS = ['eq', 'ne', 'in', 'nin'];
+const RANGE_OPERATORS = [...EQUALITY_OPERATORS, 'gt', 'gte', 'lt', 'lte', 'between'];
+
+// Operators by attribute type; types not listed can't be filtered
+const OPERATORS_BY_TYPE = {
+  INTEGER: RANGE_OPERATORS,
+  DECIMAL: RANGE_OPERATORS,
+  FLOAT: RANGE_OPERATORS,
+  DOUBLE: RANGE_OPERATORS,
+  DATE: RANGE_OPERATORS,
+  DATEONLY: RANGE_OPERATORS,
+  STRING: EQUALITY_OPERATORS,
+  TEXT: EQUALITY_OPERATORS,
+  ENUM: EQUALITY_OPERATORS,
+  UUID: EQUALITY_OPERATORS,
+  BOOLEAN: ['eq', 'ne']
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Convert one query-string value to the attribute's type
+ * @param {Object} attribute - Model rawAttributes entry
+ * @param {string} value - Raw value
+ * @returns {*} Converted value
+ * @throws {Error} With a user-facing message when the value doesn't fit
+ */
+const convertValue = (attribute, value) => {
+  switch (attribute.type.key) {
+    case 'INTEGER':
+      if (!/^-?\d+$/.test(value)) throw new Error('must be an integer');
+      return parseInt(value, 10);
+    case 'DECIMAL':
+    case 'FLOAT':
+    case 'DOUBLE':
+      if (value === '' || !Number.isFinite(Number(value))) throw new Error('must be a number');
+      return Number(value);
+    case 'BOOLEAN':
+      if (value !== 'true' && value !== 'false') throw new Error('must be true or false');
+      return value === 'true';
+    case 'DATE':
+    case 'DATEONLY':
+      if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new Error('must be an ISO 8601 date');
+      }
+      return attribute.type.key === 'DATEONLY' ? value : new Date(value);
+    case 'ENUM':
+      if (!attribute.values.includes(value)) {
+        throw new Error(`must be one of: ${attribute.values.join(', ')}`);
+      }
+      return value;
+    case 'UUID':
+      if (!UUID_PATTERN.test(value)) throw new Error('must be a valid id');
+      return value;
+    default:
+      return value;
+  }
+};
+
+/**
+ * Sequelize condition for one filter[field][operator]=value
+ * @param {Object} attribute - Model rawAttributes entry
+ * @param {string} operator - Key of OPERATORS
+ * @param {string} raw - Raw value
+ * @returns {Object} e.g. { [Op.gte]: 4 }
+ */
+const buildCondition = (attribute, operator, raw) => {
+  if (operator === 'in' || operator === 'nin' || operator === 'between') {
+    const values = raw.split(',').map((value) => value.trim()).filter((value) => value !== '');
+    if (operator === 'between' && values.length !== 2) {
+      throw new Error('takes two comma-separated values');
+    }
+    if (values.length === 0 || values.length > MAX_LIST_VALUES) {
+      throw new Error(`takes between 1 and ${MAX_LIST_VALUES} comma-separated values`);
+    }
+    return { [OPERATORS[operator]]: values.map((value) => convertValue(attribute, value)) };
+  }
+  return { [OPERATORS[operator]]: convertValue(attribute, raw) };
+};
+
+/**
+ * Parse `filter`, `sort` and `fields` for a list endpoint
+ * @param {Object} query - req.query, as parsed by qs (filter is nested)
+ * @param {Object} Model - Sequelize model; its LIST_QUERY spec is used
+ * @param {Object} [spec=Model.LIST_QUERY]
+ * @param {Array<string>} spec.filters - Attributes that may be filtered
+ * @param {Array<string>} spec.sorts - Attributes that may be sorted by
+ * @param {Array<string>} spec.fields - Attributes that may be selected
+ * @param {Array<string>} [spec.presets] - Named sorts the endpoint handles itself
+ * @param {Object} [spec.requires] - Fields that need others to render, { hours: ['timezone'] }
+ * @returns {{where: Object, order: Array|null, attributes: Array<string>|null}}
+ *   `order` is null when no field sort was given; it always ends on id
+ * @throws {RequestValidationError}
+ */
+const parseListQuery = (query, Model, spec = Model.LIST_QUERY) => {
+  const errors = [];
+  const attributes = Model.rawAttributes;
+
+  // filter[field][op]=value
+  const conditions = [];
+  if (query.filter !== undefined) {
+    if (typeof query.filter !== 'object' || Array.isArray(query.filter)) {
+      errors.push({ field: 'filter', message: 'filter must be given as filter[field][operator]=value' });
+    } else {
+      Object.entries(query.filter).forEach(([field, value]) => {
+        if (!spec.filters.includes(field)) {
+          errors.push({ field: `filter[${field}]`, message: `Cannot filter by ${field}. Filterable fields: ${spec.filters.join(', ')}` });
+          return;
+        }
+
+        const attribute = attributes[field];
+        const operations = typeof value === 'string' ? { eq: value } : value;
+        if (!operations || typeof operations !== 'object' || Array.isArray(operations)) {
+          errors.push({ field: `filter[${field}]`, message: `filter[${field}] must be given once` });
+          return;
+        }
+
+        const allowed = OPERATORS_BY_TYPE[attribute.type.key] || [];
+        Object.entries(operations).forEach(([operator, raw]) => {
+          const name = `filter[${field}][${operator}]`;
+          if (!allowed.includes(operator)) {
+            errors.push({ field: name, message: `Operator must be one of: ${allowed.join(', ')}` });
+          } else if (typeof raw !== 'string') {
+            errors.push({ field: name, message: `${name} must be given once` });
+          } else {
+            try {
+              conditions.push({ [field]: buildCondition(attribute, operator, raw) });
+            } catch (error) {
+              errors.push({ field: name, message: `${name} ${error.message}` });
+            }
+          }
+        });
+      });
+    }
+  }
+
+  // sort=-a,b
+  let order = null;
+  if (query.sort !== undefined && !(spec.presets || []).includes(query.sort)) {
+    if (typeof query.sort !== 'string' || !SORT_PATTERN.test(query.sort)) {
+      errors.push({ field: 'sort', message: 'sort must be a comma-separated list of fields, "-" for descending' });
+    } else {
+      order = [];
+      query.sort.split(',').forEach((item) => {
+        const field = item.replace(/^-/, '');
+        if (!spec.sorts.includes(field)) {
+          errors.push({ field: 'sort', message: `Cannot sort by ${field}. Sortable fields: ${spec.sorts.join(', ')}` });
+        } else if (order.some(([column]) => column === field)) {
+          errors.push({ field: 'sort', message: `${field} is listed more than once` });
+        } else {
+          order.push([field, item.startsWith('-') ? 'DESC' : 'ASC']);
+        }
+      });
+      // A unique last key keeps pages stable (and lets cursors work)
+      if (!order.some(([column]) => column === 'id')) {
+        order.push(['id', 'ASC']);
+      }
+    }
+  }
+
+  // fields=a,b
+  let selected = null;
+  if (query.fields !== undefined) {
+    const fields = typeof query.fields === 'string'
+      ? query.fields.split(',').map((field) => field.trim()).filter(Boolean)
+      : [];
+    const unknown = fields.filter((field) => field !== 'id' && !spec.fields.includes(field));
+    if (fields.length === 0) {
+      errors.push({ field: 'fields', message: 'fields must be a comma-separated list' });
+    } else if (unknown.length > 0) {
+      errors.push({ field: 'fields', message: `Unknown fields: ${unknown.join(', ')}. Available: ${spec.fields.join(', ')}` });
+    } else {
+      selected = new Set(['id', ...fields]);
+      fields.forEach((field) => ((spec.requires || {})[field] || []).forEach((needed) => selected.add(needed)));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new RequestValidationError(errors);
+  }
+
+  return {
+    where: conditions.length > 0 ? { [Op.and]: conditions } : {},
+    order,
+    attributes: selected ? [...selected] : null
+  };
+};
+
+/**
+ * Columns a sparse fieldset must also load: the sort keys (for cursors)
+ * and anything the handler reads itself
+ * @param {Array<string>|null} attributes - From parseListQuery
+ * @param {Array} order - The order that will be used
+ * @param {Array<string>} [extra] - Other columns the handler needs
+ * @returns {Array<string>|undefined} Undefined when every column is loaded
+ */
+const selectAttributes = (attributes, order, extra = []) => {
+  if (!attributes) return undefined;
+
+  const columns = new Set(attributes);
+  (order || []).forEach((item) => {
+    if (Array.isArray(item) && typeof item[0] === 'string') columns.add(item[0]);
+  });
+  extra.forEach((column) => columns.add(column));
+  return [...columns];
+};
+
+module.exports = {
+  OPERATORS,
+  parseListQuery,
+  selectAttributes
+};
@@ -0,0 +1,129 @@
+/**
+ * Store ranking score: a Bayesian average of approved review stars that
+ * pulls stores with few reviews towards a prior, so one 5-star review
+ * doesn't outrank hundreds of 4.8s.
+ *
+ *   score = (priorWeight * priorMean + Σ wᵢ·starsᵢ) / (priorWeight + Σ wᵢ)
+ *
+ * Each review weighs 1, halved every RANKING_HALF_LIFE_DAYS when that is
+ * set, and multiplied by RANKING_VERIFIED_BOOST for verified purchases.
+ *
+ * computeRankingScore is the only implementation: the Rating hooks and the
+ * bulk refresh (refreshRankingScores) both go through it.
+ */
+const { QueryTypes } = require('sequelize');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Stores recomputed per round trip by refreshRankingScores
+const REFRESH_BATCH_SIZE = 500;
+
+/**
+ * Ranking settings from the environment
+ * @returns {{priorMean: number, priorWeight: number, halfLifeDays: number|null, verifiedBoost: number}}
+ */
+const getRankingConfig = () => ({
+  // Score of a store with no reviews
+  priorMean: parseFloat(process.env.RANKING_PRIOR_MEAN) || 3.5,
+  // How many reviews' worth of evidence the prior counts as (must be > 0)
+  priorWeight: parseFloat(process.env.RANKING_PRIOR_WEIGHT) || 10,
+  halfLifeDays: parseFloat(process.env.RANKING_HALF_LIFE_DAYS) || null,
+  verifiedBoost: parseFloat(process.env.RANKING_VERIFIED_BOOST) || 1
+});
+
+/**
+ * Weight of one review in the score
+ * @param {Object} rating - { created_at, is_verified_purchase }
+ * @param {Date} now - Reference instant for the decay
+ * @param {Object} config - From getRankingConfig
+ * @returns {number}
+ */
+const reviewWeight = (rating, now, config) => {
+  let weight = rating.is_verified_purchase ? config.verifiedBoost : 1;
+  if (config.halfLifeDays) {
+    const ageDays = Math.max(now - new Date(rating.created_at), 0) / MS_PER_DAY;
+    weight *= Math.pow(0.5, ageDays / config.halfLifeDays);
+  }
+  return weight;
+};
+
+/**
+ * Ranking score of a store from its approved reviews
+ * @param {Array<Object>} ratings - { rating, created_at, is_verified_purchase }
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference instant for the decay
+ * @param {Object} [options.config=getRankingConfig()]
+ * @returns {number} Rounded to 4 decimals
+ */
+const computeRankingScore = (ratings, { now = new Date(), config = getRankingConfig() } = {}) => {
+  let weightedSum = config.priorWeight * config.priorMean;
+  let totalWeight = config.priorWeight;
+
+  for (const rating of ratings) {
+    const weight = reviewWeight(rating, now, config);
+    weightedSum += weight * rating.rating;
+    totalWeight += weight;
+  }
+
+  return parseFloat((weightedSum / totalWeight).toFixed(4));
+};
+
+/**
+ * Recompute ranking_score for every store (or one) with computeRankingScore,
+ * a batch of stores at a time. Takes a bare Sequelize instance so migrations
+ * and seeders can use it as well as Store.refreshRankingScores.
+ * @param {Object} sequelize - Sequelize instance
+ * @param {Object} [options]
+ * @param {string} [options.storeId] - Limit to one store
+ * @param {Object} [options.transaction]
+ * @param {Date} [options.now=new Date()] - Reference instant for the decay
+ * @param {Object} [options.config=getRankingConfig()]
+ * @returns {Promise<number>} Number of stores updated
+ */
+const refreshRankingScores = async (sequelize, {
+  storeId = null,
+  transaction,
+  now = new Date(),
+  config = getRankingConfig()
+} = {}) => {
+  let updated = 0;
+  let after = null;
+
+  for (;;) {
+    const conditions = [storeId && 'id = :storeId', after && 'id > :after'].filter(Boolean);
+    const stores = await sequelize.query(
+      `SELECT id FROM stores${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY id LIMIT :limit`,
+      { replacements: { storeId, after, limit: REFRESH_BATCH_SIZE }, type: QueryTypes.SELECT, transaction }
+    );
+    if (stores.length === 0) return updated;
+
+    const ids = stores.map(({ id }) => id);
+    const ratings = await sequelize.query(
+      `SELECT store_id, rating, created_at, is_verified_purchase
+         FROM ratings
+        WHERE is_approved = true AND store_id IN (:ids)`,
+      { replacements: { ids }, type: QueryTypes.SELECT, transaction }
+    );
+    const byStore = new Map(ids.map((id) => [id, []]));
+    ratings.forEach((rating) => byStore.get(rating.store_id).push(rating));
+
+    const scores = ids.map((id) => computeRankingScore(byStore.get(id), { now, config }));
+    await sequelize.query(
+      `UPDATE stores
+          SET ranking_score = scores.score
+         FROM (SELECT unnest(ARRAY[:ids]::uuid[]) AS id, unnest(ARRAY[:scores]::numeric[]) AS score) scores
+        WHERE stores.id = scores.id`,
+      { replacements: { ids, scores }, transaction }
+    );
+
+    updated += ids.length;
+    if (ids.length < REFRESH_BATCH_SIZE) return updated;
+    after = ids[ids.length - 1];
+  }
+};
+
+module.exports = {
+  getRankingConfig,
+  computeRankingScore,
+  refreshRankingScores
+};
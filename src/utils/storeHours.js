@@ -0,0 +1,281 @@
+/**
+ * Opening-hours helpers. Store hours are wall-clock times in the store's
+ * IANA timezone, keyed by weekday:
+ *
+ *   monday: { open: '09:00', close: '17:00', closed: false }
+ *   friday: { closed: false, intervals: [{ open: '11:00', close: '14:00' }, { open: '18:00', close: '02:00' }] }
+ *
+ * A close time at or before its open time runs past midnight into the next day.
+ */
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * @param {string} timezone - IANA name, e.g. 'Europe/London'
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @param {string} value - 'HH:MM'
+ * @returns {number|null} Minutes since midnight, null when malformed
+ */
+const parseTime = (value) => {
+  const match = TIME_REGEX.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Open intervals for a single weekday entry, in either supported shape
+ * @param {Object} dayHours - Entry from the hours object
+ * @returns {Array<{open: string, close: string}>}
+ */
+const getDayIntervals = (dayHours) => {
+  if (!dayHours || dayHours.closed) return [];
+  if (Array.isArray(dayHours.intervals)) return dayHours.intervals;
+  return [{ open: dayHours.open, close: dayHours.close }];
+};
+
+/**
+ * Check a list of { open, close } intervals, throwing on the first problem
+ * @param {Array} intervals - Intervals to check
+ * @param {string} label - Used in error messages, e.g. 'monday'
+ */
+const validateIntervals = (intervals, label) => {
+  if (!Array.isArray(intervals)) {
+    throw new Error(`Intervals for ${label} must be an array`);
+  }
+  if (intervals.length === 0) {
+    throw new Error(`Invalid hours for ${label}`);
+  }
+  for (const interval of intervals) {
+    if (!interval || parseTime(interval.open) === null || parseTime(interval.close) === null) {
+      throw new Error(`Invalid hours for ${label}, times must be HH:MM`);
+    }
+  }
+};
+
+const MAX_SPECIAL_HOURS_DAYS = 366;
+
+/**
+ * Check the date range of a special-hours override, throwing on the first problem
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD, inclusive
+ */
+const validateSpecialHoursRange = (startDate, endDate) => {
+  if (endDate < startDate) {
+    throw new Error('endDate cannot be before startDate');
+  }
+  const days = (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) + 1;
+  if (days > MAX_SPECIAL_HOURS_DAYS) {
+    throw new Error(`Special hours cannot span more than ${MAX_SPECIAL_HOURS_DAYS} days`);
+  }
+};
+
+/**
+ * Check an hours object, throwing on the first problem
+ * @param {Object} hours - Hours keyed by weekday
+ */
+const validateHours = (hours) => {
+  if (typeof hours !== 'object' || Array.isArray(hours)) {
+    throw new Error('Hours must be an object keyed by weekday');
+  }
+
+  for (const day of Object.keys(hours)) {
+    if (!DAYS.includes(day)) {
+      throw new Error(`Unknown weekday in hours: ${day}`);
+    }
+    const dayHours = hours[day];
+    if (!dayHours || typeof dayHours !== 'object' || dayHours.closed) continue;
+
+    validateIntervals(
+      dayHours.intervals !== undefined ? dayHours.intervals : getDayIntervals(dayHours),
+      day
+    );
+  }
+};
+
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+const getOffset = (timestamp, timezone) => {
+  const parts = getZonedParts(new Date(timestamp), timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Instant at which a timezone's wall clock shows the given local time.
+ * A time skipped by a DST jump is pushed forward by the size of the jump.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day - Day of month (may overflow, Date.UTC normalises it)
+ * @param {number} minutes - Minutes since local midnight (may exceed a day)
+ * @param {string} timezone - IANA name
+ * @returns {Date}
+ */
+const zonedTimeToDate = (year, month, day, minutes, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * MS_PER_MINUTE;
+  const firstOffset = getOffset(wallClock, timezone);
+  const firstGuess = wallClock - firstOffset;
+  const secondOffset = getOffset(firstGuess, timezone);
+  if (secondOffset === firstOffset) {
+    return new Date(firstGuess);
+  }
+
+  const secondGuess = wallClock - secondOffset;
+  if (getOffset(secondGuess, timezone) === secondOffset) {
+    return new Date(secondGuess);
+  }
+  // Neither offset reproduces the wall clock, so it falls in a DST gap
+  return new Date(Math.max(firstGuess, secondGuess));
+};
+
+/**
+ * Special-hours entry covering a local date, if any
+ * @param {Array<{start_date: string, end_date: string}>} specialHours - Overrides
+ * @param {string} date - Local date as YYYY-MM-DD
+ * @returns {Object|undefined}
+ */
+const findSpecialHours = (specialHours, date) => specialHours.find(
+  (entry) => entry.start_date <= date && date <= entry.end_date
+);
+
+/**
+ * Concrete opening intervals around an instant, merged where one runs
+ * straight into the next (e.g. 18:00-24:00 followed by 00:00-02:00).
+ * A special-hours entry replaces the weekly schedule for the dates it covers.
+ * @param {Object} hours - Hours keyed by weekday
+ * @param {string} timezone - IANA name
+ * @param {Date} at - Reference instant
+ * @param {Object} [options]
+ * @param {number} [options.daysAhead=7] - How many local days after `at` to expand
+ * @param {Array} [options.specialHours=[]] - Date overrides ({ start_date, end_date, closed, intervals })
+ * @returns {Array<{start: Date, end: Date}>} Sorted intervals
+ */
+const getOpenIntervals = (hours, timezone, at, { daysAhead = 7, specialHours = [] } = {}) => {
+  if (!hours && specialHours.length === 0) return [];
+
+  const local = getZonedParts(at, timezone);
+  const intervals = [];
+
+  // Start one day back so last night's overnight hours are included
+  for (let offset = -1; offset <= daysAhead; offset++) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const override = findSpecialHours(specialHours, date.toISOString().slice(0, 10));
+    const dayIntervals = override
+      ? (override.closed ? [] : override.intervals || [])
+      : getDayIntervals(hours && hours[DAYS[date.getUTCDay()]]);
+
+    for (const interval of dayIntervals) {
+      const open = parseTime(interval.open);
+      let close = parseTime(interval.close);
+      if (open === null || close === null) continue;
+      if (close <= open) close += MINUTES_PER_DAY;
+
+      intervals.push({
+        start: zonedTimeToDate(local.year, local.month, local.day + offset, open, timezone),
+        end: zonedTimeToDate(local.year, local.month, local.day + offset, close, timezone)
+      });
+    }
+  }
+
+  intervals.sort((a, b) => a.start - b.start);
+
+  return intervals.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Whether a store is open at an instant, and when that changes
+ * @param {Object} hours - Hours keyed by weekday
+ * @param {string} timezone - IANA name
+ * @param {Date} [at=new Date()] - Reference instant
+ * @param {Array} [specialHours=[]] - Date overrides, see getOpenIntervals
+ * @returns {{isOpen: boolean, closesAt: Date|null, nextOpensAt: Date|null}}
+ *   closesAt is set while open, nextOpensAt while closed (null if it does not open
+ *   within a week of the last override)
+ */
+const getOpenStatus = (hours, timezone, at = new Date(), specialHours = []) => {
+  // Look a week past the last override so a long closure still reports when it reopens
+  const lastOverrideEnd = specialHours.reduce(
+    (latest, entry) => Math.max(latest, Date.parse(entry.end_date)),
+    at.getTime()
+  );
+  const daysAhead = 7 + Math.ceil((lastOverrideEnd - at.getTime()) / (MINUTES_PER_DAY * MS_PER_MINUTE));
+
+  const intervals = getOpenIntervals(hours, timezone, at, { daysAhead, specialHours });
+  const current = intervals.find((interval) => interval.start <= at && at < interval.end);
+
+  if (current) {
+    return { isOpen: true, closesAt: current.end, nextOpensAt: null };
+  }
+
+  const next = intervals.find((interval) => interval.start > at);
+  return { isOpen: false, closesAt: null, nextOpensAt: next ? next.start : null };
+};
+
+module.exports = {
+  DAYS,
+  MAX_SPECIAL_HOURS_DAYS,
+  isValidTimezone,
+  parseTime,
+  getDayIntervals,
+  validateIntervals,
+  validateSpecialHoursRange,
+  validateHours,
+  getZonedParts,
+  zonedTimeToDate,
+  getOpenIntervals,
+  getOpenStatus
+};
@@ -0,0 +1,58 @@
+/**
+ * Postgres full-text search helpers shared by the search migration and
+ * searchService. Stores and ratings carry a `search_vector` tsvector kept
+ * up to date by triggers; user input only ever reaches SQL as a bound
+ * tsquery made of plain word characters.
+ */
+
+// Text search configuration used for both the vectors and the queries
+const SEARCH_CONFIG = 'english';
+
+// Longer queries add nothing but cost
+const MAX_SEARCH_TERMS = 8;
+
+/**
+ * tsvector of a store row, weighted name > category/city > description
+ * @param {string} [row='NEW'] - Row or table alias
+ * @returns {string} SQL expression
+ */
+const storeSearchVector = (row = 'NEW') => `
+  setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(${row}.name, '')), 'A') ||
+  setweight(to_tsvector('${SEARCH_CONFIG}',
+    replace(COALESCE(${row}.category::text, ''), '_', ' ') || ' ' || COALESCE(${row}.address->>'city', '')), 'B') ||
+  setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(${row}.description, '')), 'C')`;
+
+/**
+ * tsvector of a rating row, weighted title > comment
+ * @param {string} [row='NEW'] - Row or table alias
+ * @returns {string} SQL expression
+ */
+const ratingSearchVector = (row = 'NEW') => `
+  setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(${row}.title, '')), 'A') ||
+  setweight(to_tsvector('${SEARCH_CONFIG}', COALESCE(${row}.comment, '')), 'B')`;
+
+/**
+ * Words of a search string, lowercased. Anything that isn't a letter or a
+ * digit is a separator, so tsquery operators in the input are dropped.
+ * @param {string} q - Raw search string
+ * @returns {Array<string>}
+ */
+const searchTerms = (q) => (String(q || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .slice(0, MAX_SEARCH_TERMS);
+
+/**
+ * to_tsquery input matching every term as a prefix ("coff sho" finds
+ * "Coffee Shop"), for search-as-you-type
+ * @param {Array<string>} terms - From searchTerms
+ * @returns {string} e.g. 'coff:* & sho:*'
+ */
+const prefixTsQuery = (terms) => terms.map((term) => `${term}:*`).join(' & ');
+
+module.exports = {
+  SEARCH_CONFIG,
+  MAX_SEARCH_TERMS,
+  storeSearchVector,
+  ratingSearchVector,
+  searchTerms,
+  prefixTsQuery
+};
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, bearer, recordQueries } = require('./helpers');
+
+const { Rating } = models;
+
+useMemoryDatabase();
+
+let owner;
+let store;
+
+const createUser = (name, role) => insert('User', {
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'secret123',
+  role
+}, { hooks: false });
+
+const createStore = (name, averageRating) => insert('Store', {
+  name,
+  category: 'grocery',
+  address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+  owner_id: owner.id,
+  average_rating: averageRating
+});
+
+const analytics = (user, query) => request(app)
+  .get(`/api/stores/${store.id}/analytics`)
+  .query(query)
+  .set('Authorization', bearer(user));
+
+// Answers for the store's reporting queries, by what they select
+const answer = (sql) => {
+  if (sql.includes('percentile_cont')) {
+    return [{ reviews: '4', replied: '3', median_seconds: 7200 }];
+  }
+  if (sql.includes('date_trunc')) {
+    return [
+      { period: new Date('2026-10-05T00:00:00Z'), rating: 5, count: '2' },
+      { period: new Date('2026-10-05T00:00:00Z'), rating: 3, count: '1' },
+      { period: new Date('2026-10-12T00:00:00Z'), rating: 4, count: '1' }
+    ];
+  }
+  if (sql.includes('helpful_votes')) {
+    return [{ helpful: '7', unhelpful: '1' }];
+  }
+  if (sql.includes('DISTINCT')) {
+    return [{ average: '3.5000', reviews: '12', stores: '3' }];
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+beforeEach(async () => {
+  owner = await createUser('Owner', 'store_owner');
+  store = await createStore('Corner Shop', 4.5);
+  await createStore('Rival Shop', 4.8);
+});
+
+describe('store analytics', () => {
+  it('reports trends, votes, replies and the category comparison', async () => {
+    const queries = recordQueries([Rating], answer);
+
+    const res = await analytics(owner, { from: '2026-10-01', to: '2026-10-14', interval: 'week' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({
+      reviews: 4,
+      average: 4.25,
+      distribution: { 5: 2, 4: 1, 3: 1, 2: 0, 1: 0 },
+      helpfulVotes: 7,
+      unhelpfulVotes: 1
+    });
+    expect(res.body.data.series.map(({ period, count, average }) => [period, count, average])).toEqual([
+      ['2026-09-28', 0, null],
+      ['2026-10-05', 3, 4.33],
+      ['2026-10-12', 1, 4]
+    ]);
+    expect(res.body.data.replies).toEqual({ reviews: 4, replied: 3, replyRate: 0.75, medianHoursToReply: 2 });
+    expect(res.body.data.category).toEqual({
+      category: 'grocery',
+      average: 3.5,
+      reviewsPerStore: 4,
+      difference: 0.75,
+      rank: 2,
+      stores: 2
+    });
+
+    // Only this store's approved reviews in the range are counted
+    const trend = queries.find((query) => query.sql.includes('date_trunc')).sql;
+    expect(trend).toMatch(/date_trunc\('week', "created_at"\)/);
+    expect(trend).toMatch(new RegExp(`"store_id" = '${store.id}'`));
+    expect(trend).toMatch(/"is_approved" = true/);
+    const replies = queries.find((query) => query.sql.includes('percentile_cont'));
+    expect(replies.options.replacements).toMatchObject({ storeId: store.id, from: new Date('2026-10-01T00:00:00Z') });
+  });
+
+  it('is for the store owner or an admin', async () => {
+    recordQueries([Rating], answer);
+
+    expect((await analytics(await createUser('Rival', 'store_owner'))).status).toBe(403);
+    expect((await analytics(await createUser('Admin', 'admin'))).status).toBe(200);
+  });
+
+  it('rejects ranges too long for the interval', async () => {
+    const res = await analytics(owner, { from: '2024-01-01', to: '2026-01-01', interval: 'day' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('interval');
+  });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const { app, useMemoryDatabase, insert, bearer } = require('./helpers');
+const { getSentMessages, clearSentMessages } = require('../src/services/emailService');
+const { REFRESH_COOKIE_NAME, rotateRefreshToken } = require('../src/services/tokenService');
+
+const db = useMemoryDatabase();
+
+beforeEach(() => {
+  clearSentMessages();
+});
+
+/**
+ * The refresh cookie set by a response, as a Cookie header value
+ * @param {Object} res - supertest response
+ * @returns {string}
+ */
+const refreshCookie = (res) => {
+  const cookie = (res.headers['set-cookie'] || []).find((value) => value.startsWith(`${REFRESH_COOKIE_NAME}=`));
+  expect(cookie).toBeDefined();
+  return cookie.split(';')[0];
+};
+
+/**
+ * Token from the link in the last email sent to an address
+ * @param {string} to - Recipient
+ * @param {RegExp} pattern - Captures the token from the text body
+ * @returns {string}
+ */
+const tokenFromEmail = (to, pattern) => {
+  const message = getSentMessages().filter((sent) => sent.to === to).pop();
+  expect(message).toBeDefined();
+  return message.text.match(pattern)[1];
+};
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+describe('register and login', () => {
+  it('registers a user with a hashed password and starts a session', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada Lovelace', email: 'Ada@Example.com', password: 'secret123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(db.User[0]).toMatchObject({ email: 'ada@example.com', role: 'customer' });
+    expect(db.User[0].password).not.toBe('secret123');
+    const token = refreshCookie(res).split('=')[1];
+    expect(token).toMatch(/^[0-9a-f]{96}$/);
+    // Only the hash is stored
+    expect(db.RefreshToken).toHaveLength(1);
+    expect(db.RefreshToken[0].token_hash).not.toBe(token);
+  });
+
+  it('refuses a duplicate email', async () => {
+    await insert('User', { name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Someone Else', email: 'ada@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(409);
+    expect(db.User).toHaveLength(1);
+  });
+
+  it('logs in with the right password only', async () => {
+    await insert('User', { name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+
+    expect((await login('ada@example.com', 'secret124')).status).toBe(401);
+
+    const res = await login('ada@example.com', 'secret123');
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe('ada@example.com');
+    expect(db.User[0].last_login).toBeInstanceOf(Date);
+  });
+});
+
+describe('email verification', () => {
+  const register = () => request(app)
+    .post('/api/auth/register')
+    .send({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+
+  it('emails a verification link that verifies the account once', async () => {
+    const res = await register();
+    expect(res.body.data.user.isEmailVerified).toBe(false);
+
+    const token = tokenFromEmail('ada@example.com', /verify-email\/([0-9a-f]{64})/);
+    // Only the hash is stored
+    expect(db.User[0].email_verification_token).not.toBe(token);
+
+    const verified = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(verified.status).toBe(200);
+    expect(db.User[0].is_email_verified).toBe(true);
+    expect(db.User[0].email_verification_token).toBeNull();
+
+    const reused = await request(app).get(`/api/auth/verify-email/${token}`);
+    expect(reused.status).toBe(400);
+  });
+
+  it('rejects an expired verification link', async () => {
+    await register();
+    const token = tokenFromEmail('ada@example.com', /verify-email\/([0-9a-f]{64})/);
+    db.User[0].email_verification_expires = new Date(Date.now() - 1000);
+
+    const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+    expect(res.status).toBe(400);
+    expect(db.User[0].is_email_verified).toBe(false);
+  });
+
+  it('throttles resending and replaces the previous link', async () => {
+    await register();
+    const first = tokenFromEmail('ada@example.com', /verify-email\/([0-9a-f]{64})/);
+    const resend = () => request(app).post('/api/auth/resend-verification').set('Authorization', bearer(db.User[0]));
+
+    const early = await resend();
+    expect(early.status).toBe(429);
+    expect(Number(early.headers['retry-after'])).toBeGreaterThan(0);
+
+    // As if the first email went out two minutes ago
+    db.User[0].email_verification_expires = new Date(db.User[0].email_verification_expires.getTime() - 2 * 60 * 1000);
+    expect((await resend()).status).toBe(200);
+
+    const second = tokenFromEmail('ada@example.com', /verify-email\/([0-9a-f]{64})/);
+    expect(second).not.toBe(first);
+    expect((await request(app).get(`/api/auth/verify-email/${first}`)).status).toBe(400);
+    expect((await request(app).get(`/api/auth/verify-email/${second}`)).status).toBe(200);
+  });
+
+  it('does not resend once verified', async () => {
+    const user = await insert('User', {
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      password: 'secret123',
+      is_email_verified: true
+    }, { hooks: false });
+
+    const res = await request(app).post('/api/auth/resend-verification').set('Authorization', bearer(user));
+
+    expect(res.status).toBe(400);
+    expect(getSentMessages()).toHaveLength(0);
+  });
+});
+
+describe('forgot and reset password', () => {
+  beforeEach(async () => {
+    await insert('User', { name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+  });
+
+  it('resets the password with the emailed token and signs out other sessions', async () => {
+    const session = await login('ada@example.com', 'secret123');
+    expect(session.status).toBe(200);
+
+    const forgot = await request(app).post('/api/auth/forgot-password').send({ email: 'ada@example.com' });
+    expect(forgot.status).toBe(200);
+    const token = tokenFromEmail('ada@example.com', /reset-password\?token=([0-9a-f]{64})/);
+    // Only the hash is stored
+    expect(db.User[0].password_reset_token).not.toBe(token);
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'new-secret456' });
+    expect(reset.status).toBe(200);
+    expect(db.RefreshToken.every((row) => row.revoked_at)).toBe(true);
+    expect(db.User[0].password_changed_at).toBeInstanceOf(Date);
+
+    expect((await login('ada@example.com', 'secret123')).status).toBe(401);
+    expect((await login('ada@example.com', 'new-secret456')).status).toBe(200);
+
+    const reused = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'another-secret789' });
+    expect(reused.status).toBe(400);
+  });
+
+  it('answers the same for unknown emails without sending anything', async () => {
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(getSentMessages()).toHaveLength(0);
+  });
+});
+
+describe('refresh token rotation', () => {
+  let cookie;
+
+  beforeEach(async () => {
+    await insert('User', { name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+    cookie = refreshCookie(await login('ada@example.com', 'secret123'));
+  });
+
+  it('exchanges the refresh cookie for a new token pair', async () => {
+    const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    const rotated = refreshCookie(res);
+    expect(rotated).not.toBe(cookie);
+
+    const [previous, current] = db.RefreshToken;
+    expect(previous.revoked_at).toBeInstanceOf(Date);
+    expect(previous.replaced_by_id).toBe(current.id);
+    expect(current.family_id).toBe(previous.family_id);
+
+    expect((await request(app).post('/api/auth/refresh').set('Cookie', rotated)).status).toBe(200);
+  });
+
+  it('treats reuse of a rotated token as theft and revokes the family', async () => {
+    const rotated = refreshCookie(await request(app).post('/api/auth/refresh').set('Cookie', cookie));
+
+    const reused = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    expect(reused.status).toBe(401);
+
+    expect(db.RefreshToken.every((row) => row.revoked_at)).toBe(true);
+    expect((await request(app).post('/api/auth/refresh').set('Cookie', rotated)).status).toBe(401);
+  });
+
+  it('lets only one of two concurrent rotations succeed and revokes the family', async () => {
+    // Called directly so both lookups happen before either revoke
+    const token = decodeURIComponent(cookie.split('=')[1]);
+    const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+    const sessions = await Promise.all([rotateRefreshToken(token, req), rotateRefreshToken(token, req)]);
+
+    expect(sessions.filter(Boolean)).toHaveLength(1);
+    // The loser counts as reuse, so even the winner's new token is revoked
+    expect(db.RefreshToken.every((row) => row.revoked_at)).toBe(true);
+  });
+
+  it('refuses an expired refresh token', async () => {
+    db.RefreshToken[0].expires_at = new Date(Date.now() - 1000);
+
+    expect((await request(app).post('/api/auth/refresh').set('Cookie', cookie)).status).toBe(401);
+  });
+
+  it('rejects a missing cookie', async () => {
+    expect((await request(app).post('/api/auth/refresh')).status).toBe(401);
+  });
+});
+
+describe('logout', () => {
+  let user;
+  let cookies;
+
+  beforeEach(async () => {
+    user = await insert('User', { name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+    cookies = [
+      refreshCookie(await login('ada@example.com', 'secret123')),
+      refreshCookie(await login('ada@example.com', 'secret123'))
+    ];
+  });
+
+  it('revokes only the current session', async () => {
+    const res = await request(app).post('/api/auth/logout').set('Cookie', cookies[0]);
+
+    expect(res.status).toBe(200);
+    expect((await request(app).post('/api/auth/refresh').set('Cookie', cookies[0])).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh').set('Cookie', cookies[1])).status).toBe(200);
+  });
+
+  it('revokes every session when logging out of all devices', async () => {
+    const res = await request(app).post('/api/auth/logout-all').set('Authorization', bearer(user));
+
+    expect(res.status).toBe(200);
+    expect(db.RefreshToken.every((row) => row.revoked_at)).toBe(true);
+    expect((await request(app).post('/api/auth/refresh').set('Cookie', cookies[1])).status).toBe(401);
+  });
+});
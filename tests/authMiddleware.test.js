@@ -0,0 +1,106 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { useMemoryDatabase, insert } = require('./helpers');
+const { protect, authorize, requireVerifiedEmail } = require('../src/middleware/auth');
+const errorHandler = require('../src/middleware/errorHandler');
+
+const db = useMemoryDatabase();
+
+const app = express();
+app.get('/me', protect, (req, res) => res.json({ user: req.user.toJSON() }));
+app.get('/admin', protect, authorize('admin'), (req, res) => res.json({ ok: true }));
+app.get('/verified', protect, requireVerifiedEmail, (req, res) => res.json({ ok: true }));
+app.use(errorHandler);
+
+const sign = (id, options = {}) => jwt.sign({ id }, process.env.JWT_SECRET, options);
+const get = (path, token) => {
+  const req = request(app).get(path);
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+let user;
+
+beforeEach(async () => {
+  user = await insert('User', { name: 'Ann', email: 'ann@example.com', password: 'secret123' }, { hooks: false });
+});
+
+describe('protect', () => {
+  it('loads the user named by a valid token, without the password', async () => {
+    const res = await get('/me', sign(user.id));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.id).toBe(user.id);
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it.each([
+    ['no token', undefined, 'Not authorized, no token provided'],
+    ['a token signed with another secret', jwt.sign({ id: 'x' }, 'other-secret'), 'Not authorized, token invalid'],
+    ['an expired token', 'expired', 'Not authorized, token expired']
+  ])('rejects %s', async (_, token, message) => {
+    const res = await get('/me', token === 'expired' ? sign(user.id, { expiresIn: -10 }) : token);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe(message);
+  });
+
+  it('rejects tokens issued before the password was changed', async () => {
+    const token = sign(user.id);
+    db.User[0].password_changed_at = new Date(Date.now() + 2000);
+
+    const res = await get('/me', token);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Not authorized, password was changed. Please log in again');
+  });
+
+  it('rejects tokens for deleted users', async () => {
+    db.User.length = 0;
+
+    expect((await get('/me', sign(user.id))).status).toBe(401);
+  });
+
+  it('rejects deactivated users', async () => {
+    db.User[0].is_active = false;
+
+    const res = await get('/me', sign(user.id));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Account has been deactivated');
+  });
+});
+
+describe('authorize', () => {
+  it('lets listed roles through', async () => {
+    db.User[0].role = 'admin';
+
+    expect((await get('/admin', sign(user.id))).status).toBe(200);
+  });
+
+  it('refuses other roles', async () => {
+    const res = await get('/admin', sign(user.id));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied. Requires role: admin');
+  });
+
+  it('fails fast on a misspelt role', () => {
+    expect(() => authorize('owner')).toThrow('authorize() called with unknown role(s): owner');
+  });
+});
+
+describe('requireVerifiedEmail', () => {
+  it('refuses accounts that have not verified their email', async () => {
+    const res = await get('/verified', sign(user.id));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Please verify your email address first');
+  });
+
+  it('lets verified accounts through', async () => {
+    db.User[0].is_email_verified = true;
+
+    expect((await get('/verified', sign(user.id))).status).toBe(200);
+  });
+});
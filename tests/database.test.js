@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { models } = require('./helpers');
+const { CATEGORIES, DEMO_EMAIL_DOMAIN } = require('../src/database/demoData');
+
+const { sequelize } = models;
+
+/**
+ * Modules in a migrations or seeders directory, in the order umzug runs them
+ * @param {string} directory - Relative to src/
+ * @returns {Object[]}
+ */
+const load = (directory) => {
+  const root = path.join(__dirname, '..', 'src', directory);
+  return fs.readdirSync(root)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => ({ name: file, ...require(path.join(root, file)) }));
+};
+
+const fieldNames = (fields) => fields.map((field) => (typeof field === 'string' ? field : field.name || field.attribute));
+
+const indexKey = (fields, options = {}) => [
+  fieldNames(fields).join(','),
+  options.unique ? 'unique' : '',
+  (options.using || '').toLowerCase()
+].join('|');
+
+/**
+ * A queryInterface that applies schema changes to plain objects instead of
+ * a database, so the migrations can be compared with the models
+ * @returns {Object} { queryInterface, tables }
+ */
+const recordSchema = () => {
+  const tables = {};
+  const queryInterface = {
+    sequelize: { query: async () => [] },
+    createTable: async (table, attributes) => {
+      tables[table] = { columns: new Set(Object.keys(attributes)), indexes: new Set(), constraints: new Set() };
+    },
+    dropTable: async (table) => {
+      delete tables[table];
+    },
+    addColumn: async (table, column) => {
+      tables[table].columns.add(column);
+    },
+    removeColumn: async (table, column) => {
+      tables[table].columns.delete(column);
+    },
+    addIndex: async (table, fields, options) => {
+      tables[table].indexes.add(indexKey(fields, options));
+    },
+    addConstraint: async (table, options) => {
+      tables[table].constraints.add(options.name);
+    },
+    removeConstraint: async (table, name) => {
+      tables[table].constraints.delete(name);
+    }
+  };
+  return { queryInterface, tables };
+};
+
+describe('migrations', () => {
+  const migrations = load('migrations');
+  const tableModels = Object.values(sequelize.models);
+
+  it('create every column and index the models declare', async () => {
+    const { queryInterface, tables } = recordSchema();
+    for (const migration of migrations) {
+      await migration.up({ context: queryInterface });
+    }
+
+    tableModels.forEach((Model) => {
+      const table = tables[Model.getTableName()];
+      expect(table).toBeDefined();
+
+      const columns = Object.values(Model.rawAttributes).map((attribute) => attribute.field);
+      expect([...table.columns].sort()).toEqual(columns.sort());
+
+      Model.options.indexes.forEach((index) => {
+        expect(table.indexes).toContain(indexKey(index.fields, index));
+      });
+    });
+  });
+
+  it('can be reverted in reverse order', async () => {
+    const { queryInterface, tables } = recordSchema();
+    for (const migration of migrations) {
+      await migration.up({ context: queryInterface });
+    }
+    for (const migration of [...migrations].reverse()) {
+      await migration.down({ context: queryInterface });
+    }
+
+    expect(tables).toEqual({});
+  });
+});
+
+describe('demo seeders', () => {
+  const rows = { users: [], stores: [], ratings: [], review_votes: [] };
+
+  // Answers the lookups the seeders make from the rows inserted so far
+  const queryInterface = {
+    sequelize: {
+      fn: (name, ...args) => ({ fn: name, args }),
+      query: async (sql) => {
+        if (/^\s*UPDATE/.test(sql)) return [];
+        if (sql.includes("role = 'store_owner'")) return rows.users.filter((user) => user.role === 'store_owner');
+        if (sql.includes("role = 'customer'")) return rows.users.filter((user) => user.role === 'customer');
+        if (sql.includes('FROM stores')) return [...rows.stores].sort((a, b) => a.slug.localeCompare(b.slug));
+        if (sql.includes('FROM ratings')) return rows.ratings.filter((rating) => rating.is_approved !== false);
+        throw new Error(`Unexpected query: ${sql}`);
+      }
+    },
+    bulkInsert: async (table, values) => {
+      rows[table].push(...values);
+    }
+  };
+
+  beforeAll(async () => {
+    for (const seeder of load('seeders')) {
+      await seeder.up({ context: queryInterface });
+    }
+  });
+
+  it('build owners and customers on the demo domain', () => {
+    expect(rows.users.every((user) => user.email.endsWith(`@${DEMO_EMAIL_DOMAIN}`))).toBe(true);
+    expect(new Set(rows.users.map((user) => user.email)).size).toBe(rows.users.length);
+    expect(rows.users.filter((user) => user.role === 'store_owner').length).toBeGreaterThan(0);
+    expect(rows.users.filter((user) => user.role === 'customer').length).toBeGreaterThan(0);
+  });
+
+  it('cover every store category with unique slugs', () => {
+    expect(new Set(rows.stores.map((store) => store.category))).toEqual(new Set(CATEGORIES));
+    expect(new Set(rows.stores.map((store) => store.slug)).size).toBe(rows.stores.length);
+
+    const owners = new Set(rows.users.filter((user) => user.role === 'store_owner').map((user) => user.id));
+    expect(rows.stores.every((store) => owners.has(store.owner_id))).toBe(true);
+  });
+
+  it('rate each store at most once per customer', () => {
+    const pairs = rows.ratings.map((rating) => `${rating.user_id}:${rating.store_id}`);
+    expect(new Set(pairs).size).toBe(pairs.length);
+
+    const storeIds = new Set(rows.stores.map((store) => store.id));
+    expect(rows.ratings.every((rating) => storeIds.has(rating.store_id))).toBe(true);
+    expect(rows.ratings.every((rating) => rating.rating >= 1 && rating.rating <= 5)).toBe(true);
+  });
+
+  it('vote once per customer on other people\'s reviews', () => {
+    const authors = new Map(rows.ratings.map((rating) => [rating.id, rating.user_id]));
+    const pairs = rows.review_votes.map((vote) => `${vote.user_id}:${vote.rating_id}`);
+
+    expect(rows.review_votes.length).toBeGreaterThan(0);
+    expect(new Set(pairs).size).toBe(pairs.length);
+    expect(rows.review_votes.every((vote) => authors.has(vote.rating_id) && authors.get(vote.rating_id) !== vote.user_id)).toBe(true);
+  });
+});
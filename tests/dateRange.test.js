@@ -0,0 +1,47 @@
+const { parseRange, seriesRange, truncate, eachPeriod, formatPeriod } = require('../src/utils/dateRange');
+
+const at = (iso) => new Date(iso);
+
+describe('parseRange', () => {
+  it('reads a bare `to` date as the end of that day', () => {
+    expect(parseRange({ from: '2026-10-01', to: '2026-10-14' })).toEqual({
+      from: at('2026-10-01T00:00:00Z'),
+      to: at('2026-10-14T23:59:59.999Z')
+    });
+    expect(parseRange({ to: '2026-10-14T12:00:00Z' })).toEqual({ from: null, to: at('2026-10-14T12:00:00Z') });
+  });
+});
+
+describe('seriesRange', () => {
+  it('defaults `from` to the interval\'s window before `to`', () => {
+    const to = at('2026-10-31T00:00:00Z');
+
+    expect(seriesRange({ from: null, to }, 'day').from).toEqual(at('2026-10-01T00:00:00Z'));
+    expect(seriesRange({ from: null, to }, 'week').from).toEqual(at('2026-08-08T00:00:00Z'));
+  });
+});
+
+describe('truncate', () => {
+  it.each([
+    ['day', '2026-10-15T18:30:00Z', '2026-10-15'],
+    ['week', '2026-10-18T18:30:00Z', '2026-10-12'],
+    ['week', '2026-10-12T00:00:00Z', '2026-10-12'],
+    ['month', '2026-10-15T18:30:00Z', '2026-10-01']
+  ])('starts the %s of %s on %s', (interval, date, start) => {
+    expect(formatPeriod(truncate(at(date), interval))).toBe(start);
+  });
+});
+
+describe('eachPeriod', () => {
+  it('lists every period touching the range', () => {
+    const periods = eachPeriod(at('2026-10-01T00:00:00Z'), at('2026-10-14T00:00:00Z'), 'week');
+
+    expect(periods.map(formatPeriod)).toEqual(['2026-09-28', '2026-10-05', '2026-10-12']);
+  });
+
+  it('steps months by the calendar', () => {
+    const periods = eachPeriod(at('2026-01-31T00:00:00Z'), at('2026-04-01T00:00:00Z'), 'month');
+
+    expect(periods.map(formatPeriod)).toEqual(['2026-01-01', '2026-02-01', '2026-03-01', '2026-04-01']);
+  });
+});
@@ -0,0 +1,87 @@
+const request = require('supertest');
+const { UniqueConstraintError, ValidationErrorItem, DatabaseError, ForeignKeyConstraintError } = require('sequelize');
+const { app, models, useMemoryDatabase } = require('./helpers');
+const { normalizeError } = require('../src/middleware/errorHandler');
+const { NotFoundError } = require('../src/utils/errors');
+
+useMemoryDatabase();
+
+const register = () => request(app)
+  .post('/api/auth/register')
+  .send({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'secret123' });
+
+describe('error envelope', () => {
+  it('answers unknown API routes with 404', async () => {
+    const res = await request(app).get('/api/nothing-here');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, message: 'API endpoint not found' });
+  });
+
+  it('reports malformed JSON as a bad request', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ success: false, message: 'Malformed JSON in request body' });
+  });
+
+  it('lists each invalid field', async () => {
+    const res = await request(app).post('/api/auth/register').send({ name: 'A', email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation errors');
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      { field: 'email', message: expect.any(String) },
+      { field: 'password', message: expect.any(String) }
+    ]));
+  });
+
+  it('turns a unique constraint violation into a 409 on the field', async () => {
+    // Another request registered the same email between the check and the insert
+    jest.spyOn(models.sequelize.getQueryInterface(), 'insert').mockRejectedValueOnce(new UniqueConstraintError({
+      errors: [new ValidationErrorItem('Email address already exists', 'unique violation', 'email', 'ada@example.com')]
+    }));
+
+    const res = await register();
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      success: false,
+      message: 'Email address already exists',
+      errors: [{ field: 'email', message: 'Email address already exists' }]
+    });
+  });
+
+  it('hides unexpected errors behind a generic 500', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(models.Store, 'findAll').mockRejectedValueOnce(new Error('relation "stores" does not exist'));
+
+    const res = await request(app).get('/api/stores');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ success: false, message: 'Server Error' });
+  });
+});
+
+describe('normalizeError', () => {
+  it('passes application errors through', () => {
+    const error = new NotFoundError('Store not found');
+
+    expect(normalizeError(error)).toBe(error);
+  });
+
+  it('maps a malformed identifier to 400', () => {
+    const error = new DatabaseError(Object.assign(new Error('invalid input syntax for type uuid'), { code: '22P02' }));
+
+    expect(normalizeError(error)).toMatchObject({ statusCode: 400, message: 'Invalid identifier or value format' });
+  });
+
+  it('maps a foreign key violation to 409', () => {
+    const error = new ForeignKeyConstraintError({ parent: new Error('violates foreign key constraint') });
+
+    expect(normalizeError(error)).toMatchObject({ statusCode: 409, message: 'Operation conflicts with related records' });
+  });
+});
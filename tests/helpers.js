@@ -0,0 +1,286 @@
+/**
+ * Shared test setup. The app runs against an in-memory stand-in for
+ * Postgres: inserts and updates go through the real Model#save (so hooks,
+ * defaults and validation run) and the static finders answer from arrays
+ * of rows. Only the query shapes the app uses are understood; anything else
+ * throws so a test never passes on a silently ignored condition.
+ */
+const { Op, Utils } = require('sequelize');
+const models = require('../src/models');
+const app = require('../app');
+const { generateAccessToken } = require('../src/services/tokenService');
+
+const { sequelize } = models;
+
+const COMPARATORS = {
+  [Op.gt]: (a, b) => a > b,
+  [Op.gte]: (a, b) => a >= b,
+  [Op.lt]: (a, b) => a < b,
+  [Op.lte]: (a, b) => a <= b
+};
+
+// Compare like Postgres would: cursors and query strings carry dates as text
+const comparable = (value, like) => {
+  if (value === null || value === undefined) return null;
+  if (like instanceof Date || value instanceof Date) return new Date(value).getTime();
+  return value;
+};
+
+const isEqual = (value, expected) => {
+  if (expected === null) return value === null || value === undefined;
+  return comparable(value, expected) === comparable(expected, value);
+};
+
+/**
+ * Whether one column value satisfies a where condition
+ * @param {*} value - Row value
+ * @param {*} condition - Plain value, array (IN) or operator object
+ * @returns {boolean}
+ */
+const satisfies = (value, condition) => {
+  if (Array.isArray(condition)) return condition.some((item) => isEqual(value, item));
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return isEqual(value, condition);
+  }
+
+  return Reflect.ownKeys(condition).every((operator) => {
+    const operand = condition[operator];
+    if (operator === Op.eq) return isEqual(value, operand);
+    if (operator === Op.ne) return !isEqual(value, operand);
+    if (operator === Op.in) return operand.some((item) => isEqual(value, item));
+    if (operator === Op.notIn) return !operand.some((item) => isEqual(value, item));
+    if (operator === Op.startsWith) return String(value).startsWith(operand);
+    if (COMPARATORS[operator]) {
+      return value !== null && value !== undefined &&
+        COMPARATORS[operator](comparable(value, operand), comparable(operand, value));
+    }
+    throw new Error(`In-memory database does not support ${String(operator)}`);
+  });
+};
+
+/**
+ * Whether a row matches a sequelize.where() condition. Only the
+ * case-insensitive comparison lower(column) = value is understood.
+ * @param {Object} row - Plain row
+ * @param {Object} condition - Utils.Where
+ * @returns {boolean}
+ */
+const matchesWhere = (row, { attribute, comparator, logic }) => {
+  if (attribute instanceof Utils.Fn && attribute.fn === 'lower' &&
+      attribute.args[0] instanceof Utils.Col && comparator === '=') {
+    return String(row[attribute.args[0].col]).toLowerCase() === logic;
+  }
+  throw new Error('In-memory database does not support this sequelize.where()');
+};
+
+/**
+ * Whether a row matches a Sequelize where clause
+ * @param {Object} row - Plain row
+ * @param {Object} [where]
+ * @returns {boolean}
+ */
+const matches = (row, where = {}) => {
+  if (where instanceof Utils.Where) return matchesWhere(row, where);
+  if (where instanceof Utils.SequelizeMethod) {
+    throw new Error('In-memory database does not support SQL literals');
+  }
+  return Reflect.ownKeys(where).every((key) => {
+    if (key === Op.and) return where[key].every((part) => matches(row, part));
+    if (key === Op.or) return where[key].some((part) => matches(row, part));
+    if (typeof key === 'symbol') throw new Error(`In-memory database does not support ${String(key)}`);
+    return satisfies(row[key], where[key]);
+  });
+};
+
+const compareRows = (order) => (a, b) => {
+  for (const [column, direction] of order) {
+    const x = comparable(a[column], b[column]);
+    const y = comparable(b[column], a[column]);
+    if (x < y) return direction === 'DESC' ? 1 : -1;
+    if (x > y) return direction === 'DESC' ? -1 : 1;
+  }
+  return 0;
+};
+
+/**
+ * Replace the database with in-memory tables for the current test file.
+ * Call at the top level of a test file; tables are emptied before each test.
+ * @returns {Object} Rows by model name, e.g. db.User
+ */
+const useMemoryDatabase = () => {
+  const db = {};
+  const tableFor = (Model) => db[Model.name];
+
+  beforeEach(() => {
+    Object.values(sequelize.models).forEach((Model) => {
+      db[Model.name] = [];
+
+      const select = (options = {}) => {
+        const order = (options.order || []).filter((item) => Array.isArray(item) && typeof item[0] === 'string');
+        const rows = tableFor(Model)
+          .filter((row) => matches(row, options.where))
+          .sort(compareRows(order));
+        const offset = options.offset || 0;
+        return options.limit ? rows.slice(offset, offset + options.limit) : rows.slice(offset);
+      };
+
+      // belongsTo and hasMany includes are joined the way Postgres would; others throw
+      const attachIncludes = (instance, include = []) => {
+        include.forEach(({ as, where, order = [] }) => {
+          const association = Model.associations[as];
+          const target = association && association.target;
+          let related;
+          if (association && association.associationType === 'BelongsTo') {
+            const row = tableFor(target)
+              .find((candidate) => candidate[association.targetKey] === instance[association.foreignKey]);
+            related = row ? target.build({ ...row }, { isNewRecord: false, raw: true }) : null;
+          } else if (association && association.associationType === 'HasMany') {
+            related = tableFor(target)
+              .filter((candidate) => candidate[association.foreignKey] === instance[association.sourceKey])
+              .filter((candidate) => matches(candidate, where))
+              .sort(compareRows(order))
+              .map((row) => target.build({ ...row }, { isNewRecord: false, raw: true }));
+          } else {
+            throw new Error(`In-memory database does not support including ${as}`);
+          }
+          instance[as] = related;
+          instance.dataValues[as] = related;
+        });
+        return instance;
+      };
+
+      jest.spyOn(Model, 'findAll').mockImplementation(async (options = {}) => {
+        if (options.group) {
+          // GROUP BY ... COUNT(id) AS count, most frequent first
+          const groups = new Map();
+          select({ where: options.where }).forEach((row) => {
+            const key = options.group.map((column) => row[column]).join('\u0000');
+            const group = groups.get(key) || { ...Object.fromEntries(options.group.map((column) => [column, row[column]])), count: 0 };
+            group.count += 1;
+            groups.set(key, group);
+          });
+          const rows = [...groups.values()].sort((a, b) => b.count - a.count);
+          return options.limit ? rows.slice(0, options.limit) : rows;
+        }
+        // A plain column list selects only those columns
+        const columns = Array.isArray(options.attributes) && options.attributes.every((item) => typeof item === 'string')
+          ? options.attributes
+          : null;
+        return select(options).map((row) => attachIncludes(
+          Model.build(columns ? Object.fromEntries(columns.map((column) => [column, row[column]])) : { ...row }, {
+            isNewRecord: false,
+            raw: true
+          }),
+          options.include
+        ));
+      });
+      jest.spyOn(Model, 'findOne').mockImplementation(async (options = {}) => {
+        const [row] = await Model.findAll({ ...options, limit: 1 });
+        return row || null;
+      });
+      jest.spyOn(Model, 'count').mockImplementation(async (options = {}) => (
+        options.group ? await Model.findAll({ where: options.where, group: options.group }) : select({ where: options.where }).length
+      ));
+      jest.spyOn(Model, 'destroy').mockImplementation(async (options = {}) => {
+        const rows = select({ where: options.where });
+        db[Model.name] = tableFor(Model).filter((row) => !rows.includes(row));
+        return rows.length;
+      });
+      jest.spyOn(Model, 'update').mockImplementation(async (values, options = {}) => {
+        const rows = select({ where: options.where });
+        rows.forEach((row) => Object.assign(row, values));
+        return [rows.length];
+      });
+    });
+
+    const queryInterface = sequelize.getQueryInterface();
+    jest.spyOn(queryInterface, 'insert').mockImplementation(async (instance) => {
+      tableFor(instance.constructor).push({ ...instance.dataValues });
+      return [instance, 1];
+    });
+    jest.spyOn(queryInterface, 'bulkInsert').mockImplementation(async (table, records) => {
+      const Model = Object.values(sequelize.models).find((candidate) => candidate.getTableName() === table);
+      tableFor(Model).push(...records.map((record) => ({ ...record })));
+      return records;
+    });
+    jest.spyOn(queryInterface, 'update').mockImplementation(async (instance) => {
+      const row = tableFor(instance.constructor).find((candidate) => candidate.id === instance.id);
+      Object.assign(row, instance.dataValues);
+      return [instance, 1];
+    });
+    jest.spyOn(queryInterface, 'delete').mockImplementation(async (instance) => {
+      const rows = tableFor(instance.constructor);
+      rows.splice(rows.findIndex((candidate) => candidate.id === instance.id), 1);
+      return 1;
+    });
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (options, callback) => {
+      const run = typeof options === 'function' ? options : callback;
+      return await run({ LOCK: { UPDATE: 'UPDATE' } });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  return db;
+};
+
+/**
+ * Let some models build real SQL again and record it instead of sending it,
+ * for queries the in-memory tables cannot answer (PostGIS, raw SQL).
+ * Call inside a test, after useMemoryDatabase's beforeEach has run.
+ * @param {Object[]} [queryModels] - Models whose finders should build SQL
+ * @param {Function} [answer] - (sql, options) => result to return
+ * @returns {Array<{sql: string, options: Object}>} Filled as queries run
+ */
+const recordQueries = (queryModels = [], answer = () => []) => {
+  const queries = [];
+  queryModels.forEach((Model) => {
+    Model.findAll.mockRestore();
+    Model.count.mockRestore();
+  });
+  jest.spyOn(sequelize, 'query').mockImplementation(async (sql, options = {}) => {
+    queries.push({ sql, options });
+    const result = await answer(sql, options);
+    // Model selects come back as instances, as the postgres dialect builds them
+    if (options.model && Array.isArray(result) && !options.raw) {
+      return options.model.bulkBuild(result, {
+        isNewRecord: false,
+        raw: true,
+        include: options.include,
+        includeNames: options.includeNames,
+        includeMap: options.includeMap,
+        includeValidated: true
+      });
+    }
+    return result;
+  });
+  return queries;
+};
+
+/**
+ * Insert a row through the model, as the app would
+ * @param {string} modelName - e.g. 'User'
+ * @param {Object} values - Column values
+ * @param {Object} [options] - Model.create options, e.g. { hooks: false }
+ *   to skip password hashing for users that never log in
+ * @returns {Promise<Object>} Model instance
+ */
+const insert = async (modelName, values, options = {}) => await sequelize.models[modelName].create(values, options);
+
+/**
+ * Authorization header for a user
+ * @param {Object} user - User instance
+ * @returns {string}
+ */
+const bearer = (user) => `Bearer ${generateAccessToken(user.id)}`;
+
+module.exports = {
+  app,
+  models,
+  useMemoryDatabase,
+  insert,
+  bearer,
+  recordQueries
+};
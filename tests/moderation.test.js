@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, bearer } = require('./helpers');
+const { fileReport, resolveReview } = require('../src/services/moderationService');
+
+const { Rating } = models;
+
+const db = useMemoryDatabase();
+
+let admin;
+let author;
+let reporters;
+let review;
+
+const createUser = (name, role = 'customer') => insert('User', {
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'secret123',
+  role
+}, { hooks: false });
+
+const report = (user, reason = 'spam') => request(app)
+  .post(`/api/reviews/${review.id}/report`)
+  .set('Authorization', bearer(user))
+  .send({ reason });
+
+const reviewRow = () => db.Rating.find((row) => row.id === review.id);
+
+beforeEach(async () => {
+  admin = await createUser('Admin', 'admin');
+  author = await createUser('Author');
+  reporters = await Promise.all(['Ann', 'Bob', 'Cid'].map((name) => createUser(name)));
+  // Store statistics hooks are not under test here
+  review = await insert('Rating', {
+    user_id: author.id,
+    store_id: crypto.randomUUID(),
+    rating: 1,
+    comment: 'Buy cheap watches at example.com'
+  }, { hooks: false });
+});
+
+describe('reporting reviews', () => {
+  it('flags a review once it reaches the report threshold, with one audit entry', async () => {
+    expect((await report(reporters[0])).status).toBe(201);
+    expect((await report(reporters[1], 'fake')).status).toBe(201);
+    expect(reviewRow().is_flagged).toBe(false);
+
+    expect((await report(reporters[2])).status).toBe(201);
+
+    expect(reviewRow()).toMatchObject({ is_flagged: true, flag_reason: 'spam', is_approved: false });
+    expect(db.AuditLog.filter((row) => row.action === 'review.auto_flag')).toHaveLength(1);
+  });
+
+  it('decides on the locked row rather than the copy it was handed', async () => {
+    await report(reporters[0]);
+    await report(reporters[1]);
+    const stale = await Rating.findByPk(review.id);
+    // Flagged by a concurrent report after this one loaded the review
+    Object.assign(reviewRow(), { is_flagged: true, flag_reason: 'fake', is_approved: false });
+
+    const { autoFlagged } = await fileReport(stale, reporters[2].id, { reason: 'spam' });
+
+    expect(autoFlagged).toBe(false);
+    expect(reviewRow().flag_reason).toBe('fake');
+    expect(db.AuditLog).toHaveLength(0);
+  });
+
+  it('refuses a second report from the same user', async () => {
+    await report(reporters[0]);
+
+    const res = await report(reporters[0]);
+
+    expect(res.status).toBe(409);
+    expect(db.Report).toHaveLength(1);
+  });
+
+  it('refuses reports on your own review', async () => {
+    expect((await report(author)).status).toBe(400);
+  });
+
+  it('validates the reason', async () => {
+    const res = await report(reporters[0], 'boring');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('reason');
+  });
+});
+
+describe('moderation queue', () => {
+  beforeEach(async () => {
+    for (const reporter of reporters) {
+      await report(reporter);
+    }
+  });
+
+  it('lists flagged reviews with their pending report counts', async () => {
+    const res = await request(app).get('/api/admin/reviews/flagged').set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ id: review.id, pending_reports: 3 });
+    expect(res.body.pagination).toMatchObject({ nextCursor: null, prevCursor: null });
+  });
+
+  it('approving restores the review and dismisses its reports', async () => {
+    const res = await request(app)
+      .post(`/api/admin/reviews/${review.id}/approve`)
+      .set('Authorization', bearer(admin))
+      .send({ notes: 'Not spam' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.reportsResolved).toBe(3);
+    expect(reviewRow()).toMatchObject({ is_flagged: false, is_approved: true, moderated_by: admin.id });
+    expect(db.Report.every((row) => row.status === 'dismissed')).toBe(true);
+
+    const queue = await request(app).get('/api/admin/reviews/flagged').set('Authorization', bearer(admin));
+    expect(queue.body.data).toHaveLength(0);
+  });
+
+  it('rejecting hides the review and upholds its reports', async () => {
+    const res = await request(app)
+      .post(`/api/admin/reviews/${review.id}/reject`)
+      .set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(reviewRow().is_approved).toBe(false);
+    expect(db.Report.every((row) => row.status === 'upheld')).toBe(true);
+  });
+
+  it('resolves the locked row rather than the copy it was handed', async () => {
+    const stale = await Rating.findByPk(review.id);
+    // Unflagged by another admin after this one loaded the review
+    Object.assign(reviewRow(), { is_flagged: false, flag_reason: null, is_approved: true });
+
+    const { review: resolved } = await resolveReview(stale, 'reject', admin.id);
+
+    expect(resolved.is_approved).toBe(false);
+    expect(db.AuditLog.find((row) => row.action === 'review.reject').details.previous)
+      .toEqual({ is_flagged: false, flag_reason: null, is_approved: true });
+  });
+
+  it('is admin only', async () => {
+    const res = await request(app).get('/api/admin/reviews/flagged').set('Authorization', bearer(author));
+
+    expect(res.status).toBe(403);
+  });
+});
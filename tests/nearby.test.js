@@ -0,0 +1,91 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, recordQueries } = require('./helpers');
+
+const { Store } = models;
+
+useMemoryDatabase();
+
+const LEEDS = { lat: 53.8008, lng: -1.5491 };
+const YORK = { lat: 53.9600, lng: -1.0873 };
+
+const nearby = (query) => request(app).get('/api/stores/nearby').query(query);
+
+describe('nearby query validation', () => {
+  it.each([
+    [{ lng: LEEDS.lng }, 'lat'],
+    [{ lat: 91, lng: LEEDS.lng }, 'lat'],
+    [{ ...LEEDS, lng: 'x' }, 'lng'],
+    [{ ...LEEDS, radius: 101 }, 'radius'],
+    [{ ...LEEDS, radius: 0 }, 'radius'],
+    [{ ...LEEDS, minRating: 6 }, 'minRating'],
+    [{ ...LEEDS, category: 'casino' }, 'category'],
+    [{ ...LEEDS, category: ['grocery', 'retail'] }, 'category']
+  ])('rejects %j', async (query, field) => {
+    const res = await nearby(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toContain(field);
+  });
+});
+
+describe('nearby search', () => {
+  let rows;
+
+  beforeEach(async () => {
+    const owner = await insert('User', {
+      name: 'Owner',
+      email: 'owner@example.com',
+      password: 'secret123',
+      role: 'store_owner'
+    }, { hooks: false });
+    const store = await insert('Store', {
+      name: 'York Shop',
+      category: 'grocery',
+      address: { street: '1 Stonegate', city: 'York', country: 'UK' },
+      location: { type: 'Point', coordinates: [YORK.lng, YORK.lat] },
+      owner_id: owner.id
+    });
+    rows = [store.get({ plain: true })];
+  });
+
+  it('filters by distance in SQL with the coordinates as values, and reports km per store', async () => {
+    const queries = recordQueries([Store], (sql) => (sql.includes('count(') ? { count: rows.length } : rows));
+
+    const res = await nearby({ ...LEEDS, radius: 50, category: 'Grocery', minRating: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ name: 'York Shop', distance_km: expect.any(Number) })]);
+    expect(res.body.data[0].distance_km).toBeCloseTo(35, 0);
+
+    const { sql } = queries.pop();
+    expect(sql).toContain(`ST_DWithin(CAST("Store"."location" AS GEOGRAPHY), CAST(ST_SetSRID(ST_MakePoint(${LEEDS.lng}, ${LEEDS.lat}), 4326) AS GEOGRAPHY), 50000)`);
+    expect(sql).toContain('"Store"."category" = \'grocery\'');
+    expect(sql).toContain('"Store"."average_rating" >= 3');
+    expect(sql).toMatch(/ORDER BY ST_Distance\(.*\) ASC, "Store"."id" ASC LIMIT 10 OFFSET 0/);
+  });
+
+  it('pages nearest-first results by offset with links', async () => {
+    recordQueries([Store], (sql) => (sql.includes('count(') ? { count: 3 } : rows));
+
+    const res = await nearby({ ...LEEDS, limit: 1 });
+
+    expect(res.body.pagination).toMatchObject({ page: 1, limit: 1, total: 3, pages: 3, prev: null });
+    expect(res.body.pagination.next).toContain('page=2');
+    expect(res.body.pagination.next).toContain(`lat=${LEEDS.lat}`);
+  });
+
+  it('pages field sorts by cursor', async () => {
+    const queries = recordQueries([Store], () => [...rows, { ...rows[0], id: 'f3d1c6a4-0000-4000-8000-000000000000' }]);
+
+    const res = await nearby({ ...LEEDS, sort: '-average_rating', limit: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination.nextCursor).toEqual(expect.any(String));
+    expect(queries[0].sql).toContain('ST_DWithin');
+    expect(queries[0].sql).toMatch(/ORDER BY "Store"."average_rating" DESC, "Store"."id" ASC LIMIT 2/);
+  });
+
+  it('refuses coordinates that are not numbers rather than splicing them into SQL', () => {
+    expect(() => Store.geographyPoint('0) OR 1=1 --', 0)).toThrow('Invalid coordinates');
+  });
+});
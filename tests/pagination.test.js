@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { app, useMemoryDatabase, insert, bearer } = require('./helpers');
+const { paginate } = require('../src/utils/pagination');
+
+useMemoryDatabase();
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+let admin;
+
+beforeEach(async () => {
+  admin = await insert('User', {
+    name: 'Admin',
+    email: 'admin@example.com',
+    password: 'secret123',
+    role: 'admin',
+    created_at: new Date(START)
+  }, { hooks: false });
+
+  // Five customers, one a minute, plus a store owner in the middle
+  for (const [i, name] of ['Ann', 'Bob', 'Cid', 'Dee', 'Eve'].entries()) {
+    await insert('User', {
+      name,
+      email: `${name.toLowerCase()}@example.com`,
+      password: 'secret123',
+      created_at: new Date(START + (i + 1) * MINUTE)
+    }, { hooks: false });
+  }
+  await insert('User', {
+    name: 'Owner',
+    email: 'owner@example.com',
+    password: 'secret123',
+    role: 'store_owner',
+    created_at: new Date(START + 3.5 * MINUTE)
+  }, { hooks: false });
+});
+
+const list = (query) => request(app).get('/api/users').query(query).set('Authorization', bearer(admin));
+const follow = (link) => request(app).get(link).set('Authorization', bearer(admin));
+const names = (res) => res.body.data.map((user) => user.name);
+
+describe('cursor pagination', () => {
+  it('walks the list forwards and back with next and prev links', async () => {
+    const first = await list({ 'filter[role]': 'customer', limit: 2 });
+    expect(first.status).toBe(200);
+    expect(names(first)).toEqual(['Eve', 'Dee']);
+    expect(first.body.pagination).toMatchObject({ limit: 2, prevCursor: null, prev: null });
+    expect(first.body.pagination).not.toHaveProperty('total');
+
+    const second = await follow(first.body.pagination.next);
+    expect(names(second)).toEqual(['Cid', 'Bob']);
+
+    const last = await follow(second.body.pagination.next);
+    expect(names(last)).toEqual(['Ann']);
+    expect(last.body.pagination.next).toBeNull();
+
+    const back = await follow(last.body.pagination.prev);
+    expect(names(back)).toEqual(['Cid', 'Bob']);
+
+    const start = await follow(back.body.pagination.prev);
+    expect(names(start)).toEqual(['Eve', 'Dee']);
+    expect(start.body.pagination.prev).toBeNull();
+  });
+
+  it('keeps filters and sort in the links', async () => {
+    const first = await list({ 'filter[role]': 'customer', sort: 'name', limit: 3 });
+    expect(names(first)).toEqual(['Ann', 'Bob', 'Cid']);
+    expect(first.body.pagination.next).toContain('sort=name');
+
+    const second = await follow(first.body.pagination.next);
+    expect(names(second)).toEqual(['Dee', 'Eve']);
+  });
+
+  it('rejects a cursor issued for another sort', async () => {
+    const first = await list({ limit: 2 });
+
+    const res = await list({ limit: 2, sort: 'name', cursor: first.body.pagination.nextCursor });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Pagination cursor does not match the requested sort');
+  });
+
+  it('rejects a malformed cursor', async () => {
+    const res = await list({ cursor: 'not-a-cursor' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid pagination cursor');
+  });
+});
+
+describe('offset pagination', () => {
+  it('returns totals and page links when page is given', async () => {
+    const res = await list({ 'filter[role]': 'customer', page: 2, limit: 2 });
+
+    expect(res.status).toBe(200);
+    expect(names(res)).toEqual(['Cid', 'Bob']);
+    expect(res.body.pagination).toMatchObject({ page: 2, limit: 2, total: 5, pages: 3 });
+    expect(res.body.pagination.next).toContain('page=3');
+    expect(res.body.pagination.prev).toContain('page=1');
+  });
+});
+
+describe('in-memory filters', () => {
+  // Stand-in for a model whose rows are ids 1..count, in id order
+  const fakeModel = (count) => ({
+    findAll: jest.fn(async ({ limit, offset }) => Array.from(
+      { length: Math.max(0, Math.min(limit, count - offset)) },
+      (_, i) => ({ id: offset + i + 1, get(column) { return this[column]; } })
+    ))
+  });
+  const even = (row) => row.id % 2 === 0;
+  const req = (query) => ({ query, originalUrl: '/api/things' });
+
+  it('reads candidates a batch at a time until the page is full', async () => {
+    const Model = fakeModel(1000);
+
+    const { rows, pagination } = await paginate(Model, { order: [['id', 'ASC']] }, req({ limit: '3' }), { filter: even });
+
+    expect(rows.map((row) => row.id)).toEqual([2, 4, 6]);
+    expect(pagination.nextCursor).not.toBeNull();
+    expect(Model.findAll).toHaveBeenCalledTimes(1);
+    expect(Model.findAll.mock.calls[0][0]).toMatchObject({ limit: 200, offset: 0 });
+  });
+
+  it('counts every match in batches for page totals', async () => {
+    const Model = fakeModel(450);
+
+    const { rows, pagination } = await paginate(Model, { order: [['id', 'ASC']] }, req({ page: '2', limit: '100' }), { filter: even });
+
+    expect(rows).toHaveLength(100);
+    expect(rows[0].id).toBe(202);
+    expect(pagination).toMatchObject({ total: 225, pages: 3 });
+    expect(Model.findAll.mock.calls.map(([options]) => options.offset)).toEqual([0, 200, 400]);
+  });
+});
+
+describe('paging parameters', () => {
+  it.each([
+    [{ limit: 1000 }, 'limit must be between 1 and 100'],
+    [{ limit: 0 }, 'limit must be between 1 and 100'],
+    [{ page: -1 }, 'page must be a positive integer'],
+    [{ page: 1, cursor: 'abc' }, 'Use either page or cursor, not both']
+  ])('rejects %j', async (query, message) => {
+    const res = await list(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(expect.arrayContaining([expect.objectContaining({ message })]));
+  });
+
+  it('rejects filters and sorts that are not allow-listed', async () => {
+    const res = await list({ 'filter[password]': 'x', sort: 'password' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toEqual(['filter[password]', 'sort']);
+  });
+});
+
+describe('admin lists', () => {
+  it('page the audit log by cursor', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      await insert('AuditLog', {
+        actor_id: admin.id,
+        action: 'store.verify',
+        entity_type: 'store',
+        entity_id: admin.id,
+        created_at: new Date(START + i * MINUTE)
+      });
+    }
+
+    const first = await request(app)
+      .get('/api/admin/audit-logs')
+      .query({ limit: 2 })
+      .set('Authorization', bearer(admin));
+    expect(first.status).toBe(200);
+    expect(first.body.data).toHaveLength(2);
+
+    const second = await follow(first.body.pagination.next);
+    expect(second.body.data).toHaveLength(1);
+    expect(second.body.pagination.next).toBeNull();
+  });
+
+  it('cap the page size', async () => {
+    const res = await request(app)
+      .get('/api/admin/reports')
+      .query({ limit: 1000000 })
+      .set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,96 @@
+const { Op } = require('sequelize');
+const { models } = require('./helpers');
+const { parseListQuery, selectAttributes } = require('../src/utils/queryParser');
+
+const { Store, Rating } = models;
+
+/**
+ * Field and message of each error a query is rejected with
+ * @param {Object} query - Parsed query string
+ * @param {Object} [Model=Store]
+ * @returns {Array<Object>}
+ */
+const errorsFor = (query, Model = Store) => {
+  try {
+    parseListQuery(query, Model);
+  } catch (error) {
+    return error.errors;
+  }
+  throw new Error('Expected the query to be rejected');
+};
+
+describe('parseListQuery', () => {
+  it('returns no conditions, order or fields for an empty query', () => {
+    expect(parseListQuery({}, Store)).toEqual({ where: {}, order: null, attributes: null });
+  });
+
+  it('converts filter values by attribute type', () => {
+    const { where } = parseListQuery({
+      filter: {
+        average_rating: { gte: '4.5' },
+        total_reviews: { between: '10, 50' },
+        category: { in: 'grocery,retail' },
+        is_verified: 'true',
+        created_at: { lt: '2026-01-01' }
+      }
+    }, Store);
+
+    expect(where[Op.and]).toEqual([
+      { average_rating: { [Op.gte]: 4.5 } },
+      { total_reviews: { [Op.between]: [10, 50] } },
+      { category: { [Op.in]: ['grocery', 'retail'] } },
+      { is_verified: { [Op.eq]: true } },
+      { created_at: { [Op.lt]: new Date('2026-01-01') } }
+    ]);
+  });
+
+  it('builds the order from a field list and ends it on id', () => {
+    expect(parseListQuery({ sort: '-average_rating,name' }, Store).order).toEqual([
+      ['average_rating', 'DESC'],
+      ['name', 'ASC'],
+      ['id', 'ASC']
+    ]);
+  });
+
+  it('leaves named sorts to the endpoint', () => {
+    expect(parseListQuery({ sort: 'nearest' }, Store).order).toBeNull();
+  });
+
+  it('selects id, the requested fields and the ones they need', () => {
+    expect(parseListQuery({ fields: 'name,hours' }, Store).attributes).toEqual(['id', 'name', 'hours', 'timezone']);
+  });
+
+  it.each([
+    [{ filter: { password: 'x' } }, 'filter[password]', /^Cannot filter by password/],
+    [{ filter: { name: { gte: 'a' } } }, 'filter[name][gte]', /^Operator must be one of: eq, ne, in, nin$/],
+    [{ filter: { total_reviews: { gt: 'ten' } } }, 'filter[total_reviews][gt]', /must be an integer$/],
+    [{ filter: { category: 'bakery' } }, 'filter[category][eq]', /must be one of: /],
+    [{ filter: { owner_id: 'abc' } }, 'filter[owner_id][eq]', /must be a valid id$/],
+    [{ filter: { created_at: { between: '2026-01-01' } } }, 'filter[created_at][between]', /takes two comma-separated values$/],
+    [{ filter: { category: ['grocery', 'retail'] } }, 'filter[category]', /must be given once$/],
+    [{ filter: 'grocery' }, 'filter', /^filter must be given as/],
+    [{ sort: 'name;drop' }, 'sort', /^sort must be a comma-separated list/],
+    [{ sort: 'owner_id' }, 'sort', /^Cannot sort by owner_id/],
+    [{ sort: 'name,-name' }, 'sort', /^name is listed more than once$/],
+    [{ fields: 'name,password' }, 'fields', /^Unknown fields: password\./]
+  ])('rejects %j', (query, field, message) => {
+    expect(errorsFor(query)).toEqual([{ field, message: expect.stringMatching(message) }]);
+  });
+
+  it('reports every problem at once', () => {
+    const errors = errorsFor({ filter: { comment: 'x' }, sort: 'comment' }, Rating);
+
+    expect(errors.map((error) => error.field)).toEqual(['filter[comment]', 'sort']);
+  });
+});
+
+describe('selectAttributes', () => {
+  it('loads every column without a sparse fieldset', () => {
+    expect(selectAttributes(null, [['name', 'ASC']])).toBeUndefined();
+  });
+
+  it('adds the sort keys and extra columns to a fieldset', () => {
+    expect(selectAttributes(['id', 'name'], [['average_rating', 'DESC'], ['id', 'ASC']], ['is_active']))
+      .toEqual(['id', 'name', 'average_rating', 'is_active']);
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const { app, useMemoryDatabase, insert, bearer } = require('./helpers');
+const { getRankingConfig, computeRankingScore, refreshRankingScores } = require('../src/utils/ranking');
+
+const config = { priorMean: 3.5, priorWeight: 10, halfLifeDays: null, verifiedBoost: 1 };
+const now = new Date('2026-10-19T00:00:00Z');
+
+const reviews = (count, rating, extra = {}) => Array.from({ length: count }, () => ({
+  rating,
+  created_at: now,
+  is_verified_purchase: false,
+  ...extra
+}));
+
+describe('computeRankingScore', () => {
+  it('starts a store without reviews at the prior', () => {
+    expect(computeRankingScore([], { config })).toBe(3.5);
+  });
+
+  it('ranks many good reviews above a single perfect one', () => {
+    const single = computeRankingScore(reviews(1, 5), { config });
+    const many = computeRankingScore([...reviews(80, 5), ...reviews(20, 4)], { config });
+
+    expect(single).toBe(3.6364);
+    expect(many).toBeGreaterThan(single);
+  });
+
+  it('weighs verified purchases by the boost', () => {
+    const mixed = [...reviews(2, 5, { is_verified_purchase: true }), ...reviews(2, 1)];
+
+    expect(computeRankingScore(mixed, { config })).toBe(3.3571);
+    expect(computeRankingScore(mixed, { config: { ...config, verifiedBoost: 2 } })).toBe(3.5625);
+  });
+
+  it('halves a review\'s weight every half-life', () => {
+    const old = reviews(10, 1, { created_at: new Date('2026-09-19T00:00:00Z') });
+    const decaying = { ...config, halfLifeDays: 30 };
+
+    // Ten one-star reviews thirty days old count as five
+    expect(computeRankingScore(old, { now, config: decaying })).toBe(2.6667);
+    expect(computeRankingScore(old, { now, config })).toBe(2.25);
+  });
+});
+
+describe('getRankingConfig', () => {
+  afterEach(() => {
+    delete process.env.RANKING_PRIOR_MEAN;
+    delete process.env.RANKING_HALF_LIFE_DAYS;
+  });
+
+  it('reads overrides from the environment', () => {
+    process.env.RANKING_PRIOR_MEAN = '4';
+    process.env.RANKING_HALF_LIFE_DAYS = '90';
+
+    expect(getRankingConfig()).toEqual({ priorMean: 4, priorWeight: 10, halfLifeDays: 90, verifiedBoost: 1 });
+  });
+});
+
+describe('refreshRankingScores', () => {
+  // Answers the store and rating selects from arrays and records the updates
+  const fakeSequelize = (storeIds, ratings) => {
+    const updates = [];
+    const query = async (sql, { replacements }) => {
+      if (/^\s*SELECT id FROM stores/.test(sql)) {
+        return storeIds
+          .filter((id) => !replacements.storeId || id === replacements.storeId)
+          .filter((id) => !replacements.after || id > replacements.after)
+          .slice(0, replacements.limit)
+          .map((id) => ({ id }));
+      }
+      if (sql.includes('FROM ratings')) {
+        expect(sql).toMatch(/is_approved = true/);
+        return ratings.filter((rating) => replacements.ids.includes(rating.store_id));
+      }
+      updates.push(replacements);
+      return [];
+    };
+    return { sequelize: { query }, updates };
+  };
+
+  it('writes the score computeRankingScore gives each store', async () => {
+    const ratings = [...reviews(4, 5, { store_id: 'a' }), ...reviews(2, 1, { store_id: 'b', is_verified_purchase: true })];
+    const { sequelize, updates } = fakeSequelize(['a', 'b', 'c'], ratings);
+    const boosted = { ...config, verifiedBoost: 2 };
+
+    expect(await refreshRankingScores(sequelize, { now, config: boosted })).toBe(3);
+
+    expect(updates).toEqual([{
+      ids: ['a', 'b', 'c'],
+      scores: [
+        computeRankingScore(ratings.slice(0, 4), { now, config: boosted }),
+        computeRankingScore(ratings.slice(4), { now, config: boosted }),
+        3.5
+      ]
+    }]);
+  });
+
+  it('narrows to one store when asked', async () => {
+    const { sequelize, updates } = fakeSequelize(['a', 'b'], reviews(1, 5, { store_id: 'b' }));
+
+    await refreshRankingScores(sequelize, { storeId: 'b', now, config });
+
+    expect(updates).toEqual([{ ids: ['b'], scores: [3.6364] }]);
+  });
+
+  it('works through the stores in batches', async () => {
+    const storeIds = Array.from({ length: 501 }, (_, index) => `store-${String(index).padStart(3, '0')}`);
+    const { sequelize, updates } = fakeSequelize(storeIds, []);
+
+    expect(await refreshRankingScores(sequelize, { now, config })).toBe(501);
+
+    expect(updates.map((update) => update.ids.length)).toEqual([500, 1]);
+    expect(updates[1].ids).toEqual(['store-500']);
+  });
+});
+
+describe('store listing sorts', () => {
+  const db = useMemoryDatabase();
+  let owner;
+
+  const createStore = (name, values) => insert('Store', {
+    name,
+    category: 'grocery',
+    address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+    owner_id: owner.id,
+    ...values
+  });
+
+  const names = async (query) => (await request(app).get('/api/stores').query(query)).body.data.map((store) => store.name);
+
+  beforeEach(async () => {
+    owner = await insert('User', {
+      name: 'Owner',
+      email: 'owner@example.com',
+      password: 'secret123',
+      role: 'store_owner'
+    }, { hooks: false });
+  });
+
+  it('keeps a new store\'s score at the prior and updates it with each review', async () => {
+    const store = await createStore('Corner Shop');
+    expect(db.Store[0].ranking_score).toBe(3.5);
+
+    const customer = await insert('User', { name: 'Ann', email: 'ann@example.com', password: 'secret123' }, { hooks: false });
+    await request(app)
+      .post(`/api/stores/${store.id}/reviews`)
+      .set('Authorization', bearer(customer))
+      .send({ rating: 5 });
+
+    expect(db.Store[0].ranking_score).toBe(3.6364);
+  });
+
+  it('recomputes the score when a review becomes a verified purchase', async () => {
+    process.env.RANKING_VERIFIED_BOOST = '2';
+    try {
+      const store = await createStore('Corner Shop');
+      const customer = await insert('User', { name: 'Ann', email: 'ann@example.com', password: 'secret123' }, { hooks: false });
+      const review = await insert('Rating', { user_id: customer.id, store_id: store.id, rating: 1 });
+      expect(db.Store[0].ranking_score).toBe(3.2727);
+
+      await review.update({ is_verified_purchase: true });
+
+      expect(db.Store[0].ranking_score).toBe(3.0833);
+    } finally {
+      delete process.env.RANKING_VERIFIED_BOOST;
+    }
+  });
+
+  it('orders by score, review count or age', async () => {
+    await createStore('One Perfect Review');
+    await createStore('Many Good Reviews');
+    await createStore('Newest');
+    Object.assign(db.Store[0], { ranking_score: 3.6364, total_reviews: 1, created_at: new Date('2026-01-01') });
+    Object.assign(db.Store[1], { ranking_score: 4.4, total_reviews: 100, created_at: new Date('2026-02-01') });
+    Object.assign(db.Store[2], { ranking_score: 3.5, total_reviews: 0, created_at: new Date('2026-03-01') });
+
+    expect(await names({})).toEqual(['Many Good Reviews', 'One Perfect Review', 'Newest']);
+    expect(await names({ sort: 'most_reviewed' })).toEqual(['Many Good Reviews', 'One Perfect Review', 'Newest']);
+    expect(await names({ sort: 'newest' })).toEqual(['Newest', 'Many Good Reviews', 'One Perfect Review']);
+  });
+
+  it.each([
+    [{ sort: 'cheapest' }, 'sort'],
+    [{ sort: 'nearest' }, 'lat']
+  ])('rejects %j', async (query, field) => {
+    const res = await request(app).get('/api/stores').query(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toContain(field);
+  });
+});
@@ -0,0 +1,301 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, bearer, recordQueries } = require('./helpers');
+const { getSentMessages, clearSentMessages } = require('../src/services/emailService');
+
+const db = useMemoryDatabase();
+
+let owner;
+let customer;
+let store;
+
+const createUser = (name, role = 'customer') => insert('User', {
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'secret123',
+  role
+}, { hooks: false });
+
+const addReview = (user, body) => request(app)
+  .post(`/api/stores/${store.id}/reviews`)
+  .set('Authorization', bearer(user))
+  .send(body);
+
+const fields = (res) => res.body.errors.map((error) => error.field);
+
+beforeEach(async () => {
+  owner = await createUser('Owner', 'store_owner');
+  customer = await createUser('Ann');
+  store = await insert('Store', {
+    name: 'Corner Shop',
+    category: 'grocery',
+    address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+    owner_id: owner.id
+  });
+});
+
+describe('adding reviews', () => {
+  it('saves the rating against the store and refreshes its statistics', async () => {
+    const res = await addReview(customer, { rating: '4', title: 'Good', images: ['https://example.com/photo.jpg'] });
+
+    expect(res.status).toBe(201);
+    expect(db.Rating).toEqual([expect.objectContaining({ user_id: customer.id, store_id: store.id, rating: 4 })]);
+    expect(db.Store[0]).toMatchObject({ average_rating: '4.00', total_reviews: 1 });
+
+    const list = await request(app).get(`/api/stores/${store.id}/reviews`);
+    expect(list.body.data.map((review) => review.title)).toEqual(['Good']);
+  });
+
+  it('allows one review per customer and store', async () => {
+    await addReview(customer, { rating: 4 });
+
+    const res = await addReview(customer, { rating: 5 });
+
+    expect(res.status).toBe(409);
+    expect(db.Rating).toHaveLength(1);
+  });
+
+  it.each([
+    ['rating', {}],
+    ['rating', { rating: 6 }],
+    ['rating', { rating: 4.5 }],
+    ['title', { rating: 4, title: 'x'.repeat(201) }],
+    ['comment', { rating: 4, comment: 'x'.repeat(2001) }],
+    ['images', { rating: 4, images: Array.from({ length: 6 }, (_, i) => `https://example.com/${i}.jpg`) }],
+    ['images[0]', { rating: 4, images: ['ftp://example.com/photo.jpg'] }]
+  ])('rejects an invalid %s', async (field, body) => {
+    const res = await addReview(customer, body);
+
+    expect(res.status).toBe(400);
+    expect(fields(res)).toContain(field);
+  });
+
+  it('answers 404 for an unknown store', async () => {
+    store = { id: '00000000-0000-4000-8000-000000000000' };
+
+    expect((await addReview(customer, { rating: 4 })).status).toBe(404);
+  });
+});
+
+describe('changing reviews', () => {
+  let review;
+
+  beforeEach(async () => {
+    review = await insert('Rating', { user_id: customer.id, store_id: store.id, rating: 2, comment: 'Slow' });
+  });
+
+  it('lets the author edit without resending the rating', async () => {
+    const res = await request(app)
+      .put(`/api/reviews/${review.id}`)
+      .set('Authorization', bearer(customer))
+      .send({ comment: 'Better on a second visit' });
+
+    expect(res.status).toBe(200);
+    expect(db.Rating[0]).toMatchObject({ rating: 2, comment: 'Better on a second visit' });
+  });
+
+  it('refuses edits from anyone else', async () => {
+    const res = await request(app)
+      .put(`/api/reviews/${review.id}`)
+      .set('Authorization', bearer(await createUser('Bob')))
+      .send({ comment: 'Hijacked' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('review lists', () => {
+  const list = (query) => request(app).get(`/api/stores/${store.id}/reviews`).query(query);
+  const ratings = (res) => res.body.data.map((review) => review.rating);
+
+  beforeEach(async () => {
+    const reviews = [
+      { rating: 5, helpful_votes: 1, is_verified_purchase: true, created_at: new Date('2026-10-01T10:00:00Z') },
+      { rating: 2, helpful_votes: 7, is_verified_purchase: false, created_at: new Date('2026-10-02T10:00:00Z') },
+      { rating: 4, helpful_votes: 3, is_verified_purchase: true, created_at: new Date('2026-10-03T10:00:00Z') },
+      { rating: 1, is_approved: false, created_at: new Date('2026-10-04T10:00:00Z') }
+    ];
+    for (const [i, review] of reviews.entries()) {
+      const user = await createUser(`Reviewer${i}`);
+      await insert('Rating', { user_id: user.id, store_id: store.id, ...review });
+    }
+  });
+
+  it.each([
+    [undefined, [4, 2, 5]],
+    ['most_helpful', [2, 4, 5]],
+    ['highest', [5, 4, 2]],
+    ['lowest', [2, 4, 5]]
+  ])('sorts approved reviews by %s', async (sort, expected) => {
+    const res = await list(sort ? { sort } : {});
+
+    expect(res.status).toBe(200);
+    expect(ratings(res)).toEqual(expected);
+  });
+
+  it('filters by stars and verified purchase and counts stars over every approved review', async () => {
+    const res = await list({ stars: '2,4, 5', verifiedPurchase: 'true' });
+
+    expect(ratings(res)).toEqual([4, 5]);
+    expect(res.body.distribution).toEqual({ 5: 1, 4: 1, 3: 0, 2: 1, 1: 0 });
+  });
+
+  it('checks photos and owner replies in SQL', async () => {
+    const queries = recordQueries([models.Rating], () => []);
+
+    expect((await list({ withPhotos: 'true', hasReply: 'false' })).status).toBe(200);
+
+    const { sql } = queries.find((query) => query.sql.includes('review_replies.rating_id'));
+    expect(sql).toContain('COALESCE(cardinality("Rating"."images"), 0) > 0');
+    expect(sql).toContain('NOT EXISTS');
+  });
+
+  it.each([
+    [{ stars: '0' }, 'stars'],
+    [{ stars: '4,six' }, 'stars'],
+    [{ stars: ['1', '2'] }, 'stars'],
+    [{ withPhotos: 'maybe' }, 'withPhotos'],
+    [{ sort: 'oldest;' }, 'sort']
+  ])('rejects %j', async (query, field) => {
+    const res = await list(query);
+
+    expect(res.status).toBe(400);
+    expect(fields(res)).toContain(field);
+  });
+});
+
+describe('voting', () => {
+  let review;
+  let voter;
+
+  const vote = (user, value) => request(app)
+    .post(`/api/reviews/${review.id}/vote`)
+    .set('Authorization', bearer(user))
+    .send(value === undefined ? {} : { vote: value });
+
+  beforeEach(async () => {
+    voter = await createUser('Bob');
+    review = await insert('Rating', { user_id: customer.id, store_id: store.id, rating: 4 });
+  });
+
+  it('records one vote per user and keeps the counts in step', async () => {
+    const first = await vote(voter, 'helpful');
+    expect(first.status).toBe(200);
+    expect(first.body.data).toEqual({ helpfulVotes: 1, unhelpfulVotes: 0, userVote: 'helpful' });
+
+    // Voting the same way again changes nothing
+    expect((await vote(voter, 'helpful')).body.data.helpfulVotes).toBe(1);
+
+    const changed = await vote(voter, 'unhelpful');
+    expect(changed.body.data).toEqual({ helpfulVotes: 0, unhelpfulVotes: 1, userVote: 'unhelpful' });
+    expect(db.ReviewVote).toHaveLength(1);
+    expect(db.Rating[0]).toMatchObject({ helpful_votes: 0, unhelpful_votes: 1 });
+  });
+
+  it('counts votes from different users', async () => {
+    await vote(voter);
+    const res = await vote(owner, 'helpful');
+
+    expect(res.body.data).toMatchObject({ helpfulVotes: 2, unhelpfulVotes: 0 });
+  });
+
+  it('retracts a vote', async () => {
+    await vote(voter, 'unhelpful');
+
+    const res = await request(app).delete(`/api/reviews/${review.id}/vote`).set('Authorization', bearer(voter));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ helpfulVotes: 0, unhelpfulVotes: 0, userVote: null });
+    expect(db.ReviewVote).toHaveLength(0);
+  });
+
+  it('refuses votes on your own review and unknown vote types', async () => {
+    expect((await vote(customer, 'helpful')).status).toBe(400);
+    expect((await vote(voter, 'funny')).status).toBe(400);
+    expect(db.ReviewVote).toHaveLength(0);
+  });
+
+  it('shows signed-in users their own vote', async () => {
+    await vote(voter, 'helpful');
+
+    const mine = await request(app).get(`/api/reviews/${review.id}`).set('Authorization', bearer(voter));
+    const anonymous = await request(app).get(`/api/reviews/${review.id}`);
+
+    expect(mine.body.data.user_vote).toBe('helpful');
+    expect(anonymous.body.data.user_vote).toBeNull();
+  });
+});
+
+describe('reply threads', () => {
+  let review;
+
+  const url = (path = '') => `/api/reviews/${review.id}/replies${path}`;
+
+  const reply = (user, text) => request(app)
+    .post(url())
+    .set('Authorization', bearer(user))
+    .send({ text });
+
+  beforeEach(async () => {
+    clearSentMessages();
+    review = await insert('Rating', { user_id: customer.id, store_id: store.id, rating: 2, comment: 'Slow service' });
+  });
+
+  it('lets the owner reply and the reviewer respond, oldest first', async () => {
+    // The reviewer waits for the owner to speak first
+    expect((await reply(customer, 'Hello?')).status).toBe(403);
+
+    const first = await reply(owner, 'Sorry, we have hired more staff');
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ author_role: 'owner', author_id: owner.id });
+    expect((await reply(customer, 'Thanks, I will come back')).status).toBe(201);
+
+    const thread = await request(app).get(url());
+    expect(thread.body.data.map((entry) => [entry.author_role, entry.text])).toEqual([
+      ['owner', 'Sorry, we have hired more staff'],
+      ['reviewer', 'Thanks, I will come back']
+    ]);
+  });
+
+  it('emails the reviewer when the store replies', async () => {
+    await reply(owner, 'Sorry, we have hired more staff');
+    // The email goes out after the response
+    for (let tries = 0; getSentMessages().length === 0 && tries < 50; tries++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    const [message] = getSentMessages();
+    expect(message).toMatchObject({ to: 'ann@example.com', subject: 'Corner Shop replied to your review' });
+    expect(message.text).toContain(url());
+  });
+
+  it('keeps other users out and limits the text to 1000 characters', async () => {
+    expect((await reply(await createUser('Rival', 'store_owner'), 'Not my store')).status).toBe(403);
+    expect((await reply(owner, 'x'.repeat(1001))).status).toBe(400);
+    expect(db.ReviewReply).toHaveLength(0);
+  });
+
+  it('keeps the previous text when the author edits a reply', async () => {
+    const { id } = (await reply(owner, 'Sorry')).body.data;
+    const edit = (user, text) => request(app).put(url(`/${id}`)).set('Authorization', bearer(user)).send({ text });
+
+    expect((await edit(customer, 'Hijacked')).status).toBe(403);
+
+    const res = await edit(owner, 'Sorry, we have hired more staff');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ text: 'Sorry, we have hired more staff', is_edited: true });
+    expect(res.body.data.edit_history).toBeUndefined();
+
+    const history = await request(app).get(url(`/${id}/history`));
+    expect(history.body.data.current.text).toBe('Sorry, we have hired more staff');
+    expect(history.body.data.history).toEqual([{ text: 'Sorry', edited_at: expect.any(String) }]);
+  });
+
+  it('lets the author or an admin delete a reply', async () => {
+    const { id } = (await reply(owner, 'Sorry')).body.data;
+    const remove = (user) => request(app).delete(url(`/${id}`)).set('Authorization', bearer(user));
+
+    expect((await remove(customer)).status).toBe(403);
+    expect((await remove(await createUser('Admin', 'admin'))).status).toBe(200);
+    expect(db.ReviewReply).toHaveLength(0);
+  });
+});
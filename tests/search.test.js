@@ -0,0 +1,194 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, recordQueries } = require('./helpers');
+const { searchTerms, prefixTsQuery, MAX_SEARCH_TERMS } = require('../src/utils/textSearch');
+
+const { Store } = models;
+
+useMemoryDatabase();
+
+let store;
+
+beforeEach(async () => {
+  const owner = await insert('User', {
+    name: 'Owner',
+    email: 'owner@example.com',
+    password: 'secret123',
+    role: 'store_owner'
+  }, { hooks: false });
+  store = await insert('Store', {
+    name: 'Corner Coffee',
+    category: 'restaurant',
+    description: 'Espresso & cake',
+    address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+    location: { type: 'Point', coordinates: [-1.5491, 53.8008] },
+    owner_id: owner.id
+  });
+});
+
+describe('searchTerms', () => {
+  it('keeps only words, so tsquery operators never reach SQL', () => {
+    expect(searchTerms("Coffee & !shop | (O'Brien) <-> café:*")).toEqual(['coffee', 'shop', 'o', 'brien', 'café']);
+    expect(searchTerms('&&& ---')).toEqual([]);
+    expect(searchTerms(undefined)).toEqual([]);
+  });
+
+  it('caps the number of terms', () => {
+    expect(searchTerms('a b c d e f g h i j')).toHaveLength(MAX_SEARCH_TERMS);
+  });
+
+  it('matches every term as a prefix', () => {
+    expect(prefixTsQuery(['coff', 'sho'])).toBe('coff:* & sho:*');
+  });
+});
+
+describe('store search', () => {
+  const search = (query) => request(app).get('/api/stores/search').query(query);
+
+  // Answers the count and hit queries of searchService
+  const answer = (sql) => (sql.includes('COUNT(*)')
+    ? [{ count: '1' }]
+    : [{
+        id: store.id,
+        relevance: 0.612345,
+        review_id: 'review-1',
+        name_highlight: 'Corner <mark>Coffee</mark>',
+        description_highlight: 'Espresso &amp; cake',
+        review_highlight: 'Best <mark>coffee</mark> in town'
+      }]);
+
+  it('returns ranked stores with their highlights', async () => {
+    recordQueries([], answer);
+
+    const res = await search({ q: 'coffee' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({
+      id: store.id,
+      name: 'Corner Coffee',
+      search: {
+        relevance: 0.6123,
+        highlights: {
+          name: 'Corner <mark>Coffee</mark>',
+          description: 'Espresso &amp; cake',
+          review: { id: 'review-1', text: 'Best <mark>coffee</mark> in town' }
+        }
+      }
+    })]);
+    expect(res.body.pagination).toMatchObject({ total: 1, page: 1 });
+  });
+
+  it('links to the neighbouring result pages', async () => {
+    recordQueries([], (sql) => (sql.includes('COUNT(*)') ? [{ count: '25' }] : answer(sql)));
+
+    const res = await search({ q: 'coffee', page: 2, limit: 10 });
+
+    expect(res.body.pagination).toEqual({
+      page: 2,
+      limit: 10,
+      total: 25,
+      pages: 3,
+      next: '/api/stores/search?q=coffee&limit=10&page=3',
+      prev: '/api/stores/search?q=coffee&limit=10&page=1'
+    });
+  });
+
+  it('passes the search and filters as values, never as SQL', async () => {
+    const queries = recordQueries([], answer);
+
+    const res = await search({ q: "coffee'); DROP TABLE stores; --", category: 'Restaurant', minRating: 4, lat: 53.8, lng: -1.55, radius: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].distance_km).toEqual(expect.any(Number));
+    const { sql, options } = queries[0];
+    expect(sql).toContain("to_tsquery('english', 'coffee:* & drop:* & table:* & stores:*')");
+    expect(sql).not.toContain('DROP TABLE');
+    expect(sql).toContain('s.category = :category');
+    expect(options.replacements).toMatchObject({ category: 'restaurant', minRating: 4, lat: 53.8, lng: -1.55, radius: 5 });
+  });
+
+  it.each([
+    [{}, 'q'],
+    [{ q: '!!!' }, 'q'],
+    [{ q: 'x'.repeat(101) }, 'q'],
+    [{ q: 'coffee', lat: 53.8 }, 'lng'],
+    [{ q: 'coffee', category: 'casino' }, 'category'],
+    [{ q: 'coffee', category: ['grocery', 'retail'] }, 'category']
+  ])('rejects %j', async (query, field) => {
+    const res = await search(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toContain(field);
+  });
+});
+
+describe('search on the store list', () => {
+  it('filters with the full-text match and orders by relevance first', async () => {
+    const queries = recordQueries([Store], (sql) => (sql.includes('count(') ? { count: 0 } : []));
+
+    const res = await request(app).get('/api/stores').query({ search: 'coffee' });
+
+    expect(res.status).toBe(200);
+    const { sql } = queries.pop();
+    expect(sql).toContain('"Store"."id" IN (');
+    expect(sql).toContain("search_vector @@ to_tsquery('english', 'coffee:*')");
+    expect(sql).toMatch(/ORDER BY ts_rank_cd\("Store"\.search_vector, .*\) \+ word_similarity\('coffee', "Store"\.name\) DESC, "Store"\."ranking_score" DESC/);
+  });
+
+  it('keeps an explicit sort', async () => {
+    const queries = recordQueries([Store], (sql) => (sql.includes('count(') ? { count: 0 } : []));
+
+    await request(app).get('/api/stores').query({ search: 'coffee', sort: 'newest' });
+
+    expect(queries.pop().sql).toMatch(/ORDER BY "Store"."created_at" DESC, "Store"."id" ASC/);
+  });
+});
+
+describe('suggestions', () => {
+  const suggest = (query) => request(app).get('/api/stores/suggest').query(query);
+
+  it('mixes stores, cities and categories, prefix matches first then by reviews', async () => {
+    const queries = recordQueries([Store], (sql) => (sql.includes('GROUP BY "category"')
+      ? [{ category: 'home_garden', reviews: '40' }]
+      : [
+          { type: 'store', label: 'Hope Bakery', id: store.id, slug: 'hope-bakery', category: 'restaurant', popularity: '12', rank: 0 },
+          { type: 'store', label: 'Big House', id: 'store-2', slug: 'big-house', category: 'retail', popularity: '100', rank: 1 },
+          { type: 'city', label: 'Hove', id: null, slug: null, category: null, popularity: '5', rank: 0 }
+        ]));
+
+    const res = await suggest({ q: 'Ho' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('public, max-age=60');
+    expect(res.body.data).toEqual([
+      { type: 'category', label: 'home garden', value: 'home_garden', reviews: 40 },
+      { type: 'store', label: 'Hope Bakery', id: store.id, slug: 'hope-bakery', category: 'restaurant', reviews: 12 },
+      { type: 'city', label: 'Hove', reviews: 5 },
+      { type: 'store', label: 'Big House', id: 'store-2', slug: 'big-house', category: 'retail', reviews: 100 }
+    ]);
+
+    // Two letters only match from the start of a name
+    const { sql, options } = queries.find((query) => query.sql.includes('UNION ALL'));
+    expect(sql).not.toContain(':wordPrefix');
+    expect(options.replacements).toMatchObject({ prefix: 'ho%', limit: 8 });
+  });
+
+  it('matches later words from three letters and escapes LIKE wildcards', async () => {
+    const queries = recordQueries([Store], () => []);
+
+    await suggest({ q: '50%_off', limit: 3 });
+
+    const { sql, options } = queries.find((query) => query.sql.includes('UNION ALL'));
+    expect(sql).toContain('name ILIKE :wordPrefix');
+    expect(options.replacements).toEqual({ prefix: '50\\%\\_off%', wordPrefix: '% 50\\%\\_off%', limit: 3 });
+  });
+
+  it.each([
+    [{}, 'q'],
+    [{ q: 'ho', limit: 21 }, 'limit']
+  ])('rejects %j', async (query, field) => {
+    const res = await suggest(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toContain(field);
+  });
+});
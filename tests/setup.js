@@ -0,0 +1,4 @@
+// Environment for the test suite: no real mail, no database connection
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'json';
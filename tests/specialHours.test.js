@@ -0,0 +1,194 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, bearer, recordQueries } = require('./helpers');
+
+const db = useMemoryDatabase();
+
+let owner;
+let store;
+
+const createUser = (name, role = 'customer') => insert('User', {
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'secret123',
+  role
+}, { hooks: false });
+
+const url = (path = '') => `/api/stores/${store.id}/special-hours${path}`;
+
+const addSpecialHours = (user, body) => request(app)
+  .post(url())
+  .set('Authorization', bearer(user))
+  .send(body);
+
+beforeEach(async () => {
+  owner = await createUser('Owner', 'store_owner');
+  store = await insert('Store', {
+    name: 'Corner Shop',
+    category: 'grocery',
+    address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+    location: { type: 'Point', coordinates: [-1.5491, 53.8008] },
+    hours: { friday: { open: '09:00', close: '17:00' } },
+    timezone: 'UTC',
+    owner_id: owner.id
+  });
+});
+
+describe('managing special hours', () => {
+  it('adds a single-day closure', async () => {
+    const res = await addSpecialHours(owner, { startDate: '2026-12-25', closed: true, reason: 'Christmas' });
+
+    expect(res.status).toBe(201);
+    expect(db.StoreSpecialHours).toHaveLength(1);
+    expect(db.StoreSpecialHours[0]).toMatchObject({
+      store_id: store.id,
+      start_date: '2026-12-25',
+      end_date: '2026-12-25',
+      closed: true,
+      intervals: []
+    });
+  });
+
+  it('refuses dates that overlap another override', async () => {
+    await addSpecialHours(owner, { startDate: '2026-12-24', endDate: '2026-12-26', closed: true });
+
+    const res = await addSpecialHours(owner, {
+      startDate: '2026-12-26',
+      intervals: [{ open: '10:00', close: '14:00' }]
+    });
+
+    expect(res.status).toBe(409);
+    expect(db.StoreSpecialHours).toHaveLength(1);
+  });
+
+  it('lets only one of two concurrent overlapping requests through', async () => {
+    // Stands in for the store row lock: transactions run one after another
+    let previous = Promise.resolve();
+    jest.spyOn(models.sequelize, 'transaction').mockImplementation((callback) => {
+      const run = previous.then(() => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+      previous = run.catch(() => {});
+      return run;
+    });
+    const findStore = jest.spyOn(models.Store, 'findByPk');
+
+    const responses = await Promise.all([
+      addSpecialHours(owner, { startDate: '2026-12-24', endDate: '2026-12-26', closed: true }),
+      addSpecialHours(owner, { startDate: '2026-12-25', closed: true })
+    ]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([201, 409]);
+    expect(db.StoreSpecialHours).toHaveLength(1);
+    expect(findStore).toHaveBeenCalledWith(store.id, expect.objectContaining({ lock: 'UPDATE' }));
+  });
+
+  it.each([
+    [{ startDate: '25/12/2026', closed: true }, 'startDate'],
+    [{ startDate: '2026-12-25', endDate: '2026-12-24', closed: true }, 'endDate'],
+    [{ startDate: '2026-01-01', endDate: '2027-01-02', closed: true }, 'endDate'],
+    [{ startDate: '2026-12-25' }, 'intervals'],
+    [{ startDate: '2026-12-25', intervals: [{ open: '10am', close: '14:00' }] }, 'intervals']
+  ])('rejects %j', async (body, field) => {
+    const res = await addSpecialHours(owner, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field)).toContain(field);
+  });
+
+  it('lets only the owner or an admin manage them', async () => {
+    const customer = await createUser('Ann');
+    const admin = await createUser('Admin', 'admin');
+
+    expect((await addSpecialHours(customer, { startDate: '2026-12-25', closed: true })).status).toBe(403);
+    expect((await request(app).get(url()).set('Authorization', bearer(customer))).status).toBe(403);
+    expect((await addSpecialHours(admin, { startDate: '2026-12-25', closed: true })).status).toBe(201);
+  });
+
+  it('updates and deletes an override of the store', async () => {
+    const created = await addSpecialHours(owner, { startDate: '2026-12-25', closed: true });
+    const { id } = created.body.data;
+
+    const updated = await request(app)
+      .put(url(`/${id}`))
+      .set('Authorization', bearer(owner))
+      .send({ closed: false, intervals: [{ open: '10:00', close: '14:00' }] });
+    expect(updated.status).toBe(200);
+    expect(db.StoreSpecialHours[0].intervals).toEqual([{ open: '10:00', close: '14:00' }]);
+
+    const deleted = await request(app).delete(url(`/${id}`)).set('Authorization', bearer(owner));
+    expect(deleted.status).toBe(200);
+    expect(db.StoreSpecialHours).toHaveLength(0);
+  });
+
+  it.each([
+    ['2027-12-26', 'more than 366 days'],
+    ['2026-12-24', 'before startDate']
+  ])('checks an updated endDate %s against the stored startDate', async (endDate, message) => {
+    const created = await addSpecialHours(owner, { startDate: '2026-12-25', closed: true });
+
+    const res = await request(app)
+      .put(url(`/${created.body.data.id}`))
+      .set('Authorization', bearer(owner))
+      .send({ endDate });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'endDate', message: expect.stringContaining(message) }]);
+    expect(db.StoreSpecialHours[0].end_date).toBe('2026-12-25');
+  });
+
+  it('lists upcoming overrides only unless asked for past ones', async () => {
+    await insert('StoreSpecialHours', { store_id: store.id, start_date: '2020-12-25', end_date: '2020-12-25', closed: true });
+    await insert('StoreSpecialHours', { store_id: store.id, start_date: '2099-12-25', end_date: '2099-12-25', closed: true });
+
+    const upcoming = await request(app).get(url()).set('Authorization', bearer(owner));
+    expect(upcoming.body.data.map((entry) => entry.start_date)).toEqual(['2099-12-25']);
+
+    const all = await request(app).get(url()).query({ includePast: 'true' }).set('Authorization', bearer(owner));
+    expect(all.body.data.map((entry) => entry.start_date)).toEqual(['2020-12-25', '2099-12-25']);
+  });
+});
+
+describe('open state', () => {
+  it('follows an override on the store\'s page', async () => {
+    // 2026-10-16 is a Friday
+    await insert('StoreSpecialHours', { store_id: store.id, start_date: '2026-10-16', end_date: '2026-10-16', closed: true });
+    jest.useFakeTimers({
+      now: new Date('2026-10-16T12:00:00Z'),
+      doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout']
+    });
+    try {
+      const res = await request(app).get(`/api/stores/${store.id}`);
+
+      expect(res.body.data).toMatchObject({ isOpen: false, nextOpensAt: '2026-10-23T09:00:00.000Z' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('leaves closed stores out of an openAt filter', async () => {
+    await insert('StoreSpecialHours', { store_id: store.id, start_date: '2026-10-16', end_date: '2026-10-16', closed: true });
+    // As if the store passed the SQL weekday pre-filter
+    recordQueries([models.Store], (sql) => (sql.includes('FROM "stores"') ? db.Store : []));
+
+    const closed = await request(app).get('/api/stores').query({ openAt: '2026-10-16T12:00:00Z' });
+    const open = await request(app).get('/api/stores').query({ openAt: '2026-10-23T12:00:00Z' });
+
+    expect(closed.body.data).toHaveLength(0);
+    expect(open.body.data.map((entry) => entry.name)).toEqual(['Corner Shop']);
+  });
+
+  it('reports the open state as of the openAt instant', async () => {
+    // Closed on the day of the request, open a week later
+    await insert('StoreSpecialHours', { store_id: store.id, start_date: '2026-10-16', end_date: '2026-10-16', closed: true });
+    recordQueries([models.Store], (sql) => (sql.includes('FROM "stores"') ? db.Store : []));
+    jest.useFakeTimers({
+      now: new Date('2026-10-16T12:00:00Z'),
+      doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout']
+    });
+    try {
+      const res = await request(app).get('/api/stores').query({ openAt: '2026-10-23T12:00:00Z' });
+
+      expect(res.body.data[0]).toMatchObject({ isOpen: true, closesAt: '2026-10-23T17:00:00.000Z', nextOpensAt: null });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
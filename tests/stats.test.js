@@ -0,0 +1,156 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, bearer, recordQueries } = require('./helpers');
+const { getUserStats } = require('../src/services/statsService');
+
+const { User, Store, Rating } = models;
+
+const db = useMemoryDatabase();
+
+let admin;
+
+const stats = (path, query = {}) => request(app)
+  .get(`/api/admin/stats${path}`)
+  .query(query)
+  .set('Authorization', bearer(admin));
+
+beforeEach(async () => {
+  admin = await insert('User', {
+    name: 'Admin',
+    email: 'admin@example.com',
+    password: 'secret123',
+    role: 'admin'
+  }, { hooks: false });
+});
+
+describe('user stats', () => {
+  it('totals users by role and active state within the range', async () => {
+    const queries = recordQueries([User], () => [
+      { role: 'customer', is_active: true, count: '3' },
+      { role: 'customer', is_active: false, count: '1' },
+      { role: 'store_owner', is_active: true, count: '2' }
+    ]);
+
+    const result = await getUserStats({ from: new Date('2026-10-01T00:00:00Z'), to: null });
+
+    expect(result).toEqual({
+      total: 6,
+      active: 5,
+      inactive: 1,
+      byRole: { customer: 4, store_owner: 2, admin: 0 }
+    });
+    expect(queries[0].sql).toMatch(/"created_at" >= '2026-10-01 00:00:00.000 \+00:00'/);
+    expect(queries[0].sql).toMatch(/GROUP BY "role", "is_active"/);
+  });
+});
+
+describe('store stats', () => {
+  it('ranks stores with enough reviews and buckets every store average', async () => {
+    const queries = recordQueries([Store, Rating], (sql) => {
+      if (sql.includes('AVG')) {
+        return [
+          { store_id: 'a', average: '4.8000', reviews: '6' },
+          { store_id: 'b', average: '2.1000', reviews: '5' },
+          { store_id: 'c', average: '5.0000', reviews: '1' }
+        ];
+      }
+      if (sql.includes('GROUP BY')) {
+        return [
+          { category: 'grocery', is_active: true, count: '2' },
+          { category: 'restaurant', is_active: false, count: '1' }
+        ];
+      }
+      return [
+        { id: 'a', name: 'Best Shop', slug: 'best-shop', category: 'grocery' },
+        { id: 'b', name: 'Worst Shop', slug: 'worst-shop', category: 'restaurant' }
+      ];
+    });
+
+    const res = await stats('/stores');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      active: 2,
+      inactive: 1,
+      averageDistribution: { 5: 2, 4: 0, 3: 0, 2: 1, 1: 0 }
+    });
+    expect(res.body.data.byCategory.grocery).toEqual({ active: 2, inactive: 0 });
+    expect(res.body.data.topRated.map((store) => [store.name, store.average, store.reviews]))
+      .toEqual([['Best Shop', 4.8, 6], ['Worst Shop', 2.1, 5]]);
+    expect(res.body.data.bottomRated.map((store) => store.name)).toEqual(['Worst Shop', 'Best Shop']);
+
+    // Averages only count approved reviews of active stores
+    const averages = queries.find((query) => query.sql.includes('AVG')).sql;
+    expect(averages).toMatch(/"Rating"."is_approved" = true/);
+    expect(averages).toMatch(/"store"."is_active" = true/);
+  });
+});
+
+describe('rating stats', () => {
+  it('fills every week in the range and adds the star distribution', async () => {
+    const queries = recordQueries([Rating], (sql) => (sql.includes('date_trunc')
+      ? [{ period: new Date('2026-10-05T00:00:00Z'), count: '2', average: '4.5000' }]
+      : [{ rating: 5, count: '1' }, { rating: 4, count: '1' }]));
+
+    const res = await stats('/ratings', { from: '2026-10-01', to: '2026-10-14', interval: 'week' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      interval: 'week',
+      total: 2,
+      series: [
+        { period: '2026-09-28', count: 0, average: null },
+        { period: '2026-10-05', count: 2, average: 4.5 },
+        { period: '2026-10-12', count: 0, average: null }
+      ],
+      distribution: { 5: 1, 4: 1, 3: 0, 2: 0, 1: 0 }
+    });
+    // A bare `to` date covers the whole day
+    expect(queries[0].sql).toMatch(/"created_at" <= '2026-10-14 23:59:59.999 \+00:00'/);
+    // Rejected and pending reviews count in neither the series nor the distribution
+    expect(queries).toHaveLength(2);
+    queries.forEach(({ sql }) => expect(sql).toMatch(/"is_approved" = true/));
+  });
+
+  it.each([
+    [{ from: '2026-10-14', to: '2026-10-01' }, 'to'],
+    [{ from: '2024-01-01', to: '2026-01-01', interval: 'day' }, 'interval'],
+    [{ interval: 'year' }, 'interval'],
+    [{ from: 'last week' }, 'from']
+  ])('rejects %j', async (query, field) => {
+    const res = await stats('/ratings', query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe(field);
+  });
+});
+
+describe('moderation stats', () => {
+  it('counts each moderation queue', async () => {
+    const base = { store_id: admin.id, rating: 3 };
+    await insert('Rating', { ...base, user_id: 'a', is_flagged: true, flag_reason: 'spam', is_approved: false }, { hooks: false });
+    await insert('Rating', { ...base, user_id: 'b', is_approved: false }, { hooks: false });
+    await insert('Rating', { ...base, user_id: 'c' }, { hooks: false });
+
+    const res = await stats('/moderation');
+
+    expect(res.body.data).toEqual({
+      pendingReviews: 1,
+      flaggedReviews: 1,
+      pendingReports: 0,
+      pendingVerifications: 0
+    });
+    expect(db.Rating).toHaveLength(3);
+  });
+
+  it('is admin only', async () => {
+    const customer = await insert('User', {
+      name: 'Ann',
+      email: 'ann@example.com',
+      password: 'secret123'
+    }, { hooks: false });
+
+    const res = await request(app).get('/api/admin/stats/moderation').set('Authorization', bearer(customer));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,185 @@
+const {
+  isValidTimezone,
+  validateHours,
+  zonedTimeToDate,
+  getOpenStatus
+} = require('../src/utils/storeHours');
+
+const at = (iso) => new Date(iso);
+
+describe('validateHours', () => {
+  it('accepts single and multi-interval days and closed days', () => {
+    expect(() => validateHours({
+      monday: { open: '09:00', close: '17:00' },
+      friday: { intervals: [{ open: '11:00', close: '14:00' }, { open: '18:00', close: '02:00' }] },
+      sunday: { closed: true }
+    })).not.toThrow();
+  });
+
+  it.each([
+    [{ funday: { open: '09:00', close: '17:00' } }, 'Unknown weekday in hours: funday'],
+    [{ monday: { open: '9am', close: '17:00' } }, 'Invalid hours for monday, times must be HH:MM'],
+    [{ monday: { open: '09:00', close: '24:00' } }, 'Invalid hours for monday, times must be HH:MM'],
+    [{ monday: { intervals: 'all day' } }, 'Intervals for monday must be an array'],
+    [{ monday: { intervals: [] } }, 'Invalid hours for monday'],
+    [[], 'Hours must be an object keyed by weekday']
+  ])('rejects %j', (hours, message) => {
+    expect(() => validateHours(hours)).toThrow(message);
+  });
+});
+
+describe('isValidTimezone', () => {
+  it('accepts IANA names only', () => {
+    expect(isValidTimezone('Europe/London')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+  });
+});
+
+describe('getOpenStatus', () => {
+  // 2026-10-16 is a Friday
+  const weekdays = {
+    friday: { open: '09:00', close: '17:00' },
+    saturday: { open: '10:00', close: '16:00' }
+  };
+
+  it('is open inside the day\'s hours and says when it closes', () => {
+    expect(getOpenStatus(weekdays, 'UTC', at('2026-10-16T12:00:00Z'))).toEqual({
+      isOpen: true,
+      closesAt: at('2026-10-16T17:00:00Z'),
+      nextOpensAt: null
+    });
+  });
+
+  it('treats the close time as exclusive and looks ahead to the next opening', () => {
+    expect(getOpenStatus(weekdays, 'UTC', at('2026-10-16T17:00:00Z'))).toEqual({
+      isOpen: false,
+      closesAt: null,
+      nextOpensAt: at('2026-10-17T10:00:00Z')
+    });
+  });
+
+  it('has no next opening for a store without hours', () => {
+    expect(getOpenStatus(null, 'UTC', at('2026-10-16T12:00:00Z')).nextOpensAt).toBeNull();
+  });
+
+  it('keeps overnight hours open past midnight into the next day', () => {
+    const hours = { friday: { open: '22:00', close: '02:00' } };
+
+    expect(getOpenStatus(hours, 'UTC', at('2026-10-17T01:30:00Z'))).toMatchObject({
+      isOpen: true,
+      closesAt: at('2026-10-17T02:00:00Z')
+    });
+    expect(getOpenStatus(hours, 'UTC', at('2026-10-17T02:30:00Z')).isOpen).toBe(false);
+  });
+
+  it('handles several intervals in a day', () => {
+    const hours = { friday: { intervals: [{ open: '11:00', close: '14:00' }, { open: '18:00', close: '23:00' }] } };
+
+    expect(getOpenStatus(hours, 'UTC', at('2026-10-16T15:00:00Z'))).toEqual({
+      isOpen: false,
+      closesAt: null,
+      nextOpensAt: at('2026-10-16T18:00:00Z')
+    });
+  });
+
+  it('merges hours that run from one day straight into the next', () => {
+    const hours = {
+      friday: { open: '18:00', close: '00:00' },
+      saturday: { open: '00:00', close: '02:00' }
+    };
+
+    expect(getOpenStatus(hours, 'UTC', at('2026-10-16T20:00:00Z')).closesAt).toEqual(at('2026-10-17T02:00:00Z'));
+  });
+
+  it('reads the hours in the store\'s timezone', () => {
+    // 09:00-17:00 in New York is 13:00-21:00 UTC in October (EDT)
+    expect(getOpenStatus(weekdays, 'America/New_York', at('2026-10-16T12:00:00Z'))).toMatchObject({
+      isOpen: false,
+      nextOpensAt: at('2026-10-16T13:00:00Z')
+    });
+    expect(getOpenStatus(weekdays, 'America/New_York', at('2026-10-16T20:00:00Z')).isOpen).toBe(true);
+  });
+
+  it('follows the clocks across a DST change', () => {
+    // London moves from GMT to BST overnight on 2026-03-29
+    const hours = {
+      saturday: { open: '09:00', close: '17:00' },
+      sunday: { open: '09:00', close: '17:00' }
+    };
+
+    expect(getOpenStatus(hours, 'Europe/London', at('2026-03-28T18:00:00Z')).nextOpensAt)
+      .toEqual(at('2026-03-29T08:00:00Z'));
+  });
+
+  it('closes overnight hours at the repeated hour when the clocks go back', () => {
+    // London moves from BST to GMT at 02:00 on 2026-10-25
+    const hours = { saturday: { open: '22:00', close: '02:00' } };
+
+    expect(getOpenStatus(hours, 'Europe/London', at('2026-10-24T23:00:00Z')).closesAt)
+      .toEqual(at('2026-10-25T02:00:00Z'));
+  });
+});
+
+describe('getOpenStatus with special hours', () => {
+  const weekdays = {
+    friday: { open: '09:00', close: '17:00' },
+    saturday: { open: '10:00', close: '16:00' },
+    monday: { open: '09:00', close: '17:00' }
+  };
+
+  it('closes the store on a closed override', () => {
+    const specialHours = [{ start_date: '2026-10-16', end_date: '2026-10-16', closed: true, intervals: [] }];
+
+    expect(getOpenStatus(weekdays, 'UTC', at('2026-10-16T12:00:00Z'), specialHours)).toEqual({
+      isOpen: false,
+      closesAt: null,
+      nextOpensAt: at('2026-10-17T10:00:00Z')
+    });
+  });
+
+  it('uses the override\'s intervals instead of the weekly hours', () => {
+    const specialHours = [{
+      start_date: '2026-10-16',
+      end_date: '2026-10-16',
+      closed: false,
+      intervals: [{ open: '08:00', close: '22:00' }]
+    }];
+
+    expect(getOpenStatus(weekdays, 'UTC', at('2026-10-16T20:00:00Z'), specialHours)).toMatchObject({
+      isOpen: true,
+      closesAt: at('2026-10-16T22:00:00Z')
+    });
+  });
+
+  it('opens a store without weekly hours on the override\'s dates', () => {
+    const specialHours = [{ start_date: '2026-10-17', end_date: '2026-10-17', closed: false, intervals: [{ open: '10:00', close: '12:00' }] }];
+
+    expect(getOpenStatus(null, 'UTC', at('2026-10-16T12:00:00Z'), specialHours).nextOpensAt)
+      .toEqual(at('2026-10-17T10:00:00Z'));
+  });
+
+  it('reports the reopening after a closure longer than a week', () => {
+    const specialHours = [{ start_date: '2026-10-16', end_date: '2026-10-31', closed: true, intervals: [] }];
+
+    // 2026-11-02 is the first Monday after the closure
+    expect(getOpenStatus(weekdays, 'UTC', at('2026-10-16T12:00:00Z'), specialHours).nextOpensAt)
+      .toEqual(at('2026-11-02T09:00:00Z'));
+  });
+
+  it('applies the override to the store\'s local date', () => {
+    // 02:00 UTC on Saturday is still Friday evening in New York
+    const hours = { friday: { open: '20:00', close: '23:00' } };
+    const specialHours = [{ start_date: '2026-10-16', end_date: '2026-10-16', closed: true, intervals: [] }];
+
+    expect(getOpenStatus(hours, 'America/New_York', at('2026-10-17T02:00:00Z')).isOpen).toBe(true);
+    expect(getOpenStatus(hours, 'America/New_York', at('2026-10-17T02:00:00Z'), specialHours).isOpen).toBe(false);
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('pushes a time skipped by the spring-forward jump to after it', () => {
+    // 01:30 does not exist in London on 2026-03-29
+    expect(zonedTimeToDate(2026, 3, 29, 90, 'Europe/London')).toEqual(at('2026-03-29T01:30:00Z'));
+  });
+});
@@ -0,0 +1,260 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, bearer, recordQueries } = require('./helpers');
+
+const db = useMemoryDatabase();
+
+let owner;
+let customer;
+let admin;
+
+const createUser = (name, role = 'customer') => insert('User', {
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'secret123',
+  role
+}, { hooks: false });
+
+const validStore = () => ({
+  name: 'Corner Shop',
+  category: 'grocery',
+  address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+  location: { type: 'Point', coordinates: [-1.5491, 53.8008] },
+  phone: '+441132000000'
+});
+
+const createStore = (user, body = validStore()) => request(app)
+  .post('/api/stores')
+  .set('Authorization', bearer(user))
+  .send(body);
+
+const fields = (res) => res.body.errors.map((error) => error.field);
+
+beforeEach(async () => {
+  owner = await createUser('Owner', 'store_owner');
+  customer = await createUser('Ann');
+  admin = await createUser('Admin', 'admin');
+});
+
+describe('creating stores', () => {
+  it('creates a store owned by the caller', async () => {
+    const res = await createStore(owner);
+
+    expect(res.status).toBe(201);
+    expect(db.Store).toEqual([expect.objectContaining({ name: 'Corner Shop', owner_id: owner.id, slug: 'corner-shop' })]);
+  });
+
+  it('is for store owners and admins', async () => {
+    expect((await createStore(customer)).status).toBe(403);
+    expect((await createStore(admin)).status).toBe(201);
+  });
+
+  it.each([
+    ['category', { category: 'casino' }],
+    ['address.city', { address: { street: '1 High Street', country: 'UK' } }],
+    ['phone', { phone: '0123' }],
+    ['location', { location: { type: 'Point', coordinates: [200, 53] } }],
+    ['images', { images: Array.from({ length: 11 }, (_, i) => `https://example.com/${i}.jpg`) }],
+    ['images[0]', { images: ['not a url'] }]
+  ])('rejects an invalid %s', async (field, override) => {
+    const res = await createStore(owner, { ...validStore(), ...override });
+
+    expect(res.status).toBe(400);
+    expect(fields(res)).toContain(field);
+    expect(db.Store).toHaveLength(0);
+  });
+
+  it('refuses a second store with the same name for one owner', async () => {
+    await createStore(owner);
+
+    const res = await createStore(owner, { ...validStore(), name: 'CORNER SHOP' });
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('managing stores', () => {
+  let store;
+
+  const update = (user, body) => request(app)
+    .put(`/api/stores/${store.id}`)
+    .set('Authorization', bearer(user))
+    .send(body);
+
+  beforeEach(async () => {
+    store = await insert('Store', { ...validStore(), owner_id: owner.id });
+  });
+
+  it('lets the owner change only the fields sent', async () => {
+    const res = await update(owner, { phone: '+441132000001' });
+
+    expect(res.status).toBe(200);
+    expect(db.Store[0]).toMatchObject({ name: 'Corner Shop', phone: '+441132000001' });
+  });
+
+  it('still requires a whole address on update', async () => {
+    const res = await update(owner, { address: { city: 'York' } });
+
+    expect(res.status).toBe(400);
+    expect(fields(res)).toEqual(expect.arrayContaining(['address.street', 'address.country']));
+  });
+
+  it('refuses other owners but not admins', async () => {
+    const rival = await createUser('Rival', 'store_owner');
+
+    expect((await update(rival, { name: 'Stolen Shop' })).status).toBe(403);
+    expect((await update(admin, { name: 'Renamed Shop' })).status).toBe(200);
+    expect(db.Store[0].name).toBe('Renamed Shop');
+  });
+
+  it('answers 404 for an unknown store', async () => {
+    const res = await request(app)
+      .delete('/api/stores/00000000-0000-4000-8000-000000000000')
+      .set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(404);
+  });
+
+  it('lets the owner delete the store', async () => {
+    const res = await request(app).delete(`/api/stores/${store.id}`).set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(200);
+    expect(db.Store).toHaveLength(0);
+  });
+});
+
+describe('reading stores', () => {
+  beforeEach(async () => {
+    await insert('Store', { ...validStore(), owner_id: owner.id });
+    await insert('Store', { ...validStore(), name: 'Gadget Hut', category: 'electronics', owner_id: owner.id });
+  });
+
+  it('gets a store by id', async () => {
+    const res = await request(app).get(`/api/stores/${db.Store[0].id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.name).toBe('Corner Shop');
+  });
+
+  it('lists a category, matching it case-insensitively', async () => {
+    const res = await request(app).get('/api/stores/category/Electronics');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((store) => store.name)).toEqual(['Gadget Hut']);
+  });
+
+  it('filters, sorts and trims the list by the shared query language', async () => {
+    const res = await request(app)
+      .get('/api/stores')
+      .query({ 'filter[category][in]': 'grocery,electronics', sort: '-name', fields: 'name' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((store) => store.name)).toEqual(['Gadget Hut', 'Corner Shop']);
+    expect(res.body.data[0]).not.toHaveProperty('phone');
+
+    const bad = await request(app).get('/api/stores').query({ 'filter[phone]': '+441132000000' });
+    expect(bad.status).toBe(400);
+    expect(fields(bad)).toEqual(['filter[phone]']);
+  });
+
+  it('filters the list by category, case-insensitively', async () => {
+    const res = await request(app).get('/api/stores').query({ category: 'Electronics' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((store) => store.name)).toEqual(['Gadget Hut']);
+  });
+
+  it.each([
+    ['category=casino'],
+    ['category=grocery&category=electronics']
+  ])('rejects the list filter %s', async (queryString) => {
+    const res = await request(app).get(`/api/stores?${queryString}`);
+
+    expect(res.status).toBe(400);
+    expect(fields(res)).toEqual(['category']);
+  });
+
+  it('rejects an unknown category', async () => {
+    expect((await request(app).get('/api/stores/category/casino')).status).toBe(400);
+  });
+
+  it('lists the caller\'s own stores', async () => {
+    const res = await request(app).get('/api/stores/my-stores').set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect((await request(app).get('/api/stores/my-stores').set('Authorization', bearer(customer))).status).toBe(403);
+  });
+});
+
+describe('opening hours', () => {
+  // 2026-10-16 is a Friday; 12:00 UTC is 08:00 in New York
+  const FRIDAY_NOON = '2026-10-16T12:00:00Z';
+
+  beforeEach(async () => {
+    const hours = { friday: { open: '09:00', close: '17:00' } };
+    await insert('Store', { ...validStore(), name: 'London Shop', hours, timezone: 'Europe/London', owner_id: owner.id });
+    await insert('Store', { ...validStore(), name: 'New York Shop', hours, timezone: 'America/New_York', owner_id: owner.id });
+    await insert('Store', { ...validStore(), name: 'Night Shop', hours: { thursday: { open: '22:00', close: '02:00' } }, owner_id: owner.id });
+  });
+
+  // The weekday pre-filter is SQL; every store passes it here
+  const listOpenAt = async (openAt) => {
+    const queries = recordQueries([models.Store], (sql) => (sql.includes('FROM "stores"') ? db.Store : []));
+    const res = await request(app).get('/api/stores').query({ openAt });
+    return { queries, res };
+  };
+
+  it('filters the list to stores open at an instant, in each store\'s timezone', async () => {
+    const { res } = await listOpenAt(FRIDAY_NOON);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((store) => store.name)).toEqual(['London Shop']);
+    expect(res.body.pagination.next).toBeNull();
+  });
+
+  it('includes last night\'s overnight hours', async () => {
+    const { res } = await listOpenAt('2026-10-16T01:00:00Z');
+
+    expect(res.body.data.map((store) => store.name)).toEqual(['Night Shop']);
+  });
+
+  it('narrows the candidates in SQL to stores with hours that day or the day before', async () => {
+    const { queries } = await listOpenAt(FRIDAY_NOON);
+
+    const [{ sql }] = queries;
+    expect(sql).toContain(`'2026-10-16T12:00:00.000Z'::timestamptz`);
+    expect(sql).toContain('AT TIME ZONE "Store"."timezone"');
+    expect(sql).toContain('FROM store_special_hours sh');
+    expect(sql).toMatch(/LIMIT 200 OFFSET 0/);
+  });
+
+  it('reports when each store closes or next opens', async () => {
+    jest.useFakeTimers({ now: new Date(FRIDAY_NOON), doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout'] });
+    try {
+      const res = await request(app).get('/api/stores');
+      const byName = Object.fromEntries(res.body.data.map((store) => [store.name, store]));
+
+      expect(byName['London Shop']).toMatchObject({ isOpen: true, closesAt: '2026-10-16T16:00:00.000Z', nextOpensAt: null });
+      expect(byName['New York Shop']).toMatchObject({ isOpen: false, closesAt: null, nextOpensAt: '2026-10-16T13:00:00.000Z' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it.each([
+    [{ openAt: 'friday noon' }, 'openAt'],
+    [{ openNow: 'yes' }, 'openNow']
+  ])('rejects %j', async (query, field) => {
+    const res = await request(app).get('/api/stores').query(query);
+
+    expect(res.status).toBe(400);
+    expect(fields(res)).toContain(field);
+  });
+
+  it('rejects an unknown timezone', async () => {
+    const res = await createStore(owner, { ...validStore(), name: 'Mars Shop', timezone: 'Mars/Olympus_Mons' });
+
+    expect(res.status).toBe(400);
+    expect(fields(res)).toContain('timezone');
+  });
+});
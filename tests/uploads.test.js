@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { app, useMemoryDatabase, insert, bearer } = require('./helpers');
+const { processImage } = require('../src/services/imageService');
+const { createLocalStorage, setStorage } = require('../src/services/storage');
+
+const db = useMemoryDatabase();
+
+let uploadDir;
+let owner;
+let customer;
+let store;
+
+/**
+ * A JPEG carrying EXIF, including an orientation that rotates it a quarter turn
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<Buffer>}
+ */
+const jpegWithExif = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#c04040' }
+})
+  .jpeg()
+  .withMetadata({ orientation: 6, exif: { IFD0: { Copyright: 'Somebody' } } })
+  .toBuffer();
+
+const createUser = (name, role = 'customer') => insert('User', {
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'secret123',
+  role
+}, { hooks: false });
+
+const storedFiles = () => fs.readdirSync(uploadDir, { recursive: true })
+  .filter((file) => fs.statSync(path.join(uploadDir, file)).isFile());
+
+beforeEach(async () => {
+  uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  setStorage(createLocalStorage({ root: uploadDir, baseUrl: 'http://localhost/uploads' }));
+
+  owner = await createUser('Owner', 'store_owner');
+  customer = await createUser('Ann');
+  store = await insert('Store', {
+    name: 'Corner Shop',
+    category: 'grocery',
+    address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+    owner_id: owner.id
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('processImage', () => {
+  it('applies the orientation, drops EXIF and builds a square WebP thumbnail', async () => {
+    const { image, thumbnail } = await processImage(await jpegWithExif(400, 200));
+
+    const metadata = await sharp(image.buffer).metadata();
+    expect(metadata).toMatchObject({ format: 'jpeg', width: 200, height: 400 });
+    expect(metadata.exif).toBeUndefined();
+    expect(image).toMatchObject({ contentType: 'image/jpeg', extension: 'jpg' });
+
+    expect(thumbnail).toMatchObject({ contentType: 'image/webp', width: 320, height: 320 });
+    expect((await sharp(thumbnail.buffer).metadata()).exif).toBeUndefined();
+  });
+
+  it('scales large images down to 1600px', async () => {
+    const buffer = await sharp({ create: { width: 3200, height: 800, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+    const { image } = await processImage(buffer);
+
+    expect(image).toMatchObject({ contentType: 'image/png', width: 1600, height: 400 });
+  });
+
+  it('rejects files that are not images whatever their declared type', async () => {
+    await expect(processImage(Buffer.from('GIF89a, honest'))).rejects.toMatchObject({ statusCode: 415 });
+  });
+});
+
+describe('store images', () => {
+  const upload = (user) => request(app)
+    .post(`/api/stores/${store.id}/images`)
+    .set('Authorization', bearer(user));
+
+  it('stores the image and its thumbnail and records the photo', async () => {
+    const res = await upload(owner).attach('images', await jpegWithExif(400, 200), 'shop.jpg');
+
+    expect(res.status).toBe(201);
+    const [photo] = res.body.data.photos;
+    expect(photo).toMatchObject({ store_id: store.id, uploaded_by: owner.id, width: 200, height: 400 });
+    expect(photo.url).toMatch(new RegExp(`^http://localhost/uploads/stores/${store.id}/.+\\.jpg$`));
+    expect(res.body.data.images).toEqual([photo.url]);
+    expect(db.Store[0].images).toEqual([photo.url]);
+    expect(storedFiles()).toHaveLength(2);
+
+    const details = await request(app).get(`/api/stores/${store.id}`);
+    expect(details.body.data.photos.map((entry) => entry.url)).toEqual([photo.url]);
+  });
+
+  it('deletes the photo, its files and its URL', async () => {
+    const uploaded = await upload(owner).attach('images', await jpegWithExif(40, 20), 'shop.jpg');
+    const [photo] = uploaded.body.data.photos;
+
+    const res = await request(app)
+      .delete(`/api/stores/${store.id}/images/${photo.id}`)
+      .set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(200);
+    expect(db.Store[0].images).toEqual([]);
+    expect(db.Photo).toHaveLength(0);
+    expect(storedFiles()).toHaveLength(0);
+  });
+
+  it('rejects a declared type outside JPEG, PNG and WebP', async () => {
+    const res = await upload(owner).attach('images', Buffer.from('GIF89a'), { filename: 'shop.gif', contentType: 'image/gif' });
+
+    expect(res.status).toBe(415);
+  });
+
+  it('rejects a file whose contents are not an image', async () => {
+    const res = await upload(owner).attach('images', Buffer.from('not a jpeg'), { filename: 'shop.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(415);
+    expect(storedFiles()).toHaveLength(0);
+  });
+
+  it('refuses uploads past the per-store limit', async () => {
+    store.images = Array.from({ length: 10 }, (value, index) => `https://example.com/${index}.jpg`);
+    await store.save();
+
+    const res = await upload(owner).attach('images', await jpegWithExif(40, 20), 'shop.jpg');
+
+    expect(res.status).toBe(400);
+    expect(db.Photo).toHaveLength(0);
+  });
+
+  it('requires a file and the store owner', async () => {
+    expect((await upload(owner)).status).toBe(400);
+    expect((await upload(customer).attach('images', await jpegWithExif(40, 20), 'shop.jpg')).status).toBe(403);
+  });
+});
+
+describe('review images', () => {
+  let review;
+
+  beforeEach(async () => {
+    review = await insert('Rating', { user_id: customer.id, store_id: store.id, rating: 5 });
+  });
+
+  it('lets the author add images to their review', async () => {
+    const res = await request(app)
+      .post(`/api/reviews/${review.id}/images`)
+      .set('Authorization', bearer(customer))
+      .attach('images', await jpegWithExif(40, 20), 'meal.jpg');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.photos[0]).toMatchObject({ rating_id: review.id, uploaded_by: customer.id });
+    expect(db.Rating[0].images).toHaveLength(1);
+  });
+
+  it('refuses anyone else', async () => {
+    const res = await request(app)
+      .post(`/api/reviews/${review.id}/images`)
+      .set('Authorization', bearer(owner))
+      .attach('images', await jpegWithExif(40, 20), 'meal.jpg');
+
+    expect(res.status).toBe(403);
+    expect(db.Photo).toHaveLength(0);
+  });
+
+  it('refuses anyone else before looking at the upload', async () => {
+    // A GIF would be a 415 had multer read it
+    const res = await request(app)
+      .post(`/api/reviews/${review.id}/images`)
+      .set('Authorization', bearer(owner))
+      .attach('images', Buffer.from('GIF89a'), { filename: 'meal.gif', contentType: 'image/gif' });
+
+    expect(res.status).toBe(403);
+  });
+});
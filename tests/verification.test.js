@@ -0,0 +1,195 @@
+const request = require('supertest');
+const { app, models, useMemoryDatabase, insert, bearer } = require('./helpers');
+const { revokeVerification } = require('../src/services/verificationService');
+
+const db = useMemoryDatabase();
+
+let owner;
+let admin;
+let store;
+
+const createUser = (name, role = 'customer') => insert('User', {
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  password: 'secret123',
+  role
+}, { hooks: false });
+
+const documents = ['https://example.com/lease.pdf', 'https://example.com/licence.pdf'];
+
+const submit = (user, body = { documents, notes: 'Lease and trading licence' }) => request(app)
+  .post(`/api/stores/${store.id}/verification`)
+  .set('Authorization', bearer(user))
+  .send(body);
+
+const decide = (id, decision, body = {}) => request(app)
+  .post(`/api/admin/verifications/${id}/${decision}`)
+  .set('Authorization', bearer(admin))
+  .send(body);
+
+const auditActions = () => db.AuditLog.map((row) => row.action);
+
+beforeEach(async () => {
+  owner = await createUser('Owner', 'store_owner');
+  admin = await createUser('Admin', 'admin');
+  store = await insert('Store', {
+    name: 'Corner Shop',
+    category: 'grocery',
+    address: { street: '1 High Street', city: 'Leeds', country: 'UK' },
+    owner_id: owner.id
+  });
+});
+
+describe('submitting for verification', () => {
+  it('opens a pending request for the owner\'s store', async () => {
+    const res = await submit(owner);
+
+    expect(res.status).toBe(201);
+    expect(db.VerificationRequest).toEqual([expect.objectContaining({
+      store_id: store.id,
+      submitted_by: owner.id,
+      status: 'pending',
+      documents
+    })]);
+    expect(auditActions()).toEqual(['store.verification_submit']);
+
+    const status = await request(app).get(`/api/stores/${store.id}/verification`).set('Authorization', bearer(owner));
+    expect(status.body.data).toMatchObject({ is_verified: false, requests: [expect.objectContaining({ status: 'pending' })] });
+  });
+
+  it('allows one pending request at a time', async () => {
+    await submit(owner);
+
+    expect((await submit(owner)).status).toBe(409);
+    expect(db.VerificationRequest).toHaveLength(1);
+  });
+
+  it.each([
+    [{ documents: [] }],
+    [{ documents: ['not a url'] }],
+    [{ documents: Array(6).fill('https://example.com/doc.pdf') }]
+  ])('rejects %j', async (body) => {
+    const res = await submit(owner, body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toMatch(/^documents/);
+  });
+
+  it('is for the store owner only', async () => {
+    expect((await submit(await createUser('Rival', 'store_owner'))).status).toBe(403);
+  });
+});
+
+describe('admin decisions', () => {
+  let requestId;
+
+  beforeEach(async () => {
+    requestId = (await submit(owner)).body.data.id;
+  });
+
+  it('lists pending requests oldest first', async () => {
+    const res = await request(app).get('/api/admin/verifications').set('Authorization', bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((entry) => entry.id)).toEqual([requestId]);
+    expect(res.body.data[0].store).toMatchObject({ id: store.id, name: 'Corner Shop' });
+  });
+
+  it('approving verifies the store and keeps the documents on it', async () => {
+    const res = await decide(requestId, 'approve');
+
+    expect(res.status).toBe(200);
+    expect(db.Store[0]).toMatchObject({ is_verified: true, verification_documents: documents });
+    expect(db.Store[0].verified_at).toBeInstanceOf(Date);
+    expect(db.VerificationRequest[0]).toMatchObject({ status: 'approved', reviewed_by: admin.id });
+    expect(auditActions()).toContain('store.verify');
+
+    // A decided request cannot be decided again
+    expect((await decide(requestId, 'reject', { reason: 'Changed my mind' })).status).toBe(409);
+  });
+
+  it('rejecting needs a reason and leaves the store unverified', async () => {
+    expect((await decide(requestId, 'reject')).status).toBe(400);
+
+    const res = await decide(requestId, 'reject', { reason: 'Documents are illegible' });
+
+    expect(res.status).toBe(200);
+    expect(db.Store[0].is_verified).toBe(false);
+    expect(db.VerificationRequest[0]).toMatchObject({ status: 'rejected', decision_reason: 'Documents are illegible' });
+    expect(auditActions()).toContain('store.verification_reject');
+
+    // The owner may try again
+    expect((await submit(owner)).status).toBe(201);
+  });
+
+  it('revokes the badge with a reason', async () => {
+    await decide(requestId, 'approve');
+
+    const res = await request(app)
+      .post(`/api/admin/stores/${store.id}/unverify`)
+      .set('Authorization', bearer(admin))
+      .send({ reason: 'Sold to a new owner' });
+
+    expect(res.status).toBe(200);
+    expect(db.Store[0]).toMatchObject({ is_verified: false, verified_at: null, verification_documents: [] });
+    expect(db.AuditLog.find((row) => row.action === 'store.unverify').details).toMatchObject({ reason: 'Sold to a new owner' });
+    // The approved request still holds what the badge was granted on
+    expect(db.VerificationRequest[0]).toMatchObject({ status: 'approved', documents });
+  });
+
+  it('decides on the locked store rather than the copy it was handed', async () => {
+    await decide(requestId, 'approve');
+    const stale = await models.Store.findByPk(store.id);
+    // Revoked by another admin after this one loaded the store
+    Object.assign(db.Store[0], { is_verified: false, verified_at: null });
+
+    await expect(revokeVerification(stale, admin.id, 'Duplicate')).rejects.toMatchObject({ statusCode: 409 });
+    expect(db.AuditLog.filter((row) => row.action === 'store.unverify')).toHaveLength(0);
+  });
+
+  it('is admin only', async () => {
+    const res = await request(app)
+      .post(`/api/admin/verifications/${requestId}/approve`)
+      .set('Authorization', bearer(owner));
+
+    expect(res.status).toBe(403);
+    expect(db.Store[0].is_verified).toBe(false);
+  });
+});
+
+describe('verified filter', () => {
+  beforeEach(async () => {
+    await insert('Store', {
+      name: 'Verified Shop',
+      category: 'grocery',
+      address: { street: '2 High Street', city: 'Leeds', country: 'UK' },
+      owner_id: owner.id,
+      is_verified: true
+    });
+  });
+
+  it('narrows store listings to verified or unverified stores', async () => {
+    const names = async (query) => (await request(app).get('/api/stores').query(query)).body.data.map((entry) => entry.name);
+
+    expect(await names({ verified: 'true' })).toEqual(['Verified Shop']);
+    expect(await names({ verified: 'false' })).toEqual(['Corner Shop']);
+    // The older isVerified spelling still works
+    expect(await names({ isVerified: 'true' })).toEqual(['Verified Shop']);
+  });
+
+  it('applies to category listings and checks the value', async () => {
+    const res = await request(app).get('/api/stores/category/grocery').query({ verified: 'true' });
+
+    expect(res.body.data.map((entry) => entry.name)).toEqual(['Verified Shop']);
+    expect((await request(app).get('/api/stores').query({ verified: 'maybe' })).status).toBe(400);
+  });
+
+  it('no longer lets store updates set the badge', async () => {
+    await request(app)
+      .put(`/api/stores/${store.id}`)
+      .set('Authorization', bearer(admin))
+      .send({ isVerified: true });
+
+    expect(db.Store.find((row) => row.id === store.id).is_verified).toBe(false);
+  });
+});